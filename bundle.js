@@ -0,0 +1,115 @@
+// Project bundles (.evmpack) carry a project to machines without access to
+// the evm server. The payload (project, files, full version history and
+// rollback history, in clear text) is gzipped and sealed with AES-256-GCM
+// under a key derived from a passphrase with scrypt. The header is bound as
+// AAD, so a bundle that was altered in any way fails to open.
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+const BUNDLE_FORMAT = "evmpack";
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = ".evmpack";
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Same cost as the password-derived master key in key-manager.js
+const SCRYPT_PARAMS = { N: 2 ** 16, r: 8, p: 1, maxmem: 128 * 1024 * 1024 };
+
+function deriveBundleKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, "hex"), 32, SCRYPT_PARAMS);
+}
+
+function headerAad(header) {
+  return Buffer.from(
+    JSON.stringify([header.format, header.version, header.kdf, header.salt])
+  );
+}
+
+// The bundle file's text for the payload object
+function sealBundle(payload, passphrase) {
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kdf: "scrypt",
+    salt: crypto.randomBytes(16).toString("hex"),
+  };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveBundleKey(passphrase, header.salt),
+    iv
+  );
+  cipher.setAAD(headerAad(header));
+
+  const data = Buffer.concat([
+    cipher.update(zlib.gzipSync(JSON.stringify(payload))),
+    cipher.final(),
+  ]);
+
+  return JSON.stringify({
+    ...header,
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    data: data.toString("base64"),
+  });
+}
+
+// The payload of a bundle file's text. Throws when the text isn't a bundle
+// this version understands, or the passphrase is wrong or it was altered.
+function openBundle(text, passphrase) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Not an evm bundle");
+  }
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error("Not an evm bundle");
+  }
+  if (bundle.version !== BUNDLE_VERSION || bundle.kdf !== "scrypt") {
+    throw new Error(
+      `Unsupported bundle version ${bundle.version}; update evm to import it`
+    );
+  }
+
+  let compressed;
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveBundleKey(passphrase, bundle.salt),
+      Buffer.from(bundle.iv, "hex")
+    );
+    decipher.setAAD(headerAad(bundle));
+    decipher.setAuthTag(Buffer.from(bundle.tag, "hex"));
+    compressed = Buffer.concat([
+      decipher.update(Buffer.from(bundle.data, "base64")),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error("Wrong passphrase, or the bundle was modified");
+  }
+
+  return JSON.parse(zlib.gunzipSync(compressed).toString("utf8"));
+}
+
+// Version tokens that appear more than once in a file's history; restoring
+// them would break the history (tokens are unique per file)
+function findDuplicateVersionTokens(versions) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const version of versions) {
+    if (seen.has(version.version_token)) {
+      duplicates.add(version.version_token);
+    }
+    seen.add(version.version_token);
+  }
+  return [...duplicates];
+}
+
+module.exports = {
+  BUNDLE_EXTENSION,
+  MIN_PASSPHRASE_LENGTH,
+  sealBundle,
+  openBundle,
+  findDuplicateVersionTokens,
+};
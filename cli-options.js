@@ -0,0 +1,136 @@
+// Flags that let commands run without prompts (--yes, -m, --files, --name),
+// the terminal check that makes a missing input fail instead of hanging
+// on a prompt nobody can answer, --quiet, and the --json output of the
+// read-only commands (status, log, list, pending, diff).
+
+const util = require("util");
+const chalk = require("chalk");
+
+// Value of the first flag present, as "--flag value" or "--flag=value"
+function getFlagValue(args, ...names) {
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name) {
+        const value = args[i + 1];
+        return value !== undefined && !value.startsWith("-") ? value : null;
+      }
+      if (args[i].startsWith(`${name}=`)) {
+        return args[i].substring(name.length + 1);
+      }
+    }
+  }
+  return undefined;
+}
+
+function hasFlag(args, ...names) {
+  return args.some((arg) => names.includes(arg));
+}
+
+// --files a,b (or repeated --files) as a list of names
+function getListFlag(args, ...names) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      let value = null;
+      if (args[i] === name) value = args[i + 1];
+      else if (args[i].startsWith(`${name}=`)) {
+        value = args[i].substring(name.length + 1);
+      }
+      if (value) {
+        values.push(...value.split(",").map((item) => item.trim()));
+      }
+    }
+  }
+  return values.filter(Boolean);
+}
+
+// Arguments with flags (and the values of the given value flags) removed
+function positionalArgs(args, valueFlags = []) {
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (valueFlags.includes(args[i])) {
+      i++;
+    } else if (!args[i].startsWith("-") || args[i] === "-") {
+      positional.push(args[i]);
+    }
+  }
+  return positional;
+}
+
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+// Call before rendering a prompt: exits with a clear error when there is
+// no terminal to answer it
+function requireInteractive(what, hint) {
+  if (isInteractive()) {
+    return;
+  }
+  console.log(chalk.red(`Cannot prompt for ${what}: no terminal attached`));
+  if (hint) {
+    console.log(chalk.yellow(hint));
+  }
+  process.exit(1);
+}
+
+// --quiet: hold back console.log output and print it to stderr only when
+// the command fails, so scripts see nothing on success but still get the
+// reason for a failure. JSON documents are written to stdout directly.
+function enableQuietMode() {
+  const held = [];
+  console.log = (...args) => held.push(util.format(...args));
+  process.on("exit", (code) => {
+    if (code !== 0 && held.length > 0) {
+      process.stderr.write(held.join("\n") + "\n");
+    }
+  });
+}
+
+// Every --json document names its schema ("evm.status/v1", ...). Fields are
+// only ever added within a version; README.md describes each one.
+function printJson(kind, data) {
+  process.stdout.write(
+    JSON.stringify({ schema: `evm.${kind}/v1`, ...data }, null, 2) + "\n"
+  );
+}
+
+// Exit 1 with { schema, error } in --json mode, or the usual red message
+function failCommand(json, kind, message, hint) {
+  if (json) {
+    printJson(kind, { error: message });
+  } else {
+    console.log(chalk.red(message));
+    if (hint) {
+      console.log(chalk.yellow(hint));
+    }
+  }
+  process.exit(1);
+}
+
+// SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC) as ISO 8601
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value);
+  const date = new Date(
+    /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)
+      ? `${text.replace(" ", "T")}Z`
+      : text
+  );
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  getFlagValue,
+  hasFlag,
+  getListFlag,
+  positionalArgs,
+  isInteractive,
+  requireInteractive,
+  enableQuietMode,
+  printJson,
+  failCommand,
+  toIsoDate,
+};
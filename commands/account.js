@@ -0,0 +1,294 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const { db, dbOps } = require("../db");
+const { configManager } = require("../config");
+const { createSimplePrompt } = require("../components/text-input");
+const { hasFlag, requireInteractive } = require("../cli-options");
+const { resealPrivateKey, unlockResealedKey } = require("../key-manager");
+const { modernAuth } = require("./auth");
+const { MIN_PASSWORD_LENGTH } = require("./modern-auth");
+
+const USAGE = "Usage: evm account delete [--yes]";
+
+function requireLogin() {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+  return dbOps.getCurrentUser();
+}
+
+function promptPassword(title, placeholder = "Enter your password") {
+  return createSimplePrompt({ title, placeholder, isPassword: true });
+}
+
+function promptMfaCode() {
+  return createSimplePrompt({
+    title: "Two-factor authentication",
+    placeholder: "6-digit code or a recovery code",
+  });
+}
+
+// Sends an account request, asking for an MFA code when the server wants one
+async function sendWithMfa(send) {
+  try {
+    return await send();
+  } catch (error) {
+    if (!error.response?.data?.mfa_required) {
+      throw error;
+    }
+  }
+  return send(await promptMfaCode());
+}
+
+function reportAccountError(action, error) {
+  const errorMsg = error.response?.data?.error || error.message;
+  console.log(chalk.red(`[ERROR] Could not ${action}: ${errorMsg}`));
+  process.exit(1);
+}
+
+// A synced account lives on the server: changing or deleting it needs an
+// online session. Returns false for an account that only exists locally.
+function requireServerSession(user, action) {
+  if (!user.syncedToServer) {
+    return false;
+  }
+  if (!modernAuth.getStoredToken()) {
+    console.log(
+      chalk.red(`Your account is on the server; run 'evm login' online to ${action}`)
+    );
+    process.exit(1);
+  }
+  return true;
+}
+
+// Undo the local half of evm passwd after the server change failed, and say
+// exactly where each side stands. Without a response (network error or
+// timeout) the server may still have applied the change.
+function rollBackPasswordChange(email, previous, error) {
+  const errorMsg = error.response?.data?.error || error.message;
+  console.log(chalk.red(`[ERROR] Could not change password: ${errorMsg}`));
+
+  const restored = dbOps.restoreUserCredentials(email, previous);
+  if (!restored.success) {
+    console.log(
+      chalk.red(`Could not restore the old password on this machine: ${restored.error}`)
+    );
+    console.log(
+      chalk.yellow(
+        error.response
+          ? "The server still has your OLD password; this machine has the new one.\n" +
+              "Run 'evm login' with your OLD password to bring this machine back in line"
+          : "This machine has the new password; the server may have either.\n" +
+              "Run 'evm login' with the password the server accepts to bring this machine in line"
+      )
+    );
+    process.exit(1);
+  }
+
+  if (error.response) {
+    console.log(chalk.yellow("Nothing was changed; your password is still the old one"));
+  } else {
+    console.log(
+      chalk.yellow(
+        "This machine keeps the OLD password, but the server may have applied the change.\n" +
+          "If 'evm login' with the old password fails, log in with the new one to update this machine"
+      )
+    );
+  }
+  process.exit(1);
+}
+
+// evm passwd
+// Changes the password locally and on the server. The private key is resealed
+// under the new password; project keys are wrapped for the public key, which
+// doesn't change, so they stay as they are.
+async function handlePasswd(args) {
+  const currentUser = requireLogin();
+  const user = dbOps.getUserByEmail(currentUser.email);
+  const online = requireServerSession(user, "change your password");
+
+  requireInteractive("your password", "Changing the password needs a terminal");
+  const currentPassword = await promptPassword(
+    `Change password for ${user.email}`,
+    "Enter your current password"
+  );
+  if (!(await dbOps.verifyUser(user.email, currentPassword)).success) {
+    console.log(chalk.red("Current password is incorrect"));
+    process.exit(1);
+  }
+
+  const newPassword = await createSimplePrompt({
+    title: "New password",
+    placeholder: `At least ${MIN_PASSWORD_LENGTH} characters`,
+    isPassword: true,
+    validateInput: (input) =>
+      input.length >= MIN_PASSWORD_LENGTH && input !== currentPassword,
+    errorMessage: `Use at least ${MIN_PASSWORD_LENGTH} characters, different from the current password`,
+  });
+  const repeated = await promptPassword("Repeat the new password", "New password");
+  if (repeated !== newPassword) {
+    console.log(chalk.red("Passwords don't match; nothing was changed"));
+    process.exit(1);
+  }
+
+  let resealed;
+  try {
+    resealed = resealPrivateKey(user.email, currentPassword, newPassword);
+  } catch (error) {
+    console.log(chalk.red(`Could not reseal your private key: ${error.message}`));
+    process.exit(1);
+  }
+
+  // Local first, in one statement that can be undone: a local failure leaves
+  // both sides on the old password, and a refused server change is rolled
+  // back here
+  const local = await dbOps.setUserCredentials(
+    user.email,
+    newPassword,
+    resealed?.protectedKey || null
+  );
+  if (!local.success) {
+    console.log(chalk.red(`Could not update the local password: ${local.error}`));
+    console.log(chalk.yellow("Nothing was changed; your password is still the old one"));
+    process.exit(1);
+  }
+
+  if (online) {
+    // Leaving before the server answered (the MFA prompt was cancelled)
+    // changes nothing either
+    const undoOnExit = () => dbOps.restoreUserCredentials(user.email, local.previous);
+    process.once("exit", undoOnExit);
+    try {
+      await sendWithMfa((mfaCode) =>
+        modernAuth.axiosInstance.post("/auth/password", {
+          current_password: currentPassword,
+          new_password: newPassword,
+          encrypted_private_key: resealed?.protectedKey || null,
+          mfa_code: mfaCode,
+        })
+      );
+    } catch (error) {
+      process.removeListener("exit", undoOnExit);
+      rollBackPasswordChange(user.email, local.previous, error);
+    }
+    process.removeListener("exit", undoOnExit);
+  }
+
+  if (resealed) {
+    try {
+      unlockResealedKey(user.email, resealed);
+    } catch (error) {
+      console.log(
+        chalk.yellow(`Could not unlock your keys: ${error.message}; run 'evm unlock'`)
+      );
+    }
+  }
+
+  console.log(chalk.green(`✓ Password changed for ${user.email}`));
+  if (online) {
+    console.log(
+      chalk.gray("   Your other devices were signed out; log in there with the new password")
+    );
+  }
+}
+
+// evm account delete [--yes]
+// Deletes the account on the server, with every project it owns, then
+// removes ~/.evm from this machine. Project directories are left alone.
+async function deleteAccount(args) {
+  const currentUser = requireLogin();
+  const user = dbOps.getUserByEmail(currentUser.email);
+  const online = requireServerSession(user, "delete your account");
+  const evmDir = configManager.getEvmDir();
+  const otherUsers = dbOps
+    .getAllUsers()
+    .filter((other) => other.email !== user.email);
+
+  requireInteractive("your password", "Deleting the account needs a terminal");
+  const password = await promptPassword(`Delete account ${user.email}`);
+  if (!(await dbOps.verifyUser(user.email, password)).success) {
+    console.log(chalk.red("Password is incorrect"));
+    process.exit(1);
+  }
+
+  console.log(chalk.red.bold(`\nYou are about to delete the account ${user.email}`));
+  if (online) {
+    console.log(
+      chalk.red(
+        "The server deletes every project you own, with all files and versions, for every member."
+      )
+    );
+    console.log(chalk.yellow("Projects shared with you lose you as a member."));
+  }
+  console.log(chalk.yellow(`${evmDir} is removed from this machine.`));
+  if (otherUsers.length > 0) {
+    console.log(
+      chalk.red(
+        `It also holds the local data of: ${otherUsers
+          .map((other) => other.email)
+          .join(", ")}`
+      )
+    );
+  }
+  console.log(chalk.yellow("This action cannot be undone!\n"));
+
+  if (!hasFlag(args, "--yes", "-y")) {
+    const confirmation = await createSimplePrompt({
+      title: `Type your email to confirm deleting ${user.email}:`,
+      placeholder: user.email,
+      width: 50,
+      borderColor: "red",
+      validateInput: (input) => input === user.email,
+      errorMessage: "Type your email to confirm or Ctrl+C to cancel",
+    });
+    if (confirmation !== user.email) {
+      console.log(chalk.yellow("Account deletion cancelled"));
+      return;
+    }
+  }
+
+  if (online) {
+    try {
+      const response = await sendWithMfa((mfaCode) =>
+        modernAuth.axiosInstance.delete("/auth/account", {
+          data: { password, mfa_code: mfaCode },
+        })
+      );
+      const deleted = response.data.deleted_projects || [];
+      console.log(
+        chalk.green(`✓ Account deleted on the server (${deleted.length} project(s))`)
+      );
+    } catch (error) {
+      reportAccountError("delete account", error);
+    }
+  }
+
+  db.close();
+  fs.rmSync(evmDir, { recursive: true, force: true });
+  console.log(chalk.green(`✓ Removed ${evmDir}`));
+  console.log(
+    chalk.gray(
+      "   .env files and .evm-config.json in your project directories were left in place"
+    )
+  );
+}
+
+// evm account delete
+async function handleAccount(args) {
+  switch (args[1]) {
+    case "delete":
+      return deleteAccount(args);
+    default:
+      console.log(
+        chalk.red(args[1] ? `Unknown account action "${args[1]}"` : "Missing account action")
+      );
+      console.log(chalk.yellow(USAGE));
+      process.exit(1);
+  }
+}
+
+module.exports = {
+  handlePasswd,
+  handleAccount,
+};
@@ -0,0 +1,234 @@
+const chalk = require("chalk");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { configManager } = require("../config");
+const { createAuthenticatedAxios } = require("../env-manager");
+const { getFlagValue } = require("../cli-options");
+const { getUserAndProject, reportCloudError } = require("./team");
+
+const USAGE = "Usage: evm audit [--since 7d|2024-10-01] [--limit <n>]";
+const DEFAULT_LIMIT = 100;
+
+const DURATION_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// The newest event seen per project, to notice a log rewritten since then
+const ANCHORS_PATH = path.join(configManager.getEvmDir(), "audit-anchors.json");
+
+// Must match auditEventHash in evm-server/server.js
+function auditEventHash(event) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        event.prev_hash,
+        event.project_id,
+        event.project_name,
+        event.actor,
+        event.action,
+        event.target,
+        event.details,
+        new Date(event.created_at).toISOString(),
+      ])
+    )
+    .digest("hex");
+}
+
+// "7d", "12h", "4w" ago, or a date. Returns null when invalid.
+function parseSince(text, now = new Date()) {
+  const match = /^(\d+)([hdw])$/.exec(text);
+  if (match) {
+    return new Date(now.getTime() - Number(match[1]) * DURATION_UNITS_MS[match[2]]);
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Problems found in the chain, as { id, problem }. wholeChain: the events
+// start at the project's first event.
+function verifyChain(events, projectId, genesis, wholeChain) {
+  const problems = [];
+
+  events.forEach((event, index) => {
+    const hash = auditEventHash({ ...event, project_id: projectId });
+    if (hash !== event.hash) {
+      problems.push({ id: event.id, problem: "contents don't match its hash" });
+    }
+    const expectedPrev = index > 0 ? events[index - 1].hash : wholeChain ? genesis : null;
+    if (expectedPrev && event.prev_hash !== expectedPrev) {
+      problems.push({
+        id: event.id,
+        problem: "the event before it is missing or was changed",
+      });
+    }
+  });
+
+  return problems;
+}
+
+function anchorKey(projectId) {
+  return `${configManager.getServerUrl()}#${projectId}`;
+}
+
+function readAnchors() {
+  try {
+    return JSON.parse(fs.readFileSync(ANCHORS_PATH, "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveAnchor(projectId, event) {
+  const anchors = readAnchors();
+  const key = anchorKey(projectId);
+  // Event ids are BIGSERIAL, which the server sends as strings
+  if (anchors[key] && anchors[key].id >= Number(event.id)) {
+    return;
+  }
+  anchors[key] = { id: Number(event.id), hash: event.hash };
+  fs.writeFileSync(ANCHORS_PATH, JSON.stringify(anchors, null, 2));
+}
+
+function describeDetails(details) {
+  if (!details) return "";
+  try {
+    const parsed = JSON.parse(details);
+    if (parsed.from !== undefined && parsed.to !== undefined) {
+      return `${parsed.from} → ${parsed.to}`;
+    }
+    return Object.entries(parsed)
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) =>
+        `${key}: ${Array.isArray(value) ? value.join(", ") : value}`
+      )
+      .join("; ");
+  } catch (error) {
+    return details;
+  }
+}
+
+function printEvent(event, tampered) {
+  const when = new Date(event.created_at).toLocaleString().padEnd(22);
+  const line = `${when} ${event.actor.padEnd(26)} ${event.action.padEnd(15)} ${
+    event.target || ""
+  }`;
+  const details = describeDetails(event.details);
+
+  if (tampered) {
+    console.log(chalk.red(`✗ ${line}`));
+  } else {
+    console.log(
+      event.action.endsWith(".read") ? chalk.gray(`  ${line}`) : chalk.white(`  ${line}`)
+    );
+  }
+  if (details) {
+    console.log(chalk.gray(`${" ".repeat(68)}${details}`));
+  }
+}
+
+// evm audit [--since <when>] [--limit <n>]
+// Lists the project's audit log (owners only) and checks its hash chain.
+// Exits 1 when the chain is broken.
+async function handleAudit(args) {
+  const sinceText = getFlagValue(args, "--since");
+  const limitText = getFlagValue(args, "--limit");
+  const since = sinceText ? parseSince(sinceText) : null;
+  const limit = limitText ? Number(limitText) : DEFAULT_LIMIT;
+
+  if (sinceText === null || (sinceText && !since)) {
+    console.log(chalk.red(`Invalid --since "${sinceText || ""}"`));
+    console.log(chalk.yellow(USAGE));
+    process.exit(1);
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.log(chalk.red(`Invalid --limit "${limitText}"`));
+    console.log(chalk.yellow(USAGE));
+    process.exit(1);
+  }
+
+  const { project } = getUserAndProject();
+
+  let data;
+  try {
+    const api = createAuthenticatedAxios();
+    const known = readAnchors();
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (since) params.set("since", since.toISOString());
+
+    const response = await api.get(
+      `/projects/${encodeURIComponent(project.name)}/audit?${params}`
+    );
+    data = response.data;
+
+    // Anchors are keyed by the server's project id, known only now
+    const anchor = known[anchorKey(data.projectId)];
+    if (anchor) {
+      const anchorResponse = await api.get(
+        `/projects/${encodeURIComponent(project.name)}/audit?limit=1&anchor=${anchor.id}`
+      );
+      data.anchorCheck = { expected: anchor, found: anchorResponse.data.anchor };
+    }
+  } catch (error) {
+    reportCloudError("read the audit log", error);
+  }
+
+  const events = data.events || [];
+  const wholeChain = !since && events.length < limit;
+  const problems = verifyChain(events, data.projectId, data.genesis, wholeChain);
+
+  if (data.anchorCheck) {
+    const { expected, found } = data.anchorCheck;
+    if (!found) {
+      problems.push({
+        id: expected.id,
+        problem: "an event seen by an earlier 'evm audit' is gone",
+      });
+    } else if (found.hash !== expected.hash) {
+      problems.push({
+        id: expected.id,
+        problem: "an event seen by an earlier 'evm audit' was rewritten",
+      });
+    }
+  }
+
+  console.log(chalk.blue.bold(`\nAudit log of project: ${data.projectName}\n`));
+  if (events.length === 0) {
+    console.log(chalk.gray("No events"));
+  } else {
+    console.log(
+      chalk.cyan(
+        `  ${"Date".padEnd(22)} ${"Actor".padEnd(26)} ${"Action".padEnd(15)} Target`
+      )
+    );
+    console.log(chalk.gray("-".repeat(84)));
+    const tamperedIds = new Set(problems.map((problem) => problem.id));
+    events.forEach((event) => printEvent(event, tamperedIds.has(event.id)));
+  }
+
+  if (problems.length > 0) {
+    console.log(chalk.red.bold("\n✗ The audit log has been tampered with:"));
+    problems.forEach(({ id, problem }) => {
+      console.log(chalk.red(`   event ${id}: ${problem}`));
+    });
+    process.exit(1);
+  }
+
+  if (events.length > 0) {
+    saveAnchor(data.projectId, events[events.length - 1]);
+  }
+  console.log(
+    chalk.green(
+      `\n✓ Hash chain intact (${events.length} event(s)${
+        wholeChain ? ", from the first event" : ""
+      })`
+    )
+  );
+}
+
+module.exports = {
+  handleAudit,
+};
@@ -14,7 +14,10 @@ async function handleLogin(args) {
 
 async function handleRegister(args) {
   console.log(chalk.blue("[INFO] USER REGISTRATION"));
-  await modernAuth.register();
+  const result = await modernAuth.register();
+  if (!result.success) {
+    process.exit(1);
+  }
 }
 
 async function handleLogout(args) {
@@ -38,6 +41,115 @@ async function handleWhoami(args) {
   }
 }
 
+function formatSessionDate(value) {
+  return value ? new Date(value).toLocaleString() : "-";
+}
+
+function reportSessionError(action, error) {
+  const errorMsg = error.response?.data?.error || error.message;
+  console.log(chalk.red(`[ERROR] Could not ${action}: ${errorMsg}`));
+  if (!modernAuth.getStoredToken()) {
+    console.log(chalk.yellow("Sessions are kept on the server; log in online first"));
+  }
+  process.exit(1);
+}
+
+// evm sessions
+async function listSessions() {
+  let sessions;
+  try {
+    const response = await modernAuth.axiosInstance.get("/auth/sessions");
+    sessions = response.data.sessions || [];
+  } catch (error) {
+    reportSessionError("list sessions", error);
+  }
+
+  console.log(chalk.blue.bold("\nSigned-in devices\n"));
+  console.log(
+    chalk.cyan(
+      `${"ID".padEnd(10)} ${"Device".padEnd(28)} ${"Signed in".padEnd(22)} Last active`
+    )
+  );
+  console.log(chalk.gray("-".repeat(84)));
+
+  sessions.forEach((session) => {
+    const line = `${session.session_id.substring(0, 8).padEnd(10)} ${(
+      session.device_name || "unknown"
+    ).padEnd(28)} ${formatSessionDate(session.created_at).padEnd(22)} ${formatSessionDate(
+      session.last_used_at
+    )}`;
+    console.log(
+      session.current
+        ? chalk.white.bold(`${line}  (this device)`)
+        : chalk.white(line)
+    );
+  });
+
+  console.log(chalk.gray("\nSign a device out with 'evm sessions revoke <id>'"));
+}
+
+// evm sessions revoke <id>
+// <id> is the prefix shown by 'evm sessions', like a commit hash
+async function revokeSession(id) {
+  if (!id) {
+    console.log(chalk.red("Missing session id"));
+    console.log(chalk.yellow("Usage: evm sessions revoke <id> (see 'evm sessions')"));
+    process.exit(1);
+  }
+
+  let matches;
+  try {
+    const response = await modernAuth.axiosInstance.get("/auth/sessions");
+    matches = (response.data.sessions || []).filter((session) =>
+      session.session_id.startsWith(id)
+    );
+  } catch (error) {
+    reportSessionError("list sessions", error);
+  }
+
+  if (matches.length !== 1) {
+    console.log(
+      chalk.red(
+        matches.length === 0
+          ? `No active session "${id}"`
+          : `Session id "${id}" is ambiguous, use more characters`
+      )
+    );
+    process.exit(1);
+  }
+
+  const [session] = matches;
+  if (session.current) {
+    console.log(
+      chalk.yellow("[INFO] That is this device; use 'evm logout' to sign out here")
+    );
+    process.exit(1);
+  }
+
+  try {
+    await modernAuth.axiosInstance.delete(`/auth/sessions/${session.session_id}`);
+  } catch (error) {
+    reportSessionError("revoke session", error);
+  }
+  console.log(
+    chalk.green(
+      `[SUCCESS] Signed out ${session.device_name || "device"} (${id})`
+    )
+  );
+}
+
+async function handleSessions(args) {
+  if (args[1] === "revoke") {
+    return revokeSession(args[2]);
+  }
+  if (args[1]) {
+    console.log(chalk.red(`Unknown sessions action "${args[1]}"`));
+    console.log(chalk.yellow("Usage: evm sessions [revoke <id>]"));
+    process.exit(1);
+  }
+  return listSessions();
+}
+
 async function requireAuth(localOnly = false) {
   return await modernAuth.requireAuth(localOnly);
 }
@@ -47,6 +159,7 @@ module.exports = {
   handleRegister,
   handleLogout,
   handleWhoami,
+  handleSessions,
   requireAuth,
   modernAuth,
 };
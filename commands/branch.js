@@ -0,0 +1,357 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const { dbOps, sessionManager } = require("../db");
+const {
+  decryptProjectContent,
+  createAuthenticatedAxios,
+  syncTags,
+} = require("../env-manager");
+
+// Branch and tag names
+const REF_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+
+// Resolve the logged in user and the project bound to the current directory
+function getUserAndProject() {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+
+  const currentUser = dbOps.getCurrentUser();
+  const currentProject = dbOps.getCurrentProject(currentUser.userId);
+  if (!currentProject.success) {
+    console.log(chalk.red("No active project found. Run 'evm init' first."));
+    process.exit(1);
+  }
+
+  return { currentUser, project: currentProject.project };
+}
+
+function listBranches(project) {
+  const result = dbOps.getBranches(project.id);
+  if (!result.success) {
+    console.log(chalk.red(`Failed to list branches: ${result.error}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue.bold(`\nBranches for project: ${project.name}\n`));
+
+  if (result.branches.length === 0) {
+    console.log(chalk.green(`* ${result.current}`) + chalk.gray(" (no commits yet)"));
+    return;
+  }
+
+  result.branches.forEach((branch) => {
+    const head = branch.head_hash
+      ? branch.head_hash.substring(0, 8)
+      : "no commits";
+    if (branch.name === result.current) {
+      console.log(chalk.green.bold(`* ${branch.name.padEnd(24)}`) + chalk.yellow(head));
+    } else {
+      console.log(chalk.white(`  ${branch.name.padEnd(24)}`) + chalk.gray(head));
+    }
+  });
+}
+
+async function deleteBranch(currentUser, project, name) {
+  const { name: current } = dbOps.getCurrentBranch(project.id);
+  if (name === current) {
+    console.log(chalk.red(`Cannot delete the current branch "${name}"`));
+    console.log(chalk.yellow("Check out another branch first"));
+    process.exit(1);
+  }
+
+  const result = dbOps.deleteBranch(project.id, name);
+  if (!result.success) {
+    console.log(chalk.red(result.error));
+    process.exit(1);
+  }
+
+  console.log(chalk.green(`✓ Deleted branch ${name}`));
+  console.log(chalk.gray("   Its commits stay reachable by hash"));
+
+  let deletedInCloud = false;
+  if (sessionManager.isOnline()) {
+    try {
+      const api = createAuthenticatedAxios();
+      await api.delete(
+        `/projects/${encodeURIComponent(
+          project.name
+        )}/branches/${encodeURIComponent(name)}`
+      );
+      deletedInCloud = true;
+    } catch (error) {
+      // Never uploaded: nothing to delete in the cloud
+      deletedInCloud = error.response?.status === 404;
+    }
+  }
+
+  if (!deletedInCloud) {
+    dbOps.addPendingOperation(
+      "DELETE",
+      "BRANCH",
+      project.id,
+      name,
+      null,
+      project.id,
+      currentUser.userId,
+      JSON.stringify({ projectName: project.name })
+    );
+    console.log(chalk.gray("   Cloud deletion queued for next 'evm sync'"));
+  }
+}
+
+// evm branch                 list branches
+// evm branch <name>          create a branch at the current commit
+// evm branch -d <name>       delete a branch
+async function handleBranch(args) {
+  const { currentUser, project } = getUserAndProject();
+
+  if (args.length === 1) {
+    listBranches(project);
+    return;
+  }
+
+  if (args[1] === "-d" || args[1] === "--delete") {
+    const name = args[2];
+    if (!name) {
+      console.log(chalk.red("Missing branch name"));
+      console.log(chalk.yellow("Usage: evm branch -d <name>"));
+      process.exit(1);
+    }
+    await deleteBranch(currentUser, project, name);
+    return;
+  }
+
+  const name = args[1];
+  if (!REF_NAME_PATTERN.test(name)) {
+    console.log(chalk.red(`Invalid branch name "${name}"`));
+    console.log(
+      chalk.yellow("Use letters, digits, '.', '_', '-' and '/' only")
+    );
+    process.exit(1);
+  }
+
+  const result = dbOps.createBranch(project.id, name);
+  if (!result.success) {
+    console.log(chalk.red(result.error));
+    process.exit(1);
+  }
+
+  const { name: current } = dbOps.getCurrentBranch(project.id);
+  console.log(chalk.green(`✓ Created branch ${name} from ${current}`));
+  console.log(chalk.gray(`   Run 'evm checkout ${name}' to switch to it`));
+}
+
+// evm checkout <name> [--force]
+// Switches branches and rewrites the working files to the branch's versions.
+async function handleCheckout(args) {
+  const { currentUser, project } = getUserAndProject();
+  const name = args[1];
+  const force = args.includes("--force") || args.includes("-f");
+
+  if (!name || name.startsWith("-")) {
+    console.log(chalk.red("Missing branch name"));
+    console.log(chalk.yellow("Usage: evm checkout <branch> [--force]"));
+    process.exit(1);
+  }
+
+  const branchesResult = dbOps.getBranches(project.id);
+  const target = branchesResult.success
+    ? branchesResult.branches.find((branch) => branch.name === name)
+    : null;
+  if (!target) {
+    console.log(chalk.red(`Branch "${name}" not found`));
+    console.log(chalk.yellow("Use 'evm branch' to list branches"));
+    process.exit(1);
+  }
+
+  const { name: current, branch: currentBranch } = dbOps.getCurrentBranch(
+    project.id
+  );
+  if (name === current) {
+    console.log(chalk.yellow(`Already on branch ${name}`));
+    return;
+  }
+
+  const decrypt = (version) =>
+    decryptProjectContent(
+      version.encrypted_content,
+      version.iv,
+      version.tag,
+      project.id,
+      currentUser.email
+    );
+
+  const filesResult = dbOps.getEnvFilesByProject(project.id);
+  const envFiles = filesResult.success ? filesResult.envFiles : [];
+
+  // Decrypt everything up front so a failure leaves the working files alone
+  const states = [];
+  const dirty = [];
+  for (const envFile of envFiles) {
+    const currentVersion = currentBranch?.head_commit_id
+      ? dbOps.getFileVersionAtCommit(envFile.id, {
+          id: currentBranch.head_commit_id,
+        })
+      : { success: false };
+    const targetVersion = target.head_commit_id
+      ? dbOps.getFileVersionAtCommit(envFile.id, { id: target.head_commit_id })
+      : { success: false };
+
+    const onDisk = fs.existsSync(envFile.name)
+      ? fs.readFileSync(envFile.name, "utf8")
+      : null;
+    const committed = currentVersion.success
+      ? decrypt(currentVersion.version)
+      : null;
+
+    if (onDisk !== null && onDisk !== committed) {
+      dirty.push(envFile.name);
+    }
+
+    states.push({
+      envFileId: envFile.id,
+      name: envFile.name,
+      version: targetVersion.success ? targetVersion.version : null,
+      content: targetVersion.success ? decrypt(targetVersion.version) : null,
+      trackedHere: currentVersion.success,
+    });
+  }
+
+  if (dirty.length > 0 && !force) {
+    console.log(chalk.red("You have uncommitted changes in:"));
+    dirty.forEach((file) => console.log(chalk.red(`   ${file}`)));
+    console.log(
+      chalk.yellow(
+        "Commit them with 'evm add' and 'evm push', or use --force to discard them"
+      )
+    );
+    process.exit(1);
+  }
+
+  const result = dbOps.checkoutBranch(project.id, name, states);
+  if (!result.success) {
+    console.log(chalk.red(`Checkout failed: ${result.error}`));
+    process.exit(1);
+  }
+
+  let written = 0;
+  let removed = 0;
+  for (const state of states) {
+    if (state.content !== null) {
+      fs.writeFileSync(state.name, state.content, "utf8");
+      written++;
+    } else if (state.trackedHere && fs.existsSync(state.name)) {
+      // The file isn't on the target branch
+      fs.unlinkSync(state.name);
+      removed++;
+    }
+  }
+
+  console.log(chalk.green(`✓ Switched to branch ${name}`));
+  console.log(
+    chalk.gray(`   ${written} file(s) updated, ${removed} file(s) removed`)
+  );
+}
+
+function listTags(project) {
+  const result = dbOps.getTags(project.id);
+  if (!result.success) {
+    console.log(chalk.red(`Failed to list tags: ${result.error}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue.bold(`\nTags for project: ${project.name}\n`));
+
+  if (result.tags.length === 0) {
+    console.log(chalk.yellow("No tags yet"));
+    console.log(chalk.gray("   Use 'evm tag <name> [hash]' to name a commit"));
+    return;
+  }
+
+  result.tags.forEach((tag) => {
+    const date = new Date(tag.commit_date).toLocaleDateString();
+    console.log(
+      chalk.green(tag.name.padEnd(24)) +
+        chalk.yellow(tag.commit_hash.substring(0, 8)) +
+        chalk.gray(`  ${date}  `) +
+        chalk.white(tag.message || "")
+    );
+  });
+}
+
+// evm tags
+async function handleTags() {
+  const { project } = getUserAndProject();
+  listTags(project);
+}
+
+// evm tag                    list tags
+// evm tag <name> [hash]      tag a commit (default: the current branch head)
+async function handleTag(args) {
+  const { project } = getUserAndProject();
+
+  if (args.length === 1) {
+    listTags(project);
+    return;
+  }
+
+  const [, name, hash] = args;
+  if (!REF_NAME_PATTERN.test(name)) {
+    console.log(chalk.red(`Invalid tag name "${name}"`));
+    console.log(
+      chalk.yellow("Use letters, digits, '.', '_', '-' and '/' only")
+    );
+    process.exit(1);
+  }
+
+  let commit;
+  if (hash) {
+    const commitResult = dbOps.resolveCommitHash(project.id, hash);
+    if (!commitResult.success) {
+      console.log(chalk.red(commitResult.error));
+      console.log(chalk.yellow('Use "evm log" to see available commits'));
+      process.exit(1);
+    }
+    commit = commitResult.commit;
+  } else {
+    const { name: current, branch } = dbOps.getCurrentBranch(project.id);
+    if (!branch?.head_commit_id) {
+      console.log(chalk.red(`Branch ${current} has no commits to tag`));
+      process.exit(1);
+    }
+    commit = dbOps.getCommitById(branch.head_commit_id).commit;
+  }
+
+  const result = dbOps.createTag(project.id, name, commit.id);
+  if (!result.success) {
+    console.log(chalk.red(result.error));
+    process.exit(1);
+  }
+
+  console.log(
+    chalk.green(`✓ Tagged ${commit.commit_hash.substring(0, 8)} as ${name}`)
+  );
+
+  if (sessionManager.isOnline()) {
+    const tagSync = await syncTags(
+      createAuthenticatedAxios(),
+      project.id,
+      project.name
+    );
+    if (tagSync.failed > 0) {
+      console.log(chalk.yellow(`⚠ Tag not uploaded: ${tagSync.error}`));
+      console.log(chalk.gray("   It will be retried on the next 'evm sync'"));
+    }
+  } else {
+    console.log(chalk.gray("   It will be uploaded on the next 'evm sync'"));
+  }
+}
+
+module.exports = {
+  handleBranch,
+  handleCheckout,
+  handleTag,
+  handleTags,
+};
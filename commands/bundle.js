@@ -0,0 +1,467 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const { dbOps } = require("../db");
+const { configManager } = require("../config");
+const { createSimplePrompt } = require("../components/text-input");
+const {
+  getFlagValue,
+  positionalArgs,
+  requireInteractive,
+  toIsoDate,
+} = require("../cli-options");
+const {
+  encryptProjectContent,
+  decryptProjectContent,
+  getCommittedContent,
+} = require("../env-manager");
+const {
+  BUNDLE_EXTENSION,
+  MIN_PASSPHRASE_LENGTH,
+  sealBundle,
+  openBundle,
+  findDuplicateVersionTokens,
+} = require("../bundle");
+const { getKeystoreStatus } = require("../key-manager");
+const { ensureUnlocked } = require("./keys");
+
+const EXPORT_USAGE =
+  "Usage: evm export [project] [-o <file>.evmpack] [--passphrase-file <file>]";
+const IMPORT_USAGE =
+  "Usage: evm import <file>.evmpack [dir] [--passphrase-file <file>]";
+const PASSPHRASE_ENV = "EVM_BUNDLE_PASSPHRASE";
+
+function requireLogin() {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+  return dbOps.getCurrentUser();
+}
+
+function fail(message, hint) {
+  console.log(chalk.red(message));
+  if (hint) {
+    console.log(chalk.yellow(hint));
+  }
+  process.exit(1);
+}
+
+// Names from a bundle become paths, so only plain file and directory names
+function isPlainName(name) {
+  return (
+    typeof name === "string" &&
+    name !== "" &&
+    name !== "." &&
+    name !== ".." &&
+    path.basename(name) === name
+  );
+}
+
+// The project's files with their whole history, in clear text
+function collectProject(project, userEmail) {
+  const decrypt = (row) =>
+    decryptProjectContent(
+      row.encrypted_content,
+      row.iv,
+      row.tag,
+      project.id,
+      userEmail
+    );
+
+  const filesResult = dbOps.getEnvFilesByProject(project.id);
+  if (!filesResult.success) {
+    throw new Error(filesResult.error);
+  }
+
+  const files = filesResult.envFiles.map((envFile) => {
+    const versionsResult = dbOps.getVersionHistory(envFile.id);
+    const rollbacksResult = dbOps.getRollbackHistory(envFile.id);
+    return {
+      name: envFile.name,
+      content: decrypt(envFile),
+      versions: (versionsResult.success ? versionsResult.versions : []).map(
+        (version) => ({
+          version_token: version.version_token,
+          content: decrypt(version),
+          commit_message: version.commit_message,
+          author_email: version.author_email,
+          created_at: toIsoDate(version.createdAt),
+        })
+      ),
+      rollbacks: (rollbacksResult.success ? rollbacksResult.rollbacks : []).map(
+        (rollback) => ({
+          from_version_token: rollback.from_version_token,
+          to_version_token: rollback.to_version_token,
+          rollback_reason: rollback.rollback_reason,
+          performed_by: rollback.performed_by,
+          created_at: toIsoDate(rollback.createdAt),
+        })
+      ),
+    };
+  });
+
+  const commitLog = dbOps.getProjectCommitLog(project.id, { all: true });
+  const branches = dbOps.getBranches(project.id);
+  const tags = dbOps.getTags(project.id);
+
+  return {
+    exported_at: new Date().toISOString(),
+    exported_by: userEmail,
+    project: { name: project.name, description: project.description || "" },
+    files,
+    commits: (commitLog.success ? commitLog.commits : []).map((commit) => ({
+      commit_hash: commit.commit_hash,
+      message: commit.message,
+      author_email: commit.author_email,
+      parent_hash: commit.parent_hash,
+      created_at: toIsoDate(commit.createdAt),
+    })),
+    branches: (branches.success ? branches.branches : [])
+      .filter((branch) => branch.head_hash)
+      .map((branch) => ({ name: branch.name, head_hash: branch.head_hash })),
+    tags: (tags.success ? tags.tags : []).map((tag) => ({
+      name: tag.name,
+      commit_hash: tag.commit_hash,
+    })),
+  };
+}
+
+// The passphrase from --passphrase-file or EVM_BUNDLE_PASSPHRASE, so scripts
+// and machines without a terminal can move bundles; null when neither is set.
+// The file's trailing newline is not part of the passphrase.
+function readPassphrase(args, usage) {
+  const file = getFlagValue(args, "--passphrase-file");
+  if (file === null) {
+    fail("Missing file after --passphrase-file", usage);
+  }
+  if (file) {
+    try {
+      return fs.readFileSync(file, "utf8").replace(/\r?\n$/, "");
+    } catch (error) {
+      fail(`Cannot read ${file}: ${error.message}`);
+    }
+  }
+  return process.env[PASSPHRASE_ENV] || null;
+}
+
+// Without a terminal the keys must already be unlocked
+async function unlockForBundle(userEmail) {
+  if (!getKeystoreStatus(userEmail)) {
+    requireInteractive("your password", "Run 'evm unlock' first");
+  }
+  await ensureUnlocked(userEmail);
+}
+
+// evm export [project] [-o <file>] [--passphrase-file <file>]
+// Writes the project, its files and their whole history to a
+// passphrase-encrypted bundle for machines that can't reach the server
+async function handleExport(args) {
+  const currentUser = requireLogin();
+  const projectName = positionalArgs(args, [
+    "--output",
+    "-o",
+    "--passphrase-file",
+  ])[1];
+  const output = getFlagValue(args, "--output", "-o");
+  if (output === null) {
+    fail("Missing file after --output", EXPORT_USAGE);
+  }
+
+  const projectResult = projectName
+    ? dbOps.getProjectByName(currentUser.userId, projectName)
+    : dbOps.getCurrentProject(currentUser.userId);
+  if (!projectResult.success) {
+    fail(
+      projectName
+        ? `Project "${projectName}" not found`
+        : "No active project found. Run 'evm init' first.",
+      EXPORT_USAGE
+    );
+  }
+  const project = projectResult.project;
+
+  const target = path.resolve(output || `${project.name}${BUNDLE_EXTENSION}`);
+  if (fs.existsSync(target)) {
+    fail(`${target} already exists`, "Choose another file with -o <file>");
+  }
+
+  let passphrase = readPassphrase(args, EXPORT_USAGE);
+  if (passphrase !== null && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    fail(`The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (passphrase === null) {
+    requireInteractive(
+      "a passphrase",
+      `Pass --passphrase-file <file> or set ${PASSPHRASE_ENV}`
+    );
+  }
+  await unlockForBundle(currentUser.email);
+
+  let payload;
+  try {
+    payload = collectProject(project, currentUser.email);
+  } catch (error) {
+    fail(`Could not read project "${project.name}": ${error.message}`);
+  }
+
+  if (passphrase === null) {
+    passphrase = await createSimplePrompt({
+      title: `Passphrase for the bundle of ${project.name}`,
+      placeholder: `At least ${MIN_PASSPHRASE_LENGTH} characters`,
+      isPassword: true,
+      validateInput: (input) => input.length >= MIN_PASSPHRASE_LENGTH,
+      errorMessage: `Use at least ${MIN_PASSPHRASE_LENGTH} characters`,
+    });
+    const repeated = await createSimplePrompt({
+      title: "Repeat the passphrase",
+      placeholder: "Passphrase",
+      isPassword: true,
+    });
+    if (repeated !== passphrase) {
+      fail("Passphrases don't match; nothing was written");
+    }
+  }
+
+  fs.writeFileSync(target, sealBundle(payload, passphrase), { mode: 0o600 });
+
+  const versionCount = payload.files.reduce(
+    (count, file) => count + file.versions.length,
+    0
+  );
+  console.log(
+    chalk.green(
+      `✓ Exported ${project.name}: ${payload.files.length} file(s), ${versionCount} version(s)`
+    )
+  );
+  console.log(chalk.gray(`   ${target}`));
+  console.log(
+    chalk.yellow(
+      "Share the passphrase separately; anyone with both can read every version."
+    )
+  );
+}
+
+// Checks the bundle's names and version tokens before anything is written
+function validatePayload(payload) {
+  if (!isPlainName(payload?.project?.name) || !Array.isArray(payload.files)) {
+    throw new Error("The bundle has no valid project");
+  }
+  for (const file of payload.files) {
+    if (!isPlainName(file.name)) {
+      throw new Error(`The bundle contains an invalid file name "${file.name}"`);
+    }
+    const duplicates = findDuplicateVersionTokens(file.versions || []);
+    if (duplicates.length > 0) {
+      throw new Error(
+        `${file.name} repeats version token(s) ${duplicates
+          .map((token) => token.substring(0, 8))
+          .join(", ")}`
+      );
+    }
+  }
+}
+
+// evm import <file> [dir] [--passphrase-file <file>]
+// Restores a bundle written by 'evm export'. A project new to this machine is
+// created in [dir] (default ./<project>); an existing one gains the versions
+// it doesn't have yet.
+async function handleImport(args) {
+  const currentUser = requireLogin();
+  const [, bundlePath, targetArg] = positionalArgs(args, ["--passphrase-file"]);
+  if (!bundlePath) {
+    fail("Missing bundle file", IMPORT_USAGE);
+  }
+  if (!fs.existsSync(bundlePath)) {
+    fail(`${bundlePath} not found`);
+  }
+
+  let passphrase = readPassphrase(args, IMPORT_USAGE);
+  if (passphrase === null) {
+    requireInteractive(
+      "the passphrase",
+      `Pass --passphrase-file <file> or set ${PASSPHRASE_ENV}`
+    );
+    passphrase = await createSimplePrompt({
+      title: `Passphrase for ${path.basename(bundlePath)}`,
+      placeholder: "Passphrase",
+      isPassword: true,
+    });
+  }
+
+  let payload;
+  try {
+    payload = openBundle(fs.readFileSync(bundlePath, "utf8"), passphrase);
+    validatePayload(payload);
+  } catch (error) {
+    fail(`Cannot import ${bundlePath}: ${error.message}`);
+  }
+
+  const projectName = payload.project.name;
+  const existing = dbOps.getProjectByUserAndName(currentUser.userId, projectName);
+  if (existing.success && targetArg) {
+    fail(
+      `Project "${projectName}" already exists locally at ${existing.project.directory_path}`,
+      "Import without [dir] to add the bundle's history to it"
+    );
+  }
+
+  await unlockForBundle(currentUser.email);
+
+  let project;
+  let projectDir;
+  if (existing.success) {
+    project = existing.project;
+    projectDir = project.directory_path;
+    console.log(chalk.cyan(`Importing into existing project "${projectName}"`));
+  } else {
+    projectDir = path.resolve(process.cwd(), targetArg || projectName);
+    if (fs.existsSync(projectDir) && fs.readdirSync(projectDir).length > 0) {
+      fail(`Destination "${projectDir}" already exists and is not an empty directory`);
+    }
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    const createResult = dbOps.createProject(
+      currentUser.userId,
+      projectName,
+      payload.project.description,
+      projectDir
+    );
+    if (!createResult.success) {
+      fail(`Failed to create local project: ${createResult.error}`);
+    }
+    project = { id: createResult.projectId, name: projectName };
+    console.log(chalk.cyan(`Importing project "${projectName}" into ${projectDir}`));
+  }
+
+  // Contents are re-encrypted with this machine's key for the project
+  const encrypt = (content) => {
+    const { encryptedContent, iv, tag } = encryptProjectContent(
+      content,
+      project.id,
+      currentUser.email
+    );
+    return { encrypted_content: encryptedContent, iv, tag };
+  };
+
+  dbOps.importBundleHistory(
+    project.id,
+    payload.commits,
+    payload.branches,
+    payload.tags
+  );
+
+  let importedCount = 0;
+  let skippedCount = 0;
+  let errorCount = 0;
+  let versionCount = 0;
+  let duplicateCount = 0;
+
+  for (const file of payload.files) {
+    const { name } = file;
+    const filePath = path.join(projectDir, name);
+    const previousContent = existing.success
+      ? getCommittedContent(project.id, name, currentUser.email)
+      : null;
+
+    const importResult = dbOps.importFileVersions(
+      project.id,
+      name,
+      encrypt(file.content),
+      file.versions.map((version) => ({
+        ...encrypt(version.content),
+        version_token: version.version_token,
+        commit_message: version.commit_message,
+        author_email: version.author_email,
+        created_at: version.created_at,
+      }))
+    );
+    if (!importResult.success) {
+      console.log(
+        chalk.red(`⇣ ${name} - failed to import to database: ${importResult.error}`)
+      );
+      errorCount++;
+      continue;
+    }
+    dbOps.importRollbackHistory(importResult.fileId, file.rollbacks || []);
+    if (importResult.inserted === 0 && file.versions.length > 0) {
+      console.log(chalk.gray(`⇣ ${name} - already up to date, skipped`));
+      skippedCount++;
+      continue;
+    }
+
+    // Check out the current branch's version, unless the working copy has
+    // edits of its own
+    const headVersion = dbOps.getHeadVersion(importResult.fileId);
+    const checkedOut = headVersion.success
+      ? decryptProjectContent(
+          headVersion.version.encrypted_content,
+          headVersion.version.iv,
+          headVersion.version.tag,
+          project.id,
+          currentUser.email
+        )
+      : file.content;
+    const workingContent = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf8")
+      : null;
+    if (workingContent === null || workingContent === previousContent) {
+      fs.writeFileSync(filePath, checkedOut, "utf8");
+    } else if (workingContent !== checkedOut) {
+      console.log(
+        chalk.yellow(`⇣ ${name} - working copy has local edits, left as is`)
+      );
+    }
+
+    versionCount += importResult.inserted;
+    duplicateCount += importResult.duplicates;
+    console.log(
+      chalk.green(
+        `⇣ ${name} - ${importResult.inserted} version(s) imported${
+          importResult.duplicates > 0
+            ? `, ${importResult.duplicates} already present`
+            : ""
+        }`
+      )
+    );
+    importedCount++;
+  }
+
+  // Bind the directory to the project the same way 'evm init' does
+  const projectConfig = configManager.getProjectConfig(projectDir) || {
+    name: projectName,
+    createdAt: new Date().toISOString(),
+    directory: projectDir,
+    envFiles: [],
+    variables: [],
+  };
+  projectConfig.envFiles = [
+    ...new Set([
+      ...(projectConfig.envFiles || []),
+      ...payload.files.map((file) => file.name),
+    ]),
+  ];
+  configManager.saveProjectConfig(projectConfig, projectDir);
+
+  console.log(chalk.cyan(`\nImport complete:`));
+  console.log(
+    chalk.green(`  ✓ ${importedCount} file(s) imported (${versionCount} version(s))`)
+  );
+  if (duplicateCount > 0) {
+    console.log(
+      chalk.gray(`  ${duplicateCount} version(s) were already here (same version token)`)
+    );
+  }
+  if (skippedCount > 0) {
+    console.log(chalk.gray(`  ${skippedCount} file(s) already up to date`));
+  }
+  if (errorCount > 0) {
+    console.log(chalk.red(`  ✗ ${errorCount} file(s) failed to import`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  handleExport,
+  handleImport,
+};
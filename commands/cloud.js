@@ -4,11 +4,30 @@ const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const { dbOps, sessionManager } = require("../db");
+const { configManager } = require("../config");
 const {
-  decryptContent,
+  decryptProjectContent,
   getStagedFiles,
   saveStagedFiles,
+  getConflicts,
+  saveConflicts,
+  syncCommits,
+  syncBranches,
+  syncTags,
 } = require("../env-manager");
+const { mergeEnv } = require("../env-parser");
+const { createRedactor, recordReveal } = require("../redact");
+const {
+  requireInteractive,
+  printJson,
+  failCommand,
+  toIsoDate,
+} = require("../cli-options");
+const { createSimplePrompt } = require("../components/text-input");
+const {
+  getWrappedProjectKey,
+  importWrappedProjectKey,
+} = require("../key-manager");
 
 // Import delete functions from project.js
 const { deleteFileFromCloud } = require("./project");
@@ -30,7 +49,7 @@ const createAuthenticatedAxios = () => {
   }
 
   return axios.create({
-    baseURL: "https://dot-evm-jbko.vercel.app",
+    baseURL: configManager.getServerUrl(),
     timeout: 10000,
     headers: {
       "Content-Type": "application/json",
@@ -230,6 +249,35 @@ async function handleSync(args) {
                   )
                 );
               }
+            } else if (
+              operation.operation_type === "DELETE" &&
+              operation.entity_type === "BRANCH"
+            ) {
+              console.log(
+                chalk.cyan(`Processing branch deletion: ${operation.old_name}`)
+              );
+
+              const operationData = operation.operation_data
+                ? JSON.parse(operation.operation_data)
+                : {};
+
+              try {
+                await api.delete(
+                  `/projects/${encodeURIComponent(
+                    operationData.projectName
+                  )}/branches/${encodeURIComponent(operation.old_name)}`
+                );
+                opSuccess = true;
+              } catch (deleteError) {
+                // Already gone in the cloud (or never uploaded)
+                opSuccess = deleteError.response?.status === 404;
+              }
+
+              console.log(
+                opSuccess
+                  ? chalk.green(`✓ Pending branch deletion completed`)
+                  : chalk.red(`✗ Pending branch deletion failed`)
+              );
             } else if (
               operation.operation_type === "SYNC" &&
               operation.entity_type === "FILE"
@@ -254,39 +302,39 @@ async function handleSync(args) {
                   tag: envFile.envFile.tag,
                   created_at: envFile.envFile.createdAt,
                   updated_at: envFile.envFile.updatedAt,
+                  wrapped_key: getWrappedProjectKey(
+                    envFile.envFile.project_id
+                  ),
                 };
 
                 const response = await api.post("/env-files", syncData);
 
                 if (response.data.success) {
-                  // Also sync versions if it's from a push operation
+                  // Also upload the commits if it's from a push operation
                   if (operationData.isPush) {
-                    const versionsResult = dbOps.getUnsyncedVersionHistory(
-                      envFile.envFile.id
+                    const commitSync = await syncCommits(
+                      api,
+                      envFile.envFile.project_id,
+                      operationData.projectName
+                    );
+                    if (commitSync.failed > 0) {
+                      throw new Error(commitSync.error);
+                    }
+                    const branchSync = await syncBranches(
+                      api,
+                      envFile.envFile.project_id,
+                      operationData.projectName
+                    );
+                    if (branchSync.failed > 0) {
+                      throw new Error(branchSync.error);
+                    }
+                    const tagSync = await syncTags(
+                      api,
+                      envFile.envFile.project_id,
+                      operationData.projectName
                     );
-                    if (
-                      versionsResult.success &&
-                      versionsResult.versions.length > 0
-                    ) {
-                      for (const version of versionsResult.versions) {
-                        const versionSyncData = {
-                          user_email: currentUser.email,
-                          project_name: operationData.projectName,
-                          file_name: envFile.envFile.name,
-                          version_token: version.version_token,
-                          encrypted_content: version.encrypted_content,
-                          iv: version.iv,
-                          tag: version.tag,
-                          commit_message:
-                            version.commit_message ||
-                            operationData.commitMessage,
-                          author_email: version.author_email,
-                          created_at: version.createdAt,
-                        };
-
-                        await api.post("/env-versions", versionSyncData);
-                        dbOps.markVersionAsSynced(version.version_token);
-                      }
+                    if (tagSync.failed > 0) {
+                      throw new Error(tagSync.error);
                     }
                   }
 
@@ -348,95 +396,12 @@ async function handleSync(args) {
             tag: envFile.tag,
             created_at: envFile.createdAt,
             updated_at: envFile.updatedAt,
+            wrapped_key: getWrappedProjectKey(project.id),
           };
 
           const response = await api.post("/env-files", syncData);
 
           if (response.data.success) {
-            await new Promise((resolve) => setTimeout(resolve, 100));
-
-            const { dbOps } = require("../db");
-            const versionsResult = dbOps.getUnsyncedVersionHistory(envFile.id);
-
-            if (versionsResult.success && versionsResult.versions.length > 0) {
-              let versionSyncedCount = 0;
-              let versionErrorCount = 0;
-
-              for (const version of versionsResult.versions) {
-                try {
-                  const versionSyncData = {
-                    user_email: currentUser.email,
-                    project_name: project.name,
-                    file_name: envFile.name,
-                    version_token: version.version_token,
-                    encrypted_content: version.encrypted_content,
-                    iv: version.iv,
-                    tag: version.tag,
-                    commit_message: version.commit_message,
-                    author_email: version.author_email,
-                    created_at: version.createdAt,
-                  };
-
-                  const versionResponse = await api.post(
-                    "/env-versions",
-                    versionSyncData
-                  );
-
-                  if (versionResponse.data.success) {
-                    const markSyncResult = dbOps.markVersionAsSynced(
-                      version.version_token
-                    );
-                    versionSyncedCount++;
-                  } else {
-                    console.log(
-                      chalk.yellow(
-                        `⚠ Version sync failed: ${versionResponse.data.error}`
-                      )
-                    );
-                    versionErrorCount++;
-                  }
-                } catch (versionSyncError) {
-                  const errorMsg =
-                    versionSyncError.response?.data?.error ||
-                    versionSyncError.message;
-                  console.log(
-                    chalk.yellow(
-                      `⚠ Could not sync version ${version.version_token}: ${errorMsg}`
-                    )
-                  );
-                  // Check for JWT expiration
-                  if (
-                    versionSyncError.response?.status === 401 ||
-                    errorMsg.includes("Token expired")
-                  ) {
-                    console.log(chalk.yellow("Login to use cloud operations"));
-                  }
-                  versionErrorCount++;
-                }
-              }
-
-              if (versionSyncedCount > 0) {
-                console.log(
-                  chalk.green(
-                    `✓ Successfully synced ${versionSyncedCount}/${versionsResult.versions.length} new versions`
-                  )
-                );
-              }
-              if (versionErrorCount > 0) {
-                console.log(
-                  chalk.yellow(
-                    `    ⚠ Failed to sync ${versionErrorCount} versions`
-                  )
-                );
-              }
-            } else {
-              console.log(
-                chalk.gray(
-                  `✓ All versions for ${envFile.name} are already synced`
-                )
-              );
-            }
-
             // Now sync rollback history for this file
             const rollbackResult = dbOps.getUnsyncedRollbackHistory(envFile.id);
 
@@ -525,7 +490,6 @@ async function handleSync(args) {
             return {
               success: true,
               fileName: envFile.name,
-              versionsCount: versionsResult?.versions?.length || 0,
             };
           } else {
             return {
@@ -543,8 +507,18 @@ async function handleSync(args) {
         }
       };
 
-      // Execute all file sync operations in parallel
+      // Execute all file sync operations in parallel, then upload commits
+      // (which reference the files) one at a time, oldest first
       const results = await Promise.allSettled(envFiles.map(syncFile));
+      const commitSync = await syncCommits(api, project.id, project.name);
+      const branchSync =
+        commitSync.failed === 0
+          ? await syncBranches(api, project.id, project.name)
+          : { synced: 0, failed: 0 };
+      const tagSync =
+        commitSync.failed === 0
+          ? await syncTags(api, project.id, project.name)
+          : { synced: 0, failed: 0 };
       const endTime = Date.now();
       const totalTime = Math.round(((endTime - startTime) / 1000) * 100) / 100;
 
@@ -562,16 +536,41 @@ async function handleSync(args) {
       console.log(chalk.cyan(`⚡ Sync completed in ${totalTime}s`));
 
       if (successfulFiles.length > 0) {
-        const totalVersions = successfulFiles.reduce(
-          (sum, r) => sum + (r.value.versionsCount || 0),
-          0
-        );
         const avgTimePerFile =
           Math.round((totalTime / successfulFiles.length) * 1000) / 1000;
 
         console.log(
           chalk.green(
-            `Successfully synced ${successfulFiles.length}/${envFiles.length} files (${totalVersions} versions)`
+            `Successfully synced ${successfulFiles.length}/${envFiles.length} files (${commitSync.synced} commits, ${commitSync.versions} versions)`
+          )
+        );
+      }
+
+      if (commitSync.rekeyRefused > 0) {
+        console.log(
+          chalk.gray(
+            `${commitSync.rekeyRefused} re-encrypted commit(s) kept the server's copy: only the project owner or the author can rekey them`
+          )
+        );
+      }
+      if (commitSync.failed > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠ ${commitSync.failed} commit(s) not uploaded: ${commitSync.error}`
+          )
+        );
+      }
+      if (branchSync.failed > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠ ${branchSync.failed} branch(es) not uploaded: ${branchSync.error}`
+          )
+        );
+      }
+      if (tagSync.failed > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠ ${tagSync.failed} tag(s) not uploaded: ${tagSync.error}`
           )
         );
       }
@@ -607,58 +606,83 @@ async function handleSync(args) {
     } else if (error.code === "ECONNREFUSED") {
       console.log(
         chalk.yellow(
-          "Make sure the server is accessible at https://dot-evm-jbko.vercel.app"
+          `Make sure the server is accessible at ${configManager.getServerUrl()}`
         )
       );
       console.log(
         chalk.gray(
-          "   Check server status at: https://dot-evm-jbko.vercel.app/health"
+          `   Check server status at: ${configManager.getServerUrl()}/health`
         )
       );
     }
   }
 }
 
-async function handlePendingOperations(args) {
+// Queued operation as listed in evm.pending/v1
+function pendingOperationEntry(op) {
+  let data = null;
+  try {
+    data = op.operation_data ? JSON.parse(op.operation_data) : null;
+  } catch (error) {
+    data = null;
+  }
+  return {
+    id: op.id,
+    type: op.operation_type.toLowerCase(),
+    entity: op.entity_type.toLowerCase(),
+    entityId: op.entity_id,
+    projectId: op.project_id,
+    oldName: op.old_name || null,
+    newName: op.new_name || null,
+    data,
+    createdAt: toIsoDate(op.createdAt),
+  };
+}
+
+// evm pending [--json]
+async function handlePendingOperations(args = []) {
+  const json = args.includes("--json");
+
   try {
     const currentUser = getCurrentUser();
     const pendingResult = dbOps.getPendingOperations(currentUser.userId);
 
     if (!pendingResult.success) {
-      console.log(
-        chalk.red(`Error getting pending operations: ${pendingResult.error}`)
+      failCommand(
+        json,
+        "pending",
+        `Error getting pending operations: ${pendingResult.error}`
       );
+    }
+
+    const operations = pendingResult.operations.map(pendingOperationEntry);
+
+    if (json) {
+      printJson("pending", { operations });
       return;
     }
 
-    if (pendingResult.operations.length === 0) {
+    if (operations.length === 0) {
       console.log(chalk.green("No pending operations"));
       return;
     }
 
     console.log(
-      chalk.cyan(
-        `\nFound ${pendingResult.operations.length} pending operation(s):\n`
-      )
+      chalk.cyan(`\nFound ${operations.length} pending operation(s):\n`)
     );
 
-    pendingResult.operations.forEach((op, index) => {
+    operations.forEach((op, index) => {
       const date = new Date(op.createdAt).toLocaleDateString();
-      const type = op.operation_type.toLowerCase();
-      const entity = op.entity_type.toLowerCase();
-
-      console.log(chalk.white(`${index + 1}. ${type} ${entity}`));
-
-      if (type === "rename" && op.old_name && op.new_name) {
-        console.log(chalk.gray(`   ${op.old_name} → ${op.new_name}`));
-      } else if (type === "delete" && op.old_name) {
-        console.log(chalk.gray(`   ${op.old_name} (force delete)`));
-      } else if (type === "sync" && op.old_name) {
-        const operationData = op.operation_data
-          ? JSON.parse(op.operation_data)
-          : {};
-        const label = operationData.isPush ? "push sync" : "regular sync";
-        console.log(chalk.gray(`   ${op.old_name} (${label})`));
+
+      console.log(chalk.white(`${index + 1}. ${op.type} ${op.entity}`));
+
+      if (op.type === "rename" && op.oldName && op.newName) {
+        console.log(chalk.gray(`   ${op.oldName} → ${op.newName}`));
+      } else if (op.type === "delete" && op.oldName) {
+        console.log(chalk.gray(`   ${op.oldName} (force delete)`));
+      } else if (op.type === "sync" && op.oldName) {
+        const label = op.data?.isPush ? "push sync" : "regular sync";
+        console.log(chalk.gray(`   ${op.oldName} (${label})`));
       }
 
       console.log(chalk.gray(`   Created: ${date}`));
@@ -666,11 +690,93 @@ async function handlePendingOperations(args) {
     });
     console.log(chalk.yellow("Run 'evm sync' to process these operations"));
   } catch (error) {
-    console.log(chalk.red(`Error: ${error.message}`));
+    failCommand(json, "pending", `Error: ${error.message}`);
   }
 }
 
-async function handlePull(args) {
+// Newest local version the cloud history also has (the merge base), found by
+// following parent_version_id back from the local head
+function findCommonAncestor(localVersions, cloudVersions, localHead) {
+  const cloudTokens = new Set(cloudVersions.map((v) => v.version_token));
+  const byId = new Map(localVersions.map((v) => [v.id, v]));
+  const visited = new Set();
+
+  let current = localHead;
+  while (current && !visited.has(current.id)) {
+    if (cloudTokens.has(current.version_token)) return current;
+    visited.add(current.id);
+    current = byId.get(current.parent_version_id);
+  }
+
+  // Restored history doesn't always link up locally; fall back to date order
+  return localVersions.find((v) => cloudTokens.has(v.version_token)) || null;
+}
+
+// A file's cloud version as of a branch head: walk the cloud commit graph
+// back from the head to the first commit that changed the file
+function cloudVersionOnBranch(cloudVersions, cloudCommits, headHash) {
+  const versionsByToken = new Map(
+    cloudVersions.map((version) => [version.version_token, version])
+  );
+  const parents = new Map(
+    cloudCommits.map((commit) => [commit.commit_hash, commit.parent_hash])
+  );
+
+  const visited = new Set();
+  let current = headHash;
+  while (current && !visited.has(current)) {
+    if (versionsByToken.has(current)) return versionsByToken.get(current);
+    visited.add(current);
+    current = parents.get(current);
+  }
+  return null;
+}
+
+// Ask how to settle each conflicting key; "m" leaves markers in the file
+async function promptConflictResolutions(fileName, conflicts, redactor) {
+  const describe = (key, value) =>
+    value === undefined ? "(deleted)" : redactor.show(key, value, fileName);
+  const resolutions = {};
+
+  for (const conflict of conflicts) {
+    const maskedBefore = redactor.masked;
+    console.log(chalk.yellow(`\nConflict in ${fileName}: ${conflict.key}`));
+    console.log(chalk.red(`  local: ${describe(conflict.key, conflict.ours)}`));
+    console.log(
+      chalk.green(`  cloud: ${describe(conflict.key, conflict.theirs)}`)
+    );
+    if (redactor.masked > maskedBefore) {
+      console.log(
+        chalk.gray("  (secret values masked; pull with --reveal to see them)")
+      );
+    }
+
+    const answer = await createSimplePrompt({
+      title: "Keep [l]ocal, take [c]loud, or [m]ark for manual edit",
+      placeholder: "l / c / m",
+      validateInput: (value) => ["l", "c", "m"].includes(value.toLowerCase()),
+      errorMessage: "Enter l, c or m",
+    });
+
+    const choice = answer.toLowerCase();
+    if (choice === "l") resolutions[conflict.key] = "ours";
+    if (choice === "c") resolutions[conflict.key] = "theirs";
+  }
+
+  return resolutions;
+}
+
+async function handlePull(args = []) {
+  const interactive = args.includes("--interactive") || args.includes("-i");
+  const redactor = createRedactor({ reveal: args.includes("--reveal") });
+
+  if (interactive) {
+    requireInteractive(
+      "conflict resolutions",
+      "Run 'evm pull' without -i to write conflict markers instead"
+    );
+  }
+
   try {
     const currentUser = getCurrentUser();
     const currentProjectResult = dbOps.getCurrentProject(currentUser.userId);
@@ -683,13 +789,6 @@ async function handlePull(args) {
     const project = currentProjectResult.project;
     console.log(chalk.cyan(`Pulling files for project: ${project.name}`));
 
-    // Get user's encryption salt for decryption
-    const userSalt = dbOps.getUserEncryptionSalt(currentUser.email);
-    if (!userSalt) {
-      console.log(chalk.red("Failed to get encryption salt for user"));
-      return;
-    }
-
     const api = createAuthenticatedAxios();
 
     // Get project files from cloud
@@ -711,7 +810,33 @@ async function handlePull(args) {
       return;
     }
 
-    console.log(chalk.green(`Found ${cloudFiles.length} file(s) in cloud`));
+    // Projects shared with us only have the key in its wrapped cloud form
+    dbOps.setProjectCloudRole(project.id, response.data.role);
+    importWrappedProjectKey(project.id, response.data.wrapped_key);
+
+    // Commits, branches and tags first, so restored versions keep their parents
+    const cloudCommits = response.data.commits || [];
+    // Older servers send no branches; then the newest cloud version wins
+    const cloudBranches = response.data.branches?.length
+      ? response.data.branches
+      : null;
+    dbOps.importCloudHistory(
+      project.id,
+      cloudCommits,
+      cloudBranches || [],
+      response.data.tags
+    );
+
+    const branchName = dbOps.getCurrentBranch(project.id).name;
+    const cloudBranchHead = cloudBranches?.find(
+      (branch) => branch.name === branchName
+    )?.head_hash;
+
+    console.log(
+      chalk.green(
+        `Found ${cloudFiles.length} file(s) in cloud (branch ${branchName})`
+      )
+    );
 
     // Get local files for comparison
     const localFilesResult = dbOps.getEnvFilesByProject(project.id);
@@ -726,101 +851,218 @@ async function handlePull(args) {
     });
 
     let pulledCount = 0;
+    let mergedCount = 0;
+    let conflictedCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
 
+    const conflicts = getConflicts();
+    const decryptVersion = (version) =>
+      decryptProjectContent(
+        version.encrypted_content,
+        version.iv,
+        version.tag,
+        project.id,
+        currentUser.email
+      );
+
     // Process each cloud file
     for (const cloudFile of cloudFiles) {
-      const { name, encrypted_content, iv, tag, updated_at, versions } =
-        cloudFile;
+      const { name } = cloudFile;
+      const cloudVersions = cloudFile.versions || [];
       const localFile = localFileMap.get(name);
 
+      // Take the file as of the current branch's head in the cloud
+      const cloudHead = cloudBranches
+        ? cloudVersionOnBranch(cloudVersions, cloudCommits, cloudBranchHead)
+        : cloudVersions[0];
+      if (cloudBranches && !cloudHead) {
+        console.log(
+          chalk.gray(`⇣ ${name} - not on branch ${branchName} in the cloud`)
+        );
+        skippedCount++;
+        continue;
+      }
+      const { encrypted_content, iv, tag } = cloudBranches
+        ? cloudHead
+        : cloudFile;
+
       try {
         // Check if file exists locally on filesystem
         const filePath = path.join(process.cwd(), name);
         const fileExistsOnDisk = fs.existsSync(filePath);
 
-        // Decision logic for whether to pull the file
-        let shouldPull = false;
         let action = "";
 
         if (!fileExistsOnDisk && !localFile) {
           // File doesn't exist anywhere locally - pull it
-          shouldPull = true;
           action = "pulling new file from cloud";
         } else if (!fileExistsOnDisk && localFile) {
           // File exists in DB but missing from filesystem - restore it
-          shouldPull = true;
           action = "restoring missing file from cloud";
-        } else if (fileExistsOnDisk && !localFile) {
-          // File exists on disk but not in DB - add to database only
-          shouldPull = true;
-          action = "file exists on disk but not in database, updating database";
-        } else if (fileExistsOnDisk && localFile) {
-          // File exists both in DB and filesystem - check if cloud is newer
-          const cloudUpdateTime = new Date(updated_at);
-          const localUpdateTime = new Date(localFile.updated_at);
-
-          if (cloudUpdateTime > localUpdateTime) {
-            shouldPull = true;
-            action = "cloud version is newer, updating";
-          } else {
-            // File is up to date, skip it
+        } else {
+          const localVersionsResult = localFile
+            ? dbOps.getEnvVersionsByFile(localFile.id)
+            : null;
+          const localVersions = localVersionsResult?.success
+            ? localVersionsResult.versions
+            : [];
+          const localTokens = new Set(
+            localVersions.map((v) => v.version_token)
+          );
+
+          // Nothing new in the cloud (local may be ahead; push will send it)
+          if (
+            localFile &&
+            (!cloudHead || localTokens.has(cloudHead.version_token))
+          ) {
             console.log(chalk.gray(`⇣ ${name} - local version is up to date`));
             skippedCount++;
             continue;
           }
-        }
 
-        // Skip if we don't need to pull
-        if (!shouldPull) {
-          console.log(chalk.gray(`⇣ ${name} - skipping`));
-          skippedCount++;
-          continue;
+          const workingContent = fs.readFileSync(filePath, "utf8");
+          const headResult = localFile
+            ? dbOps.getHeadVersion(localFile.id)
+            : null;
+          const localHead = headResult?.success
+            ? headResult.version
+            : localVersions[0];
+          const base = findCommonAncestor(
+            localVersions,
+            cloudVersions,
+            localHead
+          );
+
+          // No local commits or edits since the base: plain fast-forward
+          if (
+            localHead &&
+            base &&
+            base.id === localHead.id &&
+            workingContent === decryptVersion(localHead)
+          ) {
+            action = "cloud version is newer, updating";
+          } else {
+            // Both sides changed: three-way merge at the key level
+            const label = cloudHead
+              ? `cloud ${cloudHead.version_token.substring(0, 8)}`
+              : "cloud";
+            const baseContent = base ? decryptVersion(base) : "";
+            const cloudContent = decryptProjectContent(
+              encrypted_content,
+              iv,
+              tag,
+              project.id,
+              currentUser.email
+            );
+
+            console.log(chalk.cyan(`⇣ ${name} - merging local and cloud changes...`));
+
+            let merge = mergeEnv(baseContent, workingContent, cloudContent, {
+              theirsLabel: label,
+            });
+            if (merge.conflicts.length > 0 && interactive) {
+              const resolutions = await promptConflictResolutions(
+                name,
+                merge.conflicts,
+                redactor
+              );
+              merge = mergeEnv(baseContent, workingContent, cloudContent, {
+                theirsLabel: label,
+                resolutions,
+              });
+            }
+
+            const fileData = { encrypted_content, iv, tag };
+            const dbResult = localFile
+              ? dbOps.mergeCloudVersions(localFile.id, fileData, cloudVersions)
+              : dbOps.restoreFileWithVersions(
+                  project.id,
+                  name,
+                  fileData,
+                  cloudVersions
+                );
+
+            if (!dbResult.success) {
+              console.log(
+                chalk.red(`⇣ ${name} - failed to merge history: ${dbResult.error}`)
+              );
+              errorCount++;
+              continue;
+            }
+
+            fs.writeFileSync(filePath, merge.content, "utf8");
+
+            if (merge.conflicts.length > 0) {
+              conflicts[name] = {
+                cloudVersion: cloudHead?.version_token || null,
+                baseVersion: base?.version_token || null,
+                keys: merge.conflicts.map((c) => c.key),
+                createdAt: new Date().toISOString(),
+              };
+              console.log(
+                chalk.red(
+                  `⇣ ${name} - CONFLICT in ${merge.conflicts
+                    .map((c) => c.key)
+                    .join(", ")}`
+                )
+              );
+              conflictedCount++;
+            } else {
+              delete conflicts[name];
+              console.log(
+                chalk.green(
+                  `⇣ ${name} - merged (${merge.takenFromTheirs.length} key(s) from cloud)`
+                )
+              );
+              mergedCount++;
+            }
+            continue;
+          }
         }
 
         // Show what we're doing
         console.log(chalk.cyan(`⇣ ${name} - ${action}...`));
 
-        // Decrypt the content with user email and salt
-        const decryptedContent = decryptContent(
+        // Decrypt the content with the project key
+        const decryptedContent = decryptProjectContent(
           encrypted_content,
           iv,
           tag,
-          currentUser.email,
-          userSalt
-        );
-
-        // Write/overwrite the file to disk
-        fs.writeFileSync(filePath, decryptedContent, "utf8");
-
-        // Restore complete file with all versions
-        const restoreResult = dbOps.restoreFileWithVersions(
           project.id,
-          name,
-          {
-            encrypted_content,
-            iv,
-            tag,
-            current_version_id: cloudFile.current_version_id,
-          },
-          cloudFile.versions || []
+          currentUser.email
         );
 
+        // A file known locally keeps its local-only versions (unpushed ones,
+        // other branches); only a file new to this machine is restored whole
+        const fileData = {
+          encrypted_content,
+          iv,
+          tag,
+          current_version_id: cloudFile.current_version_id,
+        };
+        const restoreResult = localFile
+          ? dbOps.mergeCloudVersions(localFile.id, fileData, cloudVersions)
+          : dbOps.restoreFileWithVersions(
+              project.id,
+              name,
+              fileData,
+              cloudVersions
+            );
+
         if (!restoreResult.success) {
           console.log(
             chalk.red(
               `⇣ ${name} - failed to restore to database: ${restoreResult.error}`
             )
           );
-          // Remove the file from disk if DB operation failed
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
           errorCount++;
           continue;
         }
 
+        // Write/overwrite the working file only once its history is stored
+        fs.writeFileSync(filePath, decryptedContent, "utf8");
+
         // Remove file from staging area if it exists
         try {
           const stagedFiles = getStagedFiles();
@@ -835,11 +1077,12 @@ async function handlePull(args) {
 
         console.log(
           chalk.green(
-            `⇣ ${name} - restored with ${
-              cloudFile.versions?.length || 0
-            } version(s)`
+            localFile
+              ? `⇣ ${name} - updated (${restoreResult.inserted} new version(s))`
+              : `⇣ ${name} - restored with ${cloudVersions.length} version(s)`
           )
         );
+        delete conflicts[name];
         pulledCount++;
       } catch (error) {
         console.log(chalk.red(`⇣ ${name} - error: ${error.message}`));
@@ -847,6 +1090,14 @@ async function handlePull(args) {
       }
     }
 
+    saveConflicts(conflicts);
+    recordReveal({
+      command: "pull",
+      user: currentUser.email,
+      project: project.name,
+      keys: redactor.revealed,
+    });
+
     // Summary
     console.log(chalk.cyan(`\nPull complete:`));
     if (pulledCount > 0) {
@@ -854,6 +1105,23 @@ async function handlePull(args) {
         chalk.green(`  ✓ ${pulledCount} file(s) pulled successfully`)
       );
     }
+    if (mergedCount > 0) {
+      console.log(chalk.green(`  ✓ ${mergedCount} file(s) merged`));
+    }
+    if (conflictedCount > 0) {
+      console.log(
+        chalk.red(`  ✗ ${conflictedCount} file(s) have merge conflicts`)
+      );
+      console.log(
+        chalk.yellow(
+          "    Edit the marked keys, then run 'evm add' and 'evm push' (or use 'evm pull -i')"
+        )
+      );
+    } else if (mergedCount > 0) {
+      console.log(
+        chalk.gray("    Run 'evm add' and 'evm push' to commit the merge")
+      );
+    }
     if (skippedCount > 0) {
       console.log(chalk.gray(`  - ${skippedCount} file(s) already up to date`));
     }
@@ -870,7 +1138,7 @@ async function handlePull(args) {
     } else if (error.code === "ECONNREFUSED") {
       console.log(
         chalk.yellow(
-          "Make sure the server is accessible at https://dot-evm-jbko.vercel.app"
+          `Make sure the server is accessible at ${configManager.getServerUrl()}`
         )
       );
     }
@@ -878,17 +1146,235 @@ async function handlePull(args) {
 }
 
 async function handleClone(args) {
-  console.log(chalk.blue("Clone from Cloud - Coming Soon!"));
-  console.log(chalk.gray("This feature will clone projects from the cloud."));
-  console.log(chalk.yellow("\nPlanned clone features:"));
-  console.log(chalk.white("  • Clone public projects"));
-  console.log(chalk.white("  • Clone shared team projects"));
-  console.log(chalk.white("  • Clone with specific permissions"));
-  console.log(chalk.white("  • Clone to custom local name"));
-
-  if (args.length > 0) {
-    console.log(chalk.gray(`\nReceived args: ${args.join(", ")}`));
+  const projectName = args[0];
+  const targetArg = args[1];
+
+  try {
+    const currentUser = getCurrentUser();
+    const api = createAuthenticatedAxios();
+
+    // List the user's projects so we can validate the name (and help if it's wrong)
+    const projectsResponse = await api.get(
+      `/projects?user_email=${encodeURIComponent(currentUser.email)}`
+    );
+
+    if (!projectsResponse.data.success) {
+      console.log(chalk.red("Failed to fetch projects from cloud"));
+      process.exit(1);
+    }
+
+    const cloudProjects = projectsResponse.data.projects || [];
+
+    if (!projectName) {
+      console.log(chalk.red("Missing project name"));
+      console.log(chalk.yellow("Usage: evm clone <project> [dir]"));
+      printCloudProjects(cloudProjects);
+      process.exit(1);
+    }
+
+    const cloudProject = cloudProjects.find((p) => p.name === projectName);
+    if (!cloudProject) {
+      console.log(chalk.red(`Project "${projectName}" not found in cloud`));
+      printCloudProjects(cloudProjects);
+      process.exit(1);
+    }
+
+    const targetDir = path.resolve(process.cwd(), targetArg || projectName);
+
+    if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+      console.log(
+        chalk.red(
+          `Destination "${targetDir}" already exists and is not an empty directory`
+        )
+      );
+      process.exit(1);
+    }
+
+    const existingProject = dbOps.getProjectByUserAndName(
+      currentUser.userId,
+      projectName
+    );
+    if (existingProject.success) {
+      console.log(
+        chalk.red(
+          `Project "${projectName}" already exists locally at ${existingProject.project.directory_path}`
+        )
+      );
+      console.log(chalk.gray("Use 'evm pull' inside that directory instead"));
+      process.exit(1);
+    }
+
+    console.log(chalk.cyan(`Cloning project "${projectName}" into ${targetDir}`));
+
+    const filesResponse = await api.get(
+      `/projects/${encodeURIComponent(
+        projectName
+      )}/files?user_email=${encodeURIComponent(currentUser.email)}`
+    );
+
+    if (!filesResponse.data.success) {
+      console.log(chalk.red("Failed to fetch project files from cloud"));
+      process.exit(1);
+    }
+
+    const cloudFiles = filesResponse.data.files || [];
+
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    const createResult = dbOps.createProject(
+      currentUser.userId,
+      projectName,
+      "",
+      targetDir
+    );
+    if (!createResult.success) {
+      console.log(
+        chalk.red(`Failed to create local project: ${createResult.error}`)
+      );
+      process.exit(1);
+    }
+
+    dbOps.setProjectCloudRole(createResult.projectId, filesResponse.data.role);
+    importWrappedProjectKey(
+      createResult.projectId,
+      filesResponse.data.wrapped_key
+    );
+    dbOps.importCloudHistory(
+      createResult.projectId,
+      filesResponse.data.commits,
+      filesResponse.data.branches,
+      filesResponse.data.tags
+    );
+
+    let clonedCount = 0;
+    let errorCount = 0;
+    let versionCount = 0;
+
+    for (const cloudFile of cloudFiles) {
+      const { name, encrypted_content, iv, tag } = cloudFile;
+
+      try {
+        const decryptedContent = decryptProjectContent(
+          encrypted_content,
+          iv,
+          tag,
+          createResult.projectId,
+          currentUser.email
+        );
+
+        const restoreResult = dbOps.restoreFileWithVersions(
+          createResult.projectId,
+          name,
+          {
+            encrypted_content,
+            iv,
+            tag,
+            current_version_id: cloudFile.current_version_id,
+          },
+          cloudFile.versions || []
+        );
+
+        if (!restoreResult.success) {
+          console.log(
+            chalk.red(
+              `⇣ ${name} - failed to restore to database: ${restoreResult.error}`
+            )
+          );
+          errorCount++;
+          continue;
+        }
+
+        // Check out the default branch's version when history has branches
+        const headVersion = dbOps.getHeadVersion(restoreResult.fileId);
+        const checkedOut = headVersion.success
+          ? decryptProjectContent(
+              headVersion.version.encrypted_content,
+              headVersion.version.iv,
+              headVersion.version.tag,
+              createResult.projectId,
+              currentUser.email
+            )
+          : decryptedContent;
+
+        fs.writeFileSync(path.join(targetDir, name), checkedOut, "utf8");
+
+        versionCount += cloudFile.versions?.length || 0;
+        console.log(
+          chalk.green(
+            `⇣ ${name} - restored with ${
+              cloudFile.versions?.length || 0
+            } version(s)`
+          )
+        );
+        clonedCount++;
+      } catch (error) {
+        console.log(chalk.red(`⇣ ${name} - error: ${error.message}`));
+        errorCount++;
+      }
+    }
+
+    // Bind the directory to the project the same way 'evm init' does
+    const projectConfig = {
+      name: projectName,
+      createdAt: new Date().toISOString(),
+      directory: targetDir,
+      envFiles: cloudFiles.map((file) => file.name),
+      variables: [],
+    };
+    fs.writeFileSync(
+      configManager.getProjectConfigPath(targetDir),
+      JSON.stringify(projectConfig, null, 2)
+    );
+
+    console.log(chalk.cyan(`\nClone complete:`));
+    console.log(
+      chalk.green(
+        `  ✓ ${clonedCount} file(s) cloned (${versionCount} version(s))`
+      )
+    );
+    if (errorCount > 0) {
+      console.log(chalk.red(`  ✗ ${errorCount} file(s) failed to clone`));
+    }
+    console.log(
+      chalk.gray(
+        `\nRun 'cd ${path.relative(process.cwd(), targetDir) || "."}' to start working`
+      )
+    );
+
+    if (errorCount > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    const errorMsg = error.response?.data?.error || error.message;
+    console.log(chalk.red(`Failed to clone project: ${errorMsg}`));
+
+    // Check for JWT expiration
+    if (error.response?.status === 401 || errorMsg.includes("Token expired")) {
+      console.log(chalk.yellow("Please login again: evm login"));
+    } else if (error.code === "ECONNREFUSED") {
+      console.log(
+        chalk.yellow(
+          `Make sure the server is accessible at ${configManager.getServerUrl()}`
+        )
+      );
+    }
+    process.exit(1);
+  }
+}
+
+function printCloudProjects(cloudProjects) {
+  if (cloudProjects.length === 0) {
+    console.log(chalk.gray("No projects found in cloud"));
+    return;
   }
+
+  console.log(chalk.cyan("\nProjects available in cloud:"));
+  cloudProjects.forEach((project) => {
+    const updatedDate = new Date(project.updated_at).toLocaleDateString();
+    console.log(
+      chalk.gray(`   • ${project.name} (last updated: ${updatedDate})`)
+    );
+  });
 }
 
 // Cloud rename project function
@@ -923,7 +1409,7 @@ async function handleCloudRenameProject(project, newName) {
     } else if (error.code === "ECONNREFUSED") {
       console.log(
         chalk.yellow(
-          "Make sure the server is accessible at https://dot-evm-jbko.vercel.app"
+          `Make sure the server is accessible at ${configManager.getServerUrl()}`
         )
       );
     }
@@ -968,7 +1454,7 @@ async function handleCloudRenameFile(project, oldFileName, newFileName) {
     } else if (error.code === "ECONNREFUSED") {
       console.log(
         chalk.yellow(
-          "Make sure the server is accessible at https://dot-evm-jbko.vercel.app"
+          `Make sure the server is accessible at ${configManager.getServerUrl()}`
         )
       );
     }
@@ -984,4 +1470,5 @@ module.exports = {
   handleClone,
   handleCloudRenameProject,
   handleCloudRenameFile,
+  cloudVersionOnBranch,
 };
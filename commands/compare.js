@@ -0,0 +1,159 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const { dbOps } = require("../db");
+const { getCommittedContent } = require("../env-manager");
+const { parseEnv, diffEnv } = require("../env-parser");
+const { createRedactor, recordReveal } = require("../redact");
+
+const USAGE =
+  "Usage: evm compare <fileA>[@<hash|tag|head>] <fileB>[@<hash|tag|head>] [--show-values | --reveal]";
+
+// "<file>" is the working copy (or the latest commit when the file isn't on
+// disk), "<file>@head" the latest commit on the current branch and
+// "<file>@<hash|tag>" the file at that commit.
+function loadSide(spec, project, trackedFiles, userEmail) {
+  const at = spec.lastIndexOf("@");
+  const file = at > 0 ? spec.substring(0, at) : spec;
+  const ref = at > 0 ? spec.substring(at + 1) : null;
+  const tracked = trackedFiles.some((envFile) => envFile.name === file);
+
+  if (!ref && fs.existsSync(file)) {
+    return {
+      file,
+      label: `${file} (working copy)`,
+      content: fs.readFileSync(file, "utf8"),
+    };
+  }
+
+  if (!tracked) {
+    return {
+      error: fs.existsSync(file)
+        ? `${file} is not tracked in project ${project.name}`
+        : `File "${file}" not found`,
+    };
+  }
+
+  let commit = null;
+  if (ref && ref.toLowerCase() !== "head") {
+    const commitResult = dbOps.resolveCommitHash(project.id, ref);
+    if (!commitResult.success) {
+      return { error: commitResult.error };
+    }
+    commit = commitResult.commit;
+  }
+
+  const content = getCommittedContent(project.id, file, userEmail, commit);
+  if (content === null) {
+    return {
+      error: commit
+        ? `${file} did not exist at commit ${ref}`
+        : `${file} has no commits on the current branch`,
+    };
+  }
+
+  const label = commit
+    ? `${file}@${ref} (${commit.commit_hash.substring(0, 8)})`
+    : `${file} (last commit)`;
+  return { file, label, content };
+}
+
+function printKeys(title, keys, color, marker, describe) {
+  if (keys.length === 0) return;
+  console.log(color.bold(`\n${title} (${keys.length}):`));
+  keys.forEach((item) => {
+    console.log(color(`   ${marker} ${describe(item)}`));
+  });
+}
+
+// evm compare <a> <b>
+// Compares the key sets of two files. The first file is the reference: keys
+// it has that the second lacks are "missing" and make the command exit 1.
+async function handleCompare(args) {
+  const positional = args.slice(1).filter((arg) => !arg.startsWith("--"));
+  if (positional.length !== 2) {
+    console.log(chalk.red("Compare needs exactly two files"));
+    console.log(chalk.yellow(USAGE));
+    process.exit(1);
+  }
+
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+
+  const currentUser = dbOps.getCurrentUser();
+  const currentProject = dbOps.getCurrentProject(currentUser.userId);
+  if (!currentProject.success) {
+    console.log(chalk.red("No active project found. Run 'evm init' first."));
+    process.exit(1);
+  }
+  const project = currentProject.project;
+
+  const filesResult = dbOps.getEnvFilesByProject(project.id);
+  const trackedFiles = filesResult.success ? filesResult.envFiles : [];
+
+  const sides = [];
+  for (const spec of positional) {
+    let side;
+    try {
+      side = loadSide(spec, project, trackedFiles, currentUser.email);
+    } catch (error) {
+      side = { error: `Failed to decrypt ${spec}: ${error.message}` };
+    }
+    if (side.error) {
+      console.log(chalk.red(side.error));
+      process.exit(1);
+    }
+    sides.push(side);
+  }
+
+  const [a, b] = sides;
+  const reveal = args.includes("--reveal");
+  const showValues = reveal || args.includes("--show-values");
+  const redactor = createRedactor({ reveal });
+  const diff = diffEnv(parseEnv(a.content), parseEnv(b.content));
+
+  console.log(chalk.blue.bold(`\nComparing ${a.label} → ${b.label}`));
+
+  const keyOnly = ({ key }) => key;
+  printKeys(`Missing in ${b.file}`, diff.removed, chalk.red, "-", keyOnly);
+  printKeys(`Extra in ${b.file}`, diff.added, chalk.yellow, "+", keyOnly);
+  printKeys(
+    "Different values",
+    diff.changed,
+    chalk.cyan,
+    "~",
+    ({ key, from, to }) => {
+      if (!showValues) return key;
+      const before = redactor.show(key, from, a.file);
+      const after = redactor.show(key, to, b.file);
+      return `${key}: ${before} → ${after}`;
+    }
+  );
+  console.log(chalk.gray(`\n${diff.unchanged.length} key(s) identical`));
+
+  recordReveal({
+    command: "compare",
+    user: currentUser.email,
+    project: project.name,
+    keys: redactor.revealed,
+  });
+
+  if (showValues && !reveal && redactor.masked > 0) {
+    console.log(
+      chalk.gray("Secret values are masked; use --reveal to show them")
+    );
+  }
+
+  if (diff.removed.length > 0) {
+    console.log(
+      chalk.red(`\n✗ ${diff.removed.length} key(s) missing in ${b.file}`)
+    );
+    process.exit(1);
+  }
+  console.log(chalk.green(`\n✓ ${b.file} has every key in ${a.file}`));
+}
+
+module.exports = {
+  handleCompare,
+};
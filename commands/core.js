@@ -22,6 +22,26 @@ function showHelp() {
     chalk.white("  evm whoami") +
       chalk.gray("                   Logged in user info")
   );
+  console.log(
+    chalk.white("  evm mfa enable|disable") +
+      chalk.gray("       Two-factor authentication (TOTP)")
+  );
+  console.log(
+    chalk.white("  evm passwd") +
+      chalk.gray("                   Change your password")
+  );
+  console.log(
+    chalk.white("  evm account delete") +
+      chalk.gray("           Delete your account and local data")
+  );
+  console.log(
+    chalk.white("  evm sessions") +
+      chalk.gray("                 List signed-in devices")
+  );
+  console.log(
+    chalk.white("  evm sessions revoke <id>") +
+      chalk.gray("     Sign a device out")
+  );
   console.log(
     chalk.white("  evm logout") +
       chalk.gray("                   Logout current user")
@@ -30,6 +50,10 @@ function showHelp() {
     chalk.white("  evm init") +
       chalk.gray("                     Initialize a new project")
   );
+  console.log(
+    chalk.white("  evm init --name <project>") +
+      chalk.gray("    Initialize without prompting")
+  );
   console.log(
     chalk.white("  evm --help or evm -h") +
       chalk.gray("         Show this help message")
@@ -44,6 +68,34 @@ function showHelp() {
     chalk.white("  evm add .") +
       chalk.gray("                    Stage all changed files for commit")
   );
+  console.log(
+    chalk.white("  evm add <file...>") +
+      chalk.gray("            Stage the named files")
+  );
+  console.log(
+    chalk.white("  evm add --no-verify") +
+      chalk.gray("          Stage files even if they fail validation")
+  );
+  console.log(
+    chalk.white('  evm add --files <a,b> -m "<msg>"') +
+      chalk.gray(" Stage without prompts (--yes for all files)")
+  );
+  console.log(
+    chalk.white("  evm import-from <file> --as <.env.x>") +
+      chalk.gray(" Convert JSON/YAML/compose/k8s secrets and stage them")
+  );
+  console.log(
+    chalk.white("  evm validate [file]") +
+      chalk.gray("          Check env files against the variables schema")
+  );
+  console.log(
+    chalk.white("  evm example [--file <f>]") +
+      chalk.gray("     Write .env.example from the last commit")
+  );
+  console.log(
+    chalk.white("  evm example --on-push") +
+      chalk.gray("        Also regenerate examples on every push")
+  );
   console.log(
     chalk.white("  evm push") +
       chalk.gray(
@@ -52,7 +104,11 @@ function showHelp() {
   );
   console.log(
     chalk.white("  evm pull") +
-      chalk.gray("                     Pull missing files from cloud")
+      chalk.gray("                     Pull cloud changes, merging local edits")
+  );
+  console.log(
+    chalk.white("  evm pull -i") +
+      chalk.gray("                  Pull and resolve conflicts interactively")
   );
   console.log(
     chalk.white("  evm status") +
@@ -61,9 +117,25 @@ function showHelp() {
   console.log(
     chalk.white("  evm diff") +
       chalk.gray(
-        "                     Show changes between local and last commit"
+        "                     Show changed keys between local and last commit"
       )
   );
+  console.log(
+    chalk.white("  evm diff <hashA> <hashB>") +
+      chalk.gray("     Show changed keys between two commits")
+  );
+  console.log(
+    chalk.white("  evm compare <a> <b>") +
+      chalk.gray("          Find keys missing from one env file in another")
+  );
+  console.log(
+    chalk.white("  evm diff --show-values") +
+      chalk.gray("       Include values, with secrets masked")
+  );
+  console.log(
+    chalk.white("  evm diff --reveal") +
+      chalk.gray("            Include secret values too (audit-logged)")
+  );
   console.log(
     chalk.white("  evm log") +
       chalk.gray("                      Show commit history")
@@ -72,6 +144,30 @@ function showHelp() {
     chalk.white("  evm log --oneline") +
       chalk.gray("            Show commit history in compact table")
   );
+  console.log(
+    chalk.white("  evm log --all") +
+      chalk.gray("                Show commits from every branch")
+  );
+  console.log(
+    chalk.white("  evm branch [name]") +
+      chalk.gray("            List branches, or create one at the current commit")
+  );
+  console.log(
+    chalk.white("  evm branch -d <name>") +
+      chalk.gray("         Delete a branch")
+  );
+  console.log(
+    chalk.white("  evm checkout <name>") +
+      chalk.gray("          Switch branches and rewrite the working files")
+  );
+  console.log(
+    chalk.white("  evm tag <name> [hash]") +
+      chalk.gray("        Name a commit (default: the current one)")
+  );
+  console.log(
+    chalk.white("  evm tags") +
+      chalk.gray("                     List tags")
+  );
   console.log(
     chalk.white("  evm sync") +
       chalk.gray(
@@ -82,6 +178,22 @@ function showHelp() {
     chalk.white("  evm pending") +
       chalk.gray("                  Show pending operations queued for sync")
   );
+  console.log(
+    chalk.white("  evm <status|log|list|pending|diff> --json")
+  );
+  console.log(
+    chalk.gray("                               Machine-readable output (see README)")
+  );
+  console.log(
+    chalk.white("  evm run -- <command>") +
+      chalk.gray("         Run a command with committed variables injected")
+  );
+  console.log(
+    chalk.white("  evm run --file <f> --version <h> -- <cmd>")
+  );
+  console.log(
+    chalk.gray("                               Use a specific file and commit")
+  );
 
   console.log(chalk.green.bold("\nPROJECT MANAGEMENT"));
   console.log(
@@ -108,10 +220,58 @@ function showHelp() {
       chalk.gray("        Remove files and project data from (local + cloud)")
   );
 
+  console.log(chalk.green.bold("\nTEAM"));
+  console.log(
+    chalk.white("  evm share <email> --role <r>") +
+      chalk.gray(" Share current project (editor or viewer)")
+  );
+  console.log(
+    chalk.white("  evm members") +
+      chalk.gray("                  List members and their roles")
+  );
+  console.log(
+    chalk.white("  evm unshare <email>") +
+      chalk.gray("          Remove a member from current project")
+  );
+  console.log(
+    chalk.white("  evm token create") +
+      chalk.gray("             Create a CI service token (--scope, --expires)")
+  );
+  console.log(
+    chalk.white("  evm token list") +
+      chalk.gray("               List service tokens of the project")
+  );
+  console.log(
+    chalk.white("  evm token revoke <id>") +
+      chalk.gray("        Revoke a service token")
+  );
+  console.log(
+    chalk.white("  evm audit [--since 7d]") +
+      chalk.gray("       Who read or changed the project's secrets")
+  );
+
+  console.log(chalk.green.bold("\nSECURITY"));
+  console.log(
+    chalk.white("  evm unlock") +
+      chalk.gray("                   Unlock encryption keys with your password")
+  );
+  console.log(
+    chalk.white("  evm unlock --timeout <min>") +
+      chalk.gray("   Unlock for a custom number of minutes")
+  );
+  console.log(
+    chalk.white("  evm lock") +
+      chalk.gray("                     Forget the cached master key")
+  );
+  console.log(
+    chalk.white("  evm migrate-keys") +
+      chalk.gray("             Re-encrypt existing history with new keys")
+  );
+
   console.log(chalk.green.bold("\nVERSION CONTROL"));
   console.log(
-    chalk.white("  evm revert <hash>") +
-      chalk.gray("            Rollback to previous commit")
+    chalk.white("  evm revert <hash|tag>") +
+      chalk.gray("        Rollback to previous commit")
   );
   console.log(
     chalk.white("  evm rollback history") +
@@ -120,8 +280,38 @@ function showHelp() {
 
   console.log(chalk.green.bold("\nADVANCED COMMANDS"));
   console.log(
-    chalk.white("  evm clone") +
-      chalk.gray("                    Clone projects from cloud (coming soon)")
+    chalk.white("  evm clone <project> [dir]") +
+      chalk.gray("    Clone a cloud project into a new directory")
+  );
+  console.log(
+    chalk.white("  evm export [project] -o <file>") +
+      chalk.gray(" Write an encrypted project bundle")
+  );
+  console.log(
+    chalk.white("  evm import <file> [dir]") +
+      chalk.gray("      Restore a project bundle")
+  );
+
+  console.log(chalk.green.bold("\nGLOBAL OPTIONS"));
+  console.log(
+    chalk.white("  --project <name>") +
+      chalk.gray("             Run in that project's directory")
+  );
+  console.log(
+    chalk.white("  --json") +
+      chalk.gray("                       JSON output (status, log, list, pending, diff)")
+  );
+  console.log(
+    chalk.white("  --server <url>") +
+      chalk.gray("               Use another server for this command")
+  );
+  console.log(
+    chalk.white("  -q, --quiet") +
+      chalk.gray("                  Only print output when the command fails")
+  );
+  console.log(
+    chalk.white("  evm <command> --help") +
+      chalk.gray("         Options of a command")
   );
 
   console.log(chalk.blue.bold("\nEXAMPLES:"));
@@ -152,6 +342,12 @@ function showHelp() {
   console.log(
     chalk.gray("  evm pending                  # Show pending operations")
   );
+  console.log(
+    chalk.gray("  evm run -- npm start         # Start app with the committed .env")
+  );
+  console.log(
+    chalk.gray("  evm clone myproject          # Clone 'myproject' into ./myproject")
+  );
   console.log(
     chalk.gray("  evm list                     # List files in current project")
   );
@@ -0,0 +1,94 @@
+const chalk = require("chalk");
+const { dbOps } = require("../db");
+const { configManager } = require("../config");
+const { writeExampleFiles } = require("../env-manager");
+const { isExampleFile } = require("../env-parser");
+
+// Turn regeneration on every 'evm push' on or off in .evm-config.json
+function setExampleOnPush(enabled) {
+  const config = configManager.getProjectConfig() || {};
+  config.example = { ...config.example, onPush: enabled };
+  configManager.saveProjectConfig(config);
+}
+
+// evm example [--file <name>] [--on-push | --no-on-push]
+// Writes <file>.example from the latest committed version of each file:
+// keys and comments are kept, values are blanked or set to schema defaults.
+async function handleExample(args) {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+
+  const currentUser = dbOps.getCurrentUser();
+  const currentProject = dbOps.getCurrentProject(currentUser.userId);
+  if (!currentProject.success) {
+    console.log(chalk.red("No active project found. Run 'evm init' first."));
+    process.exit(1);
+  }
+  const project = currentProject.project;
+
+  const fileIndex = args.indexOf("--file");
+  const requestedFile = fileIndex !== -1 ? args[fileIndex + 1] : null;
+  if (fileIndex !== -1 && !requestedFile) {
+    console.log(chalk.red("Missing file name after --file"));
+    console.log(chalk.yellow("Usage: evm example [--file .env] [--on-push]"));
+    process.exit(1);
+  }
+
+  const filesResult = dbOps.getEnvFilesByProject(project.id);
+  const trackedNames = (filesResult.success ? filesResult.envFiles : [])
+    .map((file) => file.name)
+    .filter((name) => !isExampleFile(name));
+
+  if (requestedFile && !trackedNames.includes(requestedFile)) {
+    console.log(
+      chalk.red(`${requestedFile} is not tracked in project ${project.name}`)
+    );
+    process.exit(1);
+  }
+
+  const fileNames = requestedFile ? [requestedFile] : trackedNames;
+  if (fileNames.length === 0) {
+    console.log(chalk.yellow("No committed environment files yet"));
+    console.log(chalk.gray("   Use 'evm add' and 'evm push' first"));
+    return;
+  }
+
+  let failed = 0;
+  writeExampleFiles(project.id, fileNames, currentUser.email).forEach(
+    (result) => {
+      if (result.error) {
+        console.log(chalk.red(`✗ ${result.fileName}: ${result.error}`));
+        failed++;
+      } else if (result.skipped) {
+        console.log(
+          chalk.gray(`- ${result.fileName}: not committed on this branch`)
+        );
+        if (requestedFile) failed++;
+      } else {
+        console.log(
+          chalk.green(`✓ Wrote ${result.examplePath} (from ${result.fileName})`)
+        );
+      }
+    }
+  );
+
+  if (args.includes("--on-push")) {
+    setExampleOnPush(true);
+    console.log(
+      chalk.gray("   Examples will be regenerated on every 'evm push'")
+    );
+  } else if (args.includes("--no-on-push")) {
+    setExampleOnPush(false);
+    console.log(chalk.gray("   Examples will no longer be regenerated on push"));
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  handleExample,
+};
@@ -0,0 +1,113 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const { dbOps } = require("../db");
+const { getFlagValue, hasFlag, positionalArgs } = require("../cli-options");
+const { addEnvFiles, isEnvFileName } = require("../env-manager");
+const {
+  IMPORT_FORMATS,
+  detectFormat,
+  convertToEnv,
+  formatEnv,
+} = require("../env-import");
+
+const USAGE =
+  "Usage: evm import-from <file> --as <.env.name> [--format json|yaml|compose|k8s] [--service <name>] [--secret <name>]";
+const VALUE_FLAGS = ["--format", "--as", "--service", "--secret", "-m", "--message"];
+
+function fail(message, hint = USAGE) {
+  console.log(chalk.red(message));
+  if (hint) {
+    console.log(chalk.yellow(hint));
+  }
+  process.exit(1);
+}
+
+// evm import-from <file> --as .env.production [--format <format>]
+// Converts secrets from a JSON/YAML config, a docker-compose service or a
+// Kubernetes Secret into an env file, then stages it like 'evm add' would
+async function handleImportFrom(args) {
+  if (!dbOps.isLoggedIn()) {
+    fail("You must be logged in. Run 'evm login' first.", null);
+  }
+
+  const source = positionalArgs(args, VALUE_FLAGS)[1];
+  const target = getFlagValue(args, "--as");
+  let format = getFlagValue(args, "--format");
+
+  if (!source) {
+    fail("Missing source file");
+  }
+  if (!fs.existsSync(source)) {
+    fail(`${source} not found`, null);
+  }
+  if (!target) {
+    fail("Missing --as <file>: the env file to write");
+  }
+  if (path.basename(target) !== target || !isEnvFileName(target)) {
+    fail(
+      `"${target}" is not an env file name evm tracks`,
+      "Use a name in the current directory such as .env.production"
+    );
+  }
+
+  const text = fs.readFileSync(source, "utf8");
+  if (format === undefined) {
+    format = detectFormat(source, text);
+    if (!format) {
+      fail(`Can't tell the format of ${source}; pass --format`);
+    }
+    console.log(chalk.gray(`Reading ${source} as ${format}`));
+  }
+  if (!IMPORT_FORMATS.includes(format)) {
+    fail(`Invalid format "${format}" (use: ${IMPORT_FORMATS.join(", ")})`);
+  }
+
+  let result;
+  try {
+    result = convertToEnv(text, format, {
+      service: getFlagValue(args, "--service"),
+      secret: getFlagValue(args, "--secret"),
+    });
+  } catch (error) {
+    fail(`Cannot import ${source}: ${error.message}`, null);
+  }
+
+  result.warnings.forEach((warning) => console.log(chalk.yellow(`  ${warning}`)));
+  if (result.pairs.length === 0) {
+    fail(`No variables found in ${source}`, null);
+  }
+
+  const content = formatEnv(
+    result.pairs,
+    `Imported from ${path.basename(source)}${
+      result.source ? ` (${result.source})` : ""
+    } with evm import-from`
+  );
+  const targetPath = path.resolve(target);
+  if (fs.existsSync(targetPath) && !hasFlag(args, "--force", "-f")) {
+    if (fs.readFileSync(targetPath, "utf8") === content) {
+      console.log(chalk.gray(`${target} already holds these variables`));
+    } else {
+      fail(`${target} already exists`, "Pass --force to replace it");
+    }
+  } else {
+    fs.writeFileSync(targetPath, content, "utf8");
+    console.log(
+      chalk.green(`✓ Wrote ${result.pairs.length} variable(s) to ${target}\n`)
+    );
+  }
+
+  // Same staging as 'evm add <file>'; 'evm push' commits it
+  const message = getFlagValue(args, "-m", "--message");
+  await addEnvFiles([
+    target,
+    ...(message ? ["--message", message] : []),
+    ...(hasFlag(args, "--yes", "-y") ? ["--yes"] : []),
+    ...(hasFlag(args, "--no-verify") ? ["--no-verify"] : []),
+  ]);
+}
+
+module.exports = {
+  handleImportFrom,
+};
@@ -0,0 +1,184 @@
+const chalk = require("chalk");
+const { dbOps, sessionManager } = require("../db");
+const { createSimplePrompt } = require("../components/text-input");
+const { reencryptLegacyContent } = require("../env-manager");
+const {
+  unlockKeys,
+  lockKeys,
+  getKeystoreStatus,
+  ensureUserKeyPair,
+  upgradePrivateKeyProtection,
+} = require("../key-manager");
+const { ModernAuth } = require("./modern-auth");
+
+function requireLogin() {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+  return dbOps.getCurrentUser();
+}
+
+// Prompt for the password when the keystore is locked or expired
+async function ensureUnlocked(userEmail, timeoutMinutes = null) {
+  const status = getKeystoreStatus(userEmail);
+  if (status && !timeoutMinutes) {
+    return status;
+  }
+
+  const password = await createSimplePrompt({
+    title: `Unlock encryption keys for ${userEmail}`,
+    placeholder: "Enter your password",
+    isPassword: true,
+  });
+
+  const result = await unlockKeys(userEmail, password, timeoutMinutes);
+  if (!result.success) {
+    console.log(chalk.red(`Unlock failed: ${result.error}`));
+    process.exit(1);
+  }
+  return getKeystoreStatus(userEmail);
+}
+
+// evm unlock [--timeout <minutes>]
+async function handleUnlock(args) {
+  const currentUser = requireLogin();
+
+  const timeoutIndex = args.indexOf("--timeout");
+  let timeoutMinutes = null;
+  if (timeoutIndex !== -1) {
+    timeoutMinutes = parseInt(args[timeoutIndex + 1], 10);
+    if (!(timeoutMinutes > 0)) {
+      console.log(chalk.red("--timeout must be a positive number of minutes"));
+      process.exit(1);
+    }
+  }
+
+  const status = await ensureUnlocked(currentUser.email, timeoutMinutes);
+  console.log(
+    chalk.green(
+      `✓ Keys unlocked until ${status.expiresAt.toLocaleTimeString()}`
+    )
+  );
+}
+
+// evm lock
+async function handleLock(args) {
+  lockKeys();
+  console.log(chalk.green("✓ Encryption keys locked"));
+}
+
+// evm migrate-keys
+// Re-encrypts every file and version written with the legacy email-derived
+// key using the project's data key, and reseals the private key with the
+// password-derived master key.
+async function handleMigrateKeys(args) {
+  const currentUser = requireLogin();
+  const userEmail = currentUser.email;
+
+  await ensureUnlocked(userEmail);
+
+  ensureUserKeyPair(userEmail);
+  const resealed = upgradePrivateKeyProtection(userEmail);
+
+  const projectsResult = dbOps.getProjectsByUser(currentUser.userId);
+  const projects = projectsResult.success ? projectsResult.projects : [];
+
+  let filesUpdated = 0;
+  let versionsUpdated = 0;
+  let errorCount = 0;
+
+  const rekeyRow = (row, projectId, label) => {
+    try {
+      const reencrypted = reencryptLegacyContent(
+        row.encrypted_content,
+        row.iv,
+        row.tag,
+        projectId,
+        userEmail
+      );
+      return reencrypted ? { id: row.id, ...reencrypted } : null;
+    } catch (error) {
+      console.log(chalk.red(`   ✗ ${label}: ${error.message}`));
+      errorCount++;
+      return null;
+    }
+  };
+
+  for (const project of projects) {
+    const filesResult = dbOps.getEnvFilesByProject(project.id);
+    const envFiles = filesResult.success ? filesResult.envFiles : [];
+
+    const fileUpdates = [];
+    const versionUpdates = [];
+
+    for (const envFile of envFiles) {
+      const fileUpdate = rekeyRow(envFile, project.id, envFile.name);
+      if (fileUpdate) fileUpdates.push(fileUpdate);
+
+      const versionsResult = dbOps.getEnvVersionsByFile(envFile.id);
+      const versions = versionsResult.success ? versionsResult.versions : [];
+
+      for (const version of versions) {
+        const versionUpdate = rekeyRow(
+          version,
+          project.id,
+          `${envFile.name}@${version.version_token.substring(0, 8)}`
+        );
+        if (versionUpdate) versionUpdates.push(versionUpdate);
+      }
+    }
+
+    if (fileUpdates.length === 0 && versionUpdates.length === 0) {
+      continue;
+    }
+
+    const result = dbOps.applyRekey(fileUpdates, versionUpdates);
+    if (!result.success) {
+      console.log(
+        chalk.red(`Failed to update project ${project.name}: ${result.error}`)
+      );
+      errorCount++;
+      continue;
+    }
+
+    filesUpdated += result.filesUpdated;
+    versionsUpdated += result.versionsUpdated;
+    console.log(
+      chalk.cyan(
+        `⇢ ${project.name}: ${result.filesUpdated} file(s), ${result.versionsUpdated} version(s) re-encrypted`
+      )
+    );
+  }
+
+  if (resealed && sessionManager.isOnline()) {
+    await new ModernAuth().publishPublicKey(userEmail);
+  }
+
+  console.log(chalk.green("\nKey migration complete"));
+  console.log(
+    chalk.gray(
+      `   Private key resealed: ${resealed ? "yes" : "no (already protected)"}`
+    )
+  );
+  console.log(chalk.gray(`   Files re-encrypted: ${filesUpdated}`));
+  console.log(chalk.gray(`   Versions re-encrypted: ${versionsUpdated}`));
+
+  if (versionsUpdated > 0 || filesUpdated > 0) {
+    console.log(
+      chalk.yellow("Run 'evm sync' to upload the re-encrypted history")
+    );
+  }
+
+  if (errorCount > 0) {
+    console.log(chalk.red(`   Errors: ${errorCount}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ensureUnlocked,
+  handleUnlock,
+  handleLock,
+  handleMigrateKeys,
+};
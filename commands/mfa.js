@@ -0,0 +1,147 @@
+const chalk = require("chalk");
+const { createSimplePrompt } = require("../components/text-input");
+const { requireInteractive } = require("../cli-options");
+const { modernAuth } = require("./auth");
+
+const USAGE = "Usage: evm mfa [status | enable | disable | recovery-codes]";
+
+function requireOnlineLogin() {
+  if (!modernAuth.getStoredToken()) {
+    console.log(chalk.red("MFA is managed on the server; run 'evm login' online first"));
+    process.exit(1);
+  }
+}
+
+function reportMfaError(action, error) {
+  const errorMsg = error.response?.data?.error || error.message;
+  console.log(chalk.red(`[ERROR] Could not ${action}: ${errorMsg}`));
+  process.exit(1);
+}
+
+function promptCode(title) {
+  requireInteractive("an MFA code", "MFA changes need a terminal");
+  return createSimplePrompt({
+    title,
+    placeholder: "6-digit code from your authenticator app",
+  });
+}
+
+function printRecoveryCodes(codes) {
+  console.log(chalk.yellow.bold("\nRecovery codes (each works once):\n"));
+  codes.forEach((code) => console.log(`   ${code}`));
+  console.log(
+    chalk.yellow(
+      "\nStore them somewhere safe. They are the only way in if you lose your authenticator."
+    )
+  );
+}
+
+// evm mfa [status]
+async function showStatus() {
+  try {
+    const response = await modernAuth.axiosInstance.get("/auth/me");
+    const { email, mfa_enabled } = response.data.user;
+    console.log(
+      mfa_enabled
+        ? chalk.green(`✓ Two-factor authentication is on for ${email}`)
+        : chalk.yellow(`Two-factor authentication is off for ${email}`)
+    );
+    if (!mfa_enabled) {
+      console.log(chalk.gray("   Turn it on with 'evm mfa enable'"));
+    }
+  } catch (error) {
+    reportMfaError("read MFA status", error);
+  }
+}
+
+// evm mfa enable
+// Shows the secret and its otpauth:// URI for an authenticator app, then
+// turns MFA on once a code from the app checks out
+async function enableMfa() {
+  let setup;
+  try {
+    setup = (await modernAuth.axiosInstance.post("/auth/mfa/setup")).data;
+  } catch (error) {
+    reportMfaError("start MFA setup", error);
+  }
+
+  console.log(chalk.blue.bold("\nAdd this account to your authenticator app\n"));
+  console.log(chalk.white("   Secret: ") + chalk.cyan.bold(setup.secret));
+  console.log(chalk.white("   URI:    ") + chalk.cyan(setup.uri));
+  console.log(
+    chalk.gray(
+      "\nEnter the secret by hand, or turn the URI into a QR code for your app to scan."
+    )
+  );
+
+  const code = await promptCode("Enter the code your app shows to confirm");
+
+  let result;
+  try {
+    result = (await modernAuth.axiosInstance.post("/auth/mfa/enable", { code }))
+      .data;
+  } catch (error) {
+    reportMfaError("enable MFA", error);
+  }
+
+  console.log(chalk.green("\n✓ Two-factor authentication enabled"));
+  printRecoveryCodes(result.recovery_codes);
+}
+
+// evm mfa disable
+async function disableMfa() {
+  requireInteractive("your password", "MFA changes need a terminal");
+  const password = await createSimplePrompt({
+    title: "Disable two-factor authentication",
+    placeholder: "Enter your password",
+    isPassword: true,
+  });
+  const code = await promptCode("Enter a code from your app (or a recovery code)");
+
+  try {
+    await modernAuth.axiosInstance.post("/auth/mfa/disable", { password, code });
+  } catch (error) {
+    reportMfaError("disable MFA", error);
+  }
+  console.log(chalk.green("✓ Two-factor authentication disabled"));
+}
+
+// evm mfa recovery-codes
+async function regenerateRecoveryCodes() {
+  const code = await promptCode("Enter a code from your app to replace your recovery codes");
+
+  let result;
+  try {
+    result = (
+      await modernAuth.axiosInstance.post("/auth/mfa/recovery-codes", { code })
+    ).data;
+  } catch (error) {
+    reportMfaError("replace recovery codes", error);
+  }
+
+  console.log(chalk.green("✓ New recovery codes issued; the old ones no longer work"));
+  printRecoveryCodes(result.recovery_codes);
+}
+
+async function handleMfa(args) {
+  const action = args[1] || "status";
+  const actions = {
+    status: showStatus,
+    enable: enableMfa,
+    disable: disableMfa,
+    "recovery-codes": regenerateRecoveryCodes,
+  };
+
+  if (!actions[action]) {
+    console.log(chalk.red(`Unknown mfa action "${action}"`));
+    console.log(chalk.yellow(USAGE));
+    process.exit(1);
+  }
+
+  requireOnlineLogin();
+  await actions[action]();
+}
+
+module.exports = {
+  handleMfa,
+};
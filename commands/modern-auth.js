@@ -1,14 +1,42 @@
 const chalk = require("chalk");
 const axios = require("axios");
+const os = require("os");
 const jwt = require("jsonwebtoken");
 const { dbOps, sessionManager } = require("../db");
 const { configManager } = require("../config");
 const loginUI = require("../login-ui");
+const { createSimplePrompt } = require("../components/text-input");
+const {
+  ensureUserKeyPair,
+  unlockKeys,
+  lockKeys,
+  adoptUserKeyPair,
+  isPasswordProtected,
+} = require("../key-manager");
 
 // Configuration
+const MIN_PASSWORD_LENGTH = 8;
 const JWT_SECRET =
   process.env.JWT_SECRET || "evm-default-secret-change-in-production";
 
+// The server answers 429 with retryAfter (seconds) after too many attempts
+function describeRetry(error) {
+  const seconds = error.response?.data?.retryAfter;
+  return seconds
+    ? `Too many attempts, try again in ${
+        seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`
+      }`
+    : "Too many attempts, try again later";
+}
+
+// Codes a user may type at the MFA prompt before login gives up
+const MFA_ATTEMPTS = 3;
+
+// How this machine is named in 'evm sessions'
+function deviceName() {
+  return `${os.hostname()} (${os.platform()})`;
+}
+
 /**
  * Modern JWT-based authentication
  */
@@ -25,6 +53,8 @@ class ModernAuth {
     // Add request interceptor to include JWT token
     this.axiosInstance.interceptors.request.use(
       (config) => {
+        // Read per request: --server can change it after construction
+        config.baseURL = configManager.getServerUrl();
         const token = this.getStoredToken();
         if (token) {
           config.headers.Authorization = `Bearer ${token}`;
@@ -59,6 +89,18 @@ class ModernAuth {
             process.exit(1);
           }
         }
+        if (
+          error.response?.status === 401 &&
+          error.response?.data?.error === "Session revoked"
+        ) {
+          console.log(
+            chalk.red(
+              "[ERROR] This device was signed out ('evm sessions revoke'). Please log in again."
+            )
+          );
+          sessionManager.clearSession();
+          process.exit(1);
+        }
         return Promise.reject(error);
       }
     );
@@ -105,60 +147,31 @@ class ModernAuth {
   }
 
   /**
-   * Register a new user
+   * Register a new user. The server answers the same whether or not the
+   * email is taken, so the account is then signed in like 'evm login'.
    */
   async register() {
     const { email, password } = await this.promptCredentials();
 
-    console.log(chalk.yellow("[INFO] Registering with server..."));
-
-    try {
-      const response = await this.axiosInstance.post("/auth/register", {
-        email,
-        password,
-      });
-
-      const { token, refreshToken, user } = response.data;
-
-      // Create local user and get local ID
-      const localResult = await dbOps.createUser(email, password, true);
-      let localUserId;
-
-      if (localResult.success) {
-        localUserId = localResult.userId;
-        console.log(
-          chalk.blue("[INFO] User cached locally for offline access")
-        );
-      } else {
-        // If user already exists locally, get their ID
-        const existingUser = dbOps.getUserByEmail(email);
-        if (existingUser) {
-          localUserId = existingUser.id;
-        } else {
-          throw new Error("Failed to create or find local user");
-        }
-      }
-
-      // Store session with LOCAL user ID, not server ID
-      sessionManager.setCurrentUser(
-        user.email,
-        localUserId,
-        token,
-        refreshToken
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      console.error(
+        chalk.red(`[ERROR] Use a password of at least ${MIN_PASSWORD_LENGTH} characters`)
       );
+      return { success: false, error: "Password too short" };
+    }
 
-      console.log(chalk.green("[SUCCESS] Registration successful!"));
-      console.log(chalk.blue(`[INFO] Welcome, ${user.email}!`));
+    console.log(chalk.yellow("[INFO] Registering with server..."));
 
-      return { success: true, user, token };
+    try {
+      await this.axiosInstance.post("/auth/register", { email, password });
     } catch (error) {
       if (error.code === "ECONNREFUSED" || error.code === "ENOTFOUND") {
         console.log(
           chalk.yellow("[WARNING] Server unavailable, registering locally only")
         );
         return this.registerOffline(email, password);
-      } else if (error.response?.status === 409) {
-        console.error(chalk.red("[ERROR] User already exists"));
+      } else if (error.response?.status === 429) {
+        console.error(chalk.red(`[ERROR] ${describeRetry(error)}`));
         throw error;
       } else if (error.response?.data?.error) {
         console.error(chalk.red("[ERROR]"), error.response.data.error);
@@ -168,6 +181,16 @@ class ModernAuth {
         throw error;
       }
     }
+
+    const result = await this.loginWith(email, password);
+    if (!result.success) {
+      console.log(
+        chalk.yellow(
+          "[INFO] If this email already has an account, run 'evm login' with its password"
+        )
+      );
+    }
+    return result;
   }
 
   /**
@@ -179,6 +202,8 @@ class ModernAuth {
     if (localResult.success) {
       // Create a temporary local session (no server token)
       sessionManager.setCurrentUser(email, localResult.userId, null, null);
+      await unlockKeys(email, password);
+      ensureUserKeyPair(email);
 
       console.log(
         chalk.green("[SUCCESS] User registered locally (offline mode)")
@@ -199,7 +224,10 @@ class ModernAuth {
 
   async login() {
     const { email, password } = await this.promptCredentials();
+    return this.loginWith(email, password);
+  }
 
+  async loginWith(email, password) {
     console.log(chalk.yellow("[INFO] Authenticating ..."));
     try {
       const serverAuth = await this.authenticateWithServer(email, password);
@@ -211,6 +239,9 @@ class ModernAuth {
 
         if (existingLocalUser) {
           localUserId = existingLocalUser.id;
+          // The server has the final say: the password may have been changed
+          // on another device, and offline login should accept the new one
+          await dbOps.setUserPassword(email, password);
         } else {
           // Create local user
           const localResult = await dbOps.createUser(email, password, true);
@@ -232,6 +263,9 @@ class ModernAuth {
           serverAuth.refreshToken
         );
 
+        await this.restoreKeys(email, password, serverAuth.keys);
+        await this.publishPublicKey(serverAuth.user.email);
+
         console.log(chalk.green("[SUCCESS] Login successful!"));
         console.log(chalk.blue(`[INFO] Welcome, ${serverAuth.user.email}!`));
 
@@ -249,6 +283,7 @@ class ModernAuth {
 
         if (localResult.success) {
           sessionManager.setCurrentUser(email, localResult.userId, null, null);
+          await unlockKeys(email, password);
 
           console.log(
             chalk.green("[SUCCESS] Local authentication successful!")
@@ -262,8 +297,12 @@ class ModernAuth {
           return { success: false, error: "Invalid credentials" };
         }
       } else if (error.response?.status === 401) {
-        console.error(chalk.red("[ERROR] Invalid credentials"));
-        return { success: false, error: "Invalid credentials" };
+        const message = error.response.data?.error || "Invalid credentials";
+        console.error(chalk.red(`[ERROR] ${message}`));
+        return { success: false, error: message };
+      } else if (error.response?.status === 429) {
+        console.error(chalk.red(`[ERROR] ${describeRetry(error)}`));
+        return { success: false, error: describeRetry(error) };
       } else {
         console.error(chalk.red("[ERROR] Login failed:"), error.message);
         return { success: false, error: error.message };
@@ -271,13 +310,99 @@ class ModernAuth {
     }
   }
 
+  /**
+   * Make sure the user has a keypair and the server knows the public half,
+   * so teammates can wrap project keys for this account
+   */
+  async publishPublicKey(email) {
+    try {
+      const publicKey = ensureUserKeyPair(email);
+      const { encrypted_private_key } = dbOps.getUserByEmail(email);
+      await this.axiosInstance.put("/auth/public-key", {
+        public_key: publicKey,
+        // Never upload a key still sealed with the legacy email-derived key
+        encrypted_private_key: isPasswordProtected(encrypted_private_key)
+          ? encrypted_private_key
+          : null,
+      });
+    } catch (error) {
+      console.log(
+        chalk.yellow("[WARNING] Could not publish encryption key:"),
+        error.response?.data?.error || error.message
+      );
+    }
+  }
+
+  /**
+   * Use the keypair stored on the server if another device created one,
+   * then unlock the master key with the login password
+   */
+  async restoreKeys(email, password, serverKeys) {
+    try {
+      if (
+        serverKeys?.public_key &&
+        isPasswordProtected(serverKeys.encrypted_private_key)
+      ) {
+        adoptUserKeyPair(
+          email,
+          password,
+          serverKeys.public_key,
+          serverKeys.encrypted_private_key
+        );
+      }
+    } catch (error) {
+      console.log(
+        chalk.yellow("[WARNING] Could not restore encryption keys:"),
+        error.message
+      );
+    }
+
+    const unlockResult = await unlockKeys(email, password);
+    if (!unlockResult.success) {
+      console.log(
+        chalk.yellow("[WARNING] Could not unlock encryption keys:"),
+        unlockResult.error
+      );
+    }
+  }
+
   async authenticateWithServer(email, password) {
-    const response = await this.axiosInstance.post("/auth/login", {
-      email,
-      password,
-    });
+    const login = (mfaCode) =>
+      this.axiosInstance.post("/auth/login", {
+        email,
+        password,
+        device_name: deviceName(),
+        mfa_code: mfaCode,
+      });
+
+    try {
+      const response = await login();
+      return response.data;
+    } catch (error) {
+      if (!error.response?.data?.mfa_required) {
+        throw error;
+      }
+    }
 
-    return response.data;
+    // The password was right and the account has MFA on: ask for the code
+    for (let attempt = 1; ; attempt++) {
+      const code = await createSimplePrompt({
+        title: "Two-factor authentication",
+        placeholder: "6-digit code or a recovery code",
+      });
+      try {
+        const response = await login(code);
+        return response.data;
+      } catch (error) {
+        if (
+          attempt >= MFA_ATTEMPTS ||
+          error.response?.data?.error !== "Invalid MFA code"
+        ) {
+          throw error;
+        }
+        console.log(chalk.red("[ERROR] Invalid code, try again"));
+      }
+    }
   }
 
   async refreshToken() {
@@ -297,7 +422,10 @@ class ModernAuth {
 
       return true;
     } catch (error) {
-      console.log(chalk.red("[ERROR] Token refresh failed:"), error.message);
+      console.log(
+        chalk.red("[ERROR] Token refresh failed:"),
+        error.response?.data?.error || error.message
+      );
       return false;
     }
   }
@@ -316,6 +444,7 @@ class ModernAuth {
     }
 
     sessionManager.clearSession();
+    lockKeys();
     console.log(chalk.green("[SUCCESS] Logged out successfully"));
   }
 
@@ -377,4 +506,5 @@ class ModernAuth {
 module.exports = {
   ModernAuth,
   JWT_SECRET,
+  MIN_PASSWORD_LENGTH,
 };
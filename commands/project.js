@@ -5,6 +5,14 @@ const { configManager } = require("../config");
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const {
+  hasFlag,
+  positionalArgs,
+  requireInteractive,
+  printJson,
+  failCommand,
+  toIsoDate,
+} = require("../cli-options");
 
 // Config file management functions
 function getConfigPath() {
@@ -54,7 +62,7 @@ function createAuthenticatedAxios() {
   }
 
   return axios.create({
-    baseURL: "https://dot-evm-jbko.vercel.app",
+    baseURL: configManager.getServerUrl(),
     timeout: 10000,
     headers: {
       "Content-Type": "application/json",
@@ -160,6 +168,9 @@ async function handleRename(args) {
 
   const project = currentProject.project;
 
+  // Rename never prompts, so flags such as --yes are accepted and ignored
+  args = positionalArgs(args);
+
   if (args.length === 2) {
     const newProjectName = args[1];
 
@@ -437,8 +448,31 @@ async function handleFileRename(
 }
 
 // List all projects and their files for the current user
-async function handleListAllProjects(currentUser) {
+// A project and its files as listed in evm.list/v1
+function projectListEntry(project) {
+  const envFiles = dbOps.getEnvFilesByProject(project.id);
+  return {
+    name: project.name,
+    createdAt: toIsoDate(project.createdAt),
+    files: (envFiles.success ? envFiles.envFiles : []).map((file) => ({
+      name: file.name,
+      size: file.encrypted_content ? file.encrypted_content.length : 0,
+      createdAt: toIsoDate(file.createdAt),
+      updatedAt: toIsoDate(file.updatedAt),
+    })),
+  };
+}
+
+async function handleListAllProjects(currentUser, json) {
   const allProjects = dbOps.getProjectsByUser(currentUser.userId);
+  if (json) {
+    if (!allProjects.success) {
+      failCommand(json, "list", allProjects.error);
+    }
+    printJson("list", { projects: allProjects.projects.map(projectListEntry) });
+    return;
+  }
+
   if (!allProjects.success || allProjects.projects.length === 0) {
     console.log(
       chalk.yellow("\n   No projects found. Create a project with 'evm init'.")
@@ -505,21 +539,23 @@ async function handleListAllProjects(currentUser) {
 }
 
 // List files in a project
-async function handleProjectList(args) {
+async function handleProjectList(rawArgs) {
+  const json = rawArgs.includes("--json");
+  const args = rawArgs.filter((arg) => arg !== "--json");
+  const fail = (message) => failCommand(json, "list", message);
+
   if (!dbOps.isLoggedIn()) {
-    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
-    process.exit(1);
+    fail("You must be logged in. Run 'evm login' first.");
   }
 
   const currentUser = dbOps.getCurrentUser();
   if (!currentUser) {
-    console.log(chalk.red("Failed to get current user."));
-    process.exit(1);
+    fail("Failed to get current user.");
   }
 
   // Check for --all flag
   if (args.length === 2 && args[1] === "--all") {
-    return handleListAllProjects(currentUser);
+    return handleListAllProjects(currentUser, json);
   }
 
   let projectName;
@@ -527,12 +563,13 @@ async function handleProjectList(args) {
   if (args.length === 1 && (args[0] === "list" || args[0] === "-l")) {
     const currentProject = dbOps.getCurrentProject(currentUser.userId);
     if (!currentProject.success) {
-      console.log(chalk.red("No active project found. Run 'evm init' first."));
-      process.exit(1);
+      fail("No active project found. Run 'evm init' first.");
     }
     projectName = currentProject.project.name;
   } else if (args.length === 2 && (args[1] === "list" || args[1] === "-l")) {
     projectName = args[0];
+  } else if (json) {
+    fail("Invalid usage for list command");
   } else {
     console.log(chalk.red("Invalid usage for list command"));
     console.log(chalk.yellow("Usage:"));
@@ -561,19 +598,27 @@ async function handleProjectList(args) {
         "  evm list --all              # List all projects and their files"
       )
     );
+    console.log(
+      chalk.yellow(
+        "  evm list [--all] --json     # Same, as an evm.list/v1 document"
+      )
+    );
     process.exit(1);
   }
 
   const project = dbOps.getProjectByName(currentUser.userId, projectName);
   if (!project.success) {
-    console.log(chalk.red(`Project "${projectName}" not found.`));
-    process.exit(1);
+    fail(`Project "${projectName}" not found.`);
   }
 
   const envFiles = dbOps.getEnvFilesByProject(project.project.id);
   if (!envFiles.success) {
-    console.log(chalk.red(`Failed to get files for project "${projectName}".`));
-    process.exit(1);
+    fail(`Failed to get files for project "${projectName}".`);
+  }
+
+  if (json) {
+    printJson("list", { projects: [projectListEntry(project.project)] });
+    return;
   }
 
   // Format project creation date
@@ -687,14 +732,23 @@ async function handleRemove(args) {
         "  evm rm <filename> --force     # Remove file from current project (local + cloud)"
       )
     );
+    console.log(
+      chalk.white(
+        "  evm rm <filename> --yes       # Skip the confirmation prompt"
+      )
+    );
     return;
   }
 
-  // Check for --force flag
+  // Check for --force and --yes flags
   const forceFlag = args.includes("--force");
-  const filteredArgs = args.filter((arg) => arg !== "--force");
+  const skipConfirmation = hasFlag(args, "--yes", "-y");
+  const fileName = positionalArgs(args)[1];
 
-  const fileName = filteredArgs[1];
+  if (!fileName) {
+    console.log(chalk.red("Missing file name"));
+    return;
+  }
 
   // Get current project from current directory
   const currentProject = dbOps.getCurrentProject(currentUser.userId);
@@ -752,27 +806,35 @@ async function handleRemove(args) {
     );
   }
 
-  try {
-    const confirmationTitle = forceFlag
-      ? "Type 'yes' to confirm deletion from local AND cloud:"
-      : "Type 'yes' to confirm local deletion:";
-
-    const confirmation = await createSimplePrompt({
-      title: confirmationTitle,
-      placeholder: "yes",
-      width: 50,
-      borderColor: "red",
-      validateInput: (input) => input.toLowerCase() === "yes",
-      errorMessage: "Please type 'yes' to confirm deletion or Ctrl+C to cancel",
-    });
+  if (!skipConfirmation) {
+    requireInteractive(
+      "confirmation",
+      "Pass --yes to delete without confirmation"
+    );
 
-    if (confirmation.toLowerCase() !== "yes") {
-      console.log(chalk.yellow("File deletion cancelled"));
+    try {
+      const confirmationTitle = forceFlag
+        ? "Type 'yes' to confirm deletion from local AND cloud:"
+        : "Type 'yes' to confirm local deletion:";
+
+      const confirmation = await createSimplePrompt({
+        title: confirmationTitle,
+        placeholder: "yes",
+        width: 50,
+        borderColor: "red",
+        validateInput: (input) => input.toLowerCase() === "yes",
+        errorMessage:
+          "Please type 'yes' to confirm deletion or Ctrl+C to cancel",
+      });
+
+      if (confirmation.toLowerCase() !== "yes") {
+        console.log(chalk.yellow("File deletion cancelled"));
+        return;
+      }
+    } catch (error) {
+      console.log(chalk.yellow("\nFile deletion cancelled"));
       return;
     }
-  } catch (error) {
-    console.log(chalk.yellow("\nFile deletion cancelled"));
-    return;
   }
 
   console.log(chalk.blue("\nDeleting file..."));
@@ -0,0 +1,276 @@
+const chalk = require("chalk");
+const dotenv = require("dotenv");
+const { spawn } = require("child_process");
+const { dbOps } = require("../db");
+const {
+  decryptProjectContent,
+  decryptWithProjectKey,
+  createAuthenticatedAxios,
+} = require("../env-manager");
+const { unwrapKey } = require("../key-manager");
+const { getEnvToken } = require("../service-token");
+const { cloudVersionOnBranch } = require("./cloud");
+
+const FORWARDED_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP"];
+// Branch a service token reads by default; CI has no current branch
+const DEFAULT_BRANCH = "main";
+
+// Split `evm run [options] -- <command...>` into options and the command
+function parseRunArgs(args) {
+  const separator = args.indexOf("--");
+  const options = separator === -1 ? args.slice(1) : args.slice(1, separator);
+  const command = separator === -1 ? [] : args.slice(separator + 1);
+
+  const valueOf = (flag) => {
+    const index = options.indexOf(flag);
+    return index !== -1 ? options[index + 1] : null;
+  };
+
+  return {
+    file: valueOf("--file"),
+    version: valueOf("--version"),
+    command,
+  };
+}
+
+function pickEnvFile(envFiles, requestedName) {
+  if (requestedName) {
+    return envFiles.find((file) => file.name === requestedName) || null;
+  }
+
+  // Without --file, prefer .env, then the only tracked file
+  return (
+    envFiles.find((file) => file.name === ".env") ||
+    (envFiles.length === 1 ? envFiles[0] : null)
+  );
+}
+
+function resolveVersion(projectId, envFile, hash) {
+  if (!hash) {
+    const headVersion = dbOps.getHeadVersion(envFile.id);
+    return headVersion.success
+      ? { version: headVersion.version }
+      : { error: "No commits for this file on the current branch" };
+  }
+
+  const commitResult = dbOps.resolveCommitHash(projectId, hash);
+  if (!commitResult.success) {
+    return { error: commitResult.error };
+  }
+
+  const versionResult = dbOps.getFileVersionAtCommit(
+    envFile.id,
+    commitResult.commit
+  );
+  return versionResult.success
+    ? { version: versionResult.version }
+    : { error: `${envFile.name} did not exist at commit ${hash}` };
+}
+
+function fail(message, hint) {
+  console.log(chalk.red(message));
+  if (hint) {
+    console.log(chalk.yellow(hint));
+  }
+  process.exit(1);
+}
+
+function reportUnknownFile(file, projectName, envFiles) {
+  console.log(
+    chalk.red(
+      file
+        ? `${file} is not tracked in project ${projectName}`
+        : "Could not choose an environment file, pass --file"
+    )
+  );
+  if (envFiles.length > 0) {
+    console.log(
+      chalk.gray(`Tracked files: ${envFiles.map((f) => f.name).join(", ")}`)
+    );
+  }
+  process.exit(1);
+}
+
+// The file from the local project, as { label, content }
+function loadFromProject(file, hash) {
+  if (!dbOps.isLoggedIn()) {
+    fail("You must be logged in. Run 'evm login' first.");
+  }
+
+  const currentUser = dbOps.getCurrentUser();
+  const currentProject = dbOps.getCurrentProject(currentUser.userId);
+  if (!currentProject.success) {
+    fail("No active project found. Run 'evm init' first.");
+  }
+  const project = currentProject.project;
+
+  const filesResult = dbOps.getEnvFilesByProject(project.id);
+  const envFiles = filesResult.success ? filesResult.envFiles : [];
+  const envFile = pickEnvFile(envFiles, file);
+  if (!envFile) {
+    reportUnknownFile(file, project.name, envFiles);
+  }
+
+  const resolved = resolveVersion(project.id, envFile, hash);
+  if (resolved.error) {
+    fail(resolved.error, 'Use "evm log" to see available commits');
+  }
+
+  try {
+    const content = decryptProjectContent(
+      resolved.version.encrypted_content,
+      resolved.version.iv,
+      resolved.version.tag,
+      project.id,
+      currentUser.email
+    );
+    return {
+      label: `${envFile.name}@${resolved.version.version_token.substring(0, 8)}`,
+      content,
+    };
+  } catch (error) {
+    fail(`Failed to decrypt ${envFile.name}: ${error.message}`);
+  }
+}
+
+// A tag, a commit hash (or prefix), or by default the main branch head
+function resolveCloudCommit(data, ref) {
+  if (!ref) {
+    const main = (data.branches || []).find(
+      (branch) => branch.name === DEFAULT_BRANCH
+    );
+    return main ? main.head_hash : null;
+  }
+
+  const tag = (data.tags || []).find((t) => t.name === ref);
+  if (tag) {
+    return tag.commit_hash;
+  }
+  const matches = (data.commits || []).filter((commit) =>
+    commit.commit_hash.startsWith(ref)
+  );
+  return matches.length === 1 ? matches[0].commit_hash : undefined;
+}
+
+// With EVM_TOKEN set the file comes from the server and is decrypted with the
+// token's key: no login or local project needed (CI machines)
+async function loadWithServiceToken(file, hash) {
+  let token;
+  try {
+    token = getEnvToken();
+  } catch (error) {
+    fail(error.message);
+  }
+
+  let info;
+  let data;
+  try {
+    const api = createAuthenticatedAxios(token.bearer);
+    info = (await api.get("/service-token")).data;
+    data = (
+      await api.get(`/projects/${encodeURIComponent(info.projectName)}/files`)
+    ).data;
+  } catch (error) {
+    fail(
+      `Could not load the project: ${
+        error.response?.data?.error || error.message
+      }`
+    );
+  }
+
+  const envFile = pickEnvFile(data.files || [], file);
+  if (!envFile) {
+    reportUnknownFile(file, info.projectName, data.files || []);
+  }
+
+  const commitHash = resolveCloudCommit(data, hash);
+  if (commitHash === undefined) {
+    fail(`Commit "${hash}" not found (or ambiguous) in ${info.projectName}`);
+  }
+  // Projects pushed before branches existed have no main branch: newest version
+  const version = commitHash
+    ? cloudVersionOnBranch(envFile.versions, data.commits, commitHash)
+    : envFile.versions[0];
+  if (!version) {
+    fail(
+      hash
+        ? `${envFile.name} did not exist at commit ${hash}`
+        : `No commits for ${envFile.name} on ${DEFAULT_BRANCH}`
+    );
+  }
+
+  try {
+    const key = unwrapKey(info.wrapped_key, token.privateKey);
+    const content = decryptWithProjectKey(
+      version.encrypted_content,
+      version.iv,
+      version.tag,
+      key
+    );
+    if (content === null) {
+      throw new Error("content was not encrypted with the project key");
+    }
+    return {
+      label: `${envFile.name}@${version.version_token.substring(0, 8)}`,
+      content,
+    };
+  } catch (error) {
+    fail(`Failed to decrypt ${envFile.name}: ${error.message}`);
+  }
+}
+
+// evm run [--file <name>] [--version <hash>] -- <command...>
+async function handleRun(args) {
+  const { file, version: hash, command } = parseRunArgs(args);
+
+  if (command.length === 0) {
+    fail(
+      "Missing command to run",
+      "Usage: evm run [--file .env.production] [--version <hash>] -- <command>"
+    );
+  }
+
+  const { label, content } = process.env.EVM_TOKEN
+    ? await loadWithServiceToken(file, hash)
+    : loadFromProject(file, hash);
+  const variables = dotenv.parse(content);
+
+  // Keep stdout for the child; our own notes go to stderr
+  console.error(
+    chalk.gray(
+      `[evm] ${label}: injecting ${Object.keys(variables).length} variable(s)`
+    )
+  );
+
+  const child = spawn(command[0], command.slice(1), {
+    env: { ...process.env, ...variables },
+    stdio: "inherit",
+    shell: process.platform === "win32",
+  });
+
+  const forwarders = FORWARDED_SIGNALS.map((signal) => {
+    const forward = () => child.kill(signal);
+    process.on(signal, forward);
+    return [signal, forward];
+  });
+
+  child.on("error", (error) => {
+    console.error(chalk.red(`Failed to start ${command[0]}: ${error.message}`));
+    process.exit(127);
+  });
+
+  child.on("exit", (code, signal) => {
+    forwarders.forEach(([name, forward]) => process.off(name, forward));
+
+    if (signal) {
+      // Die the same way the child did so callers see the signal
+      process.kill(process.pid, signal);
+      return;
+    }
+    process.exit(code);
+  });
+}
+
+module.exports = {
+  handleRun,
+};
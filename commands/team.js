@@ -0,0 +1,174 @@
+const chalk = require("chalk");
+const { dbOps } = require("../db");
+const { createAuthenticatedAxios } = require("../env-manager");
+const { wrapProjectKeyFor } = require("../key-manager");
+
+const SHARE_ROLES = ["editor", "viewer"];
+
+// Resolve the logged in user and the project bound to the current directory
+function getUserAndProject() {
+  if (!dbOps.isLoggedIn()) {
+    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
+    process.exit(1);
+  }
+
+  const currentUser = dbOps.getCurrentUser();
+  const currentProject = dbOps.getCurrentProject(currentUser.userId);
+  if (!currentProject.success) {
+    console.log(chalk.red("No active project found. Run 'evm init' first."));
+    process.exit(1);
+  }
+
+  return { currentUser, project: currentProject.project };
+}
+
+function reportCloudError(action, error) {
+  const errorMsg = error.response?.data?.error || error.message;
+  console.log(chalk.red(`Could not ${action}: ${errorMsg}`));
+
+  // Check for JWT expiration
+  if (
+    error.response?.status === 401 ||
+    errorMsg.includes("Token expired") ||
+    errorMsg.includes("No valid token found")
+  ) {
+    console.log(chalk.yellow("Login to use cloud operations"));
+  } else if (error.response?.status === 404) {
+    console.log(
+      chalk.gray("Run 'evm sync' first if the project has never been pushed")
+    );
+  }
+  process.exit(1);
+}
+
+// evm share <email> [--role editor|viewer]
+async function handleShare(args) {
+  const email = args[1];
+  const roleIndex = args.indexOf("--role");
+  const role = roleIndex !== -1 ? args[roleIndex + 1] : "viewer";
+
+  if (!email || email.startsWith("--")) {
+    console.log(chalk.red("Missing email address"));
+    console.log(chalk.yellow("Usage: evm share <email> [--role editor|viewer]"));
+    process.exit(1);
+  }
+
+  if (!SHARE_ROLES.includes(role)) {
+    console.log(chalk.red(`Invalid role "${role}"`));
+    console.log(chalk.yellow(`Role must be one of: ${SHARE_ROLES.join(", ")}`));
+    process.exit(1);
+  }
+
+  const { currentUser, project } = getUserAndProject();
+
+  try {
+    const api = createAuthenticatedAxios();
+
+    // Wrap the project key for the invitee so they can decrypt the files
+    let wrappedKey = null;
+    const keyResponse = await api.get(
+      `/users/public-key?email=${encodeURIComponent(email)}`
+    );
+    if (keyResponse.data.public_key) {
+      wrappedKey = wrapProjectKeyFor(
+        project.id,
+        currentUser.email,
+        keyResponse.data.public_key
+      );
+    }
+
+    const response = await api.post(
+      `/projects/${encodeURIComponent(project.name)}/members`,
+      { email, role, wrapped_key: wrappedKey }
+    );
+
+    console.log(chalk.green(`✓ ${response.data.message}`));
+    if (!wrappedKey) {
+      console.log(
+        chalk.yellow(
+          "This project has no data key yet; push a commit, then share again"
+        )
+      );
+    }
+    console.log(
+      chalk.gray(`${email} can now run 'evm clone ${project.name}'`)
+    );
+    // The server doesn't say whether the address has an account or a key yet
+    console.log(
+      chalk.gray(
+        "If they can't decrypt the files, ask them to run 'evm login', then share again"
+      )
+    );
+  } catch (error) {
+    reportCloudError("share project", error);
+  }
+}
+
+// evm members
+async function handleMembers(args) {
+  const { project } = getUserAndProject();
+
+  try {
+    const api = createAuthenticatedAxios();
+    const response = await api.get(
+      `/projects/${encodeURIComponent(project.name)}/members`
+    );
+
+    const members = response.data.members || [];
+
+    console.log(chalk.blue.bold(`\nMembers of project: ${project.name}\n`));
+
+    const emailCol = "Email".padEnd(32);
+    const roleCol = "Role".padEnd(10);
+    const addedCol = "Added";
+    console.log(chalk.cyan(`${emailCol} ${roleCol} ${addedCol}`));
+    console.log(chalk.gray("-".repeat(60)));
+
+    members.forEach((member) => {
+      const added = member.created_at
+        ? new Date(member.created_at).toLocaleDateString()
+        : "-";
+      const line = `${member.email.padEnd(32)} ${member.role.padEnd(10)} ${added}`;
+      console.log(
+        member.role === "owner" ? chalk.white.bold(line) : chalk.white(line)
+      );
+    });
+
+    console.log(chalk.gray(`\nYour role: ${response.data.role}`));
+  } catch (error) {
+    reportCloudError("list project members", error);
+  }
+}
+
+// evm unshare <email>
+async function handleUnshare(args) {
+  const email = args[1];
+
+  if (!email) {
+    console.log(chalk.red("Missing email address"));
+    console.log(chalk.yellow("Usage: evm unshare <email>"));
+    process.exit(1);
+  }
+
+  const { project } = getUserAndProject();
+
+  try {
+    const api = createAuthenticatedAxios();
+    const response = await api.delete(
+      `/projects/${encodeURIComponent(project.name)}/members`,
+      { data: { email } }
+    );
+
+    console.log(chalk.green(`✓ ${response.data.message}`));
+  } catch (error) {
+    reportCloudError("remove project member", error);
+  }
+}
+
+module.exports = {
+  handleShare,
+  handleMembers,
+  handleUnshare,
+  getUserAndProject,
+  reportCloudError,
+};
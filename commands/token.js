@@ -0,0 +1,179 @@
+const chalk = require("chalk");
+const { createAuthenticatedAxios } = require("../env-manager");
+const { wrapProjectKeyFor } = require("../key-manager");
+const { getFlagValue } = require("../cli-options");
+const {
+  TOKEN_SCOPES,
+  DEFAULT_EXPIRY,
+  generateServiceToken,
+  hashBearer,
+  bearerPrefix,
+  parseExpiry,
+} = require("../service-token");
+const { getUserAndProject, reportCloudError } = require("./team");
+
+const USAGE =
+  "Usage: evm token create [--scope read|write] [--expires 90d|never] [--name <label>] | evm token list | evm token revoke <id>";
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "-";
+}
+
+function tokenStatus(token) {
+  if (token.revoked_at) return "revoked";
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) {
+    return "expired";
+  }
+  return "active";
+}
+
+// evm token create [--scope read|write] [--expires 90d] [--name ci]
+async function createToken(args) {
+  const scope = getFlagValue(args, "--scope") || "read";
+  const expiry = getFlagValue(args, "--expires") || DEFAULT_EXPIRY;
+  const name = getFlagValue(args, "--name") || "ci";
+
+  if (!TOKEN_SCOPES.includes(scope)) {
+    console.log(chalk.red(`Invalid scope "${scope}"`));
+    console.log(chalk.yellow(`Scope must be one of: ${TOKEN_SCOPES.join(", ")}`));
+    process.exit(1);
+  }
+
+  const expiresAt = parseExpiry(expiry);
+  if (expiresAt === undefined) {
+    console.log(chalk.red(`Invalid expiry "${expiry}"`));
+    console.log(
+      chalk.yellow('Use a number of hours, days or weeks ("12h", "90d", "4w") or "never"')
+    );
+    process.exit(1);
+  }
+
+  const { currentUser, project } = getUserAndProject();
+
+  // The token carries its own keypair; the server only ever sees the public
+  // half's wrap of the project key
+  const generated = generateServiceToken();
+  const wrappedKey = wrapProjectKeyFor(
+    project.id,
+    currentUser.email,
+    generated.publicKey
+  );
+  if (!wrappedKey) {
+    console.log(chalk.red("This project has no data key yet"));
+    console.log(chalk.yellow("Push a commit first, then create the token"));
+    process.exit(1);
+  }
+
+  try {
+    const api = createAuthenticatedAxios();
+    await api.post(`/projects/${encodeURIComponent(project.name)}/tokens`, {
+      name,
+      scope,
+      token_hash: hashBearer(generated.bearer),
+      token_prefix: bearerPrefix(generated.bearer),
+      wrapped_key: wrappedKey,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+    });
+  } catch (error) {
+    reportCloudError("create token", error);
+  }
+
+  console.log(
+    chalk.green(`✓ Created ${scope} token "${name}" for project ${project.name}`)
+  );
+  console.log(
+    chalk.gray(
+      expiresAt
+        ? `   Expires ${expiresAt.toLocaleDateString()}`
+        : "   Never expires"
+    )
+  );
+  console.log(`\n${generated.token}\n`);
+  console.log(
+    chalk.yellow(
+      "Store it as the EVM_TOKEN secret of your CI; it is not shown again."
+    )
+  );
+  console.log(
+    chalk.gray("   With EVM_TOKEN set, 'evm run -- <command>' needs no login")
+  );
+}
+
+// evm token list
+async function listTokens() {
+  const { project } = getUserAndProject();
+
+  let tokens;
+  try {
+    const api = createAuthenticatedAxios();
+    const response = await api.get(
+      `/projects/${encodeURIComponent(project.name)}/tokens`
+    );
+    tokens = response.data.tokens || [];
+  } catch (error) {
+    reportCloudError("list tokens", error);
+  }
+
+  console.log(chalk.blue.bold(`\nService tokens of project: ${project.name}\n`));
+  if (tokens.length === 0) {
+    console.log(chalk.gray("No tokens. Create one with 'evm token create'"));
+    return;
+  }
+
+  console.log(
+    chalk.cyan(
+      `${"ID".padEnd(5)} ${"Name".padEnd(16)} ${"Prefix".padEnd(13)} ${"Scope".padEnd(6)} ${"Expires".padEnd(11)} ${"Last used".padEnd(11)} Status`
+    )
+  );
+  console.log(chalk.gray("-".repeat(76)));
+
+  tokens.forEach((token) => {
+    const status = tokenStatus(token);
+    const line = `${String(token.id).padEnd(5)} ${token.name.padEnd(16)} ${token.token_prefix.padEnd(13)} ${token.scope.padEnd(6)} ${formatDate(token.expires_at).padEnd(11)} ${formatDate(token.last_used_at).padEnd(11)} ${status}`;
+    console.log(status === "active" ? chalk.white(line) : chalk.gray(line));
+  });
+}
+
+// evm token revoke <id>
+async function revokeToken(args) {
+  const id = args[2];
+  if (!id || !/^\d+$/.test(id)) {
+    console.log(chalk.red("Missing token id"));
+    console.log(chalk.yellow("Usage: evm token revoke <id> (see 'evm token list')"));
+    process.exit(1);
+  }
+
+  const { project } = getUserAndProject();
+
+  try {
+    const api = createAuthenticatedAxios();
+    await api.delete(
+      `/projects/${encodeURIComponent(project.name)}/tokens/${id}`
+    );
+    console.log(chalk.green(`✓ Revoked token ${id}`));
+  } catch (error) {
+    reportCloudError("revoke token", error);
+  }
+}
+
+// evm token create|list|revoke
+async function handleToken(args) {
+  switch (args[1]) {
+    case "create":
+      return createToken(args);
+    case "list":
+      return listTokens();
+    case "revoke":
+      return revokeToken(args);
+    default:
+      console.log(
+        chalk.red(args[1] ? `Unknown token action "${args[1]}"` : "Missing token action")
+      );
+      console.log(chalk.yellow(USAGE));
+      process.exit(1);
+  }
+}
+
+module.exports = {
+  handleToken,
+};
@@ -0,0 +1,92 @@
+const chalk = require("chalk");
+const fs = require("fs");
+const { loadSchema, validateEnv } = require("../env-schema");
+const { isExampleFile } = require("../env-parser");
+
+// Example files are templates with empty values, not real configuration
+function findEnvFiles() {
+  return fs
+    .readdirSync(".")
+    .filter(
+      (file) =>
+        file.startsWith(".env") &&
+        !isExampleFile(file) &&
+        fs.statSync(file).isFile()
+    );
+}
+
+function printIssues({ errors, warnings }) {
+  errors.forEach(({ key, message }) => {
+    console.log(chalk.red(`   ✗ ${key}: ${message}`));
+  });
+  warnings.forEach(({ key, message }) => {
+    console.log(chalk.yellow(`   ! ${key}: ${message}`));
+  });
+}
+
+// evm validate [file]
+// Checks working files against the "variables" schema in .evm-config.json.
+// Exits 1 when any file (or the schema itself) has errors.
+async function handleValidate(args) {
+  const targetFile = args[1];
+  const schema = loadSchema();
+
+  if (schema.variables.length === 0 && schema.errors.length === 0) {
+    console.log(chalk.yellow("No variables defined in .evm-config.json"));
+    console.log(
+      chalk.gray('   Add entries to "variables" to describe the expected keys')
+    );
+    return;
+  }
+
+  if (targetFile && !fs.existsSync(targetFile)) {
+    console.log(chalk.red(`File "${targetFile}" not found in current directory`));
+    process.exit(1);
+  }
+
+  const files = targetFile ? [targetFile] : findEnvFiles();
+  if (files.length === 0) {
+    console.log(chalk.yellow("No environment files found in current directory"));
+    return;
+  }
+
+  console.log(
+    chalk.blue.bold(
+      `\nValidating against ${schema.variables.length} variable(s) in .evm-config.json\n`
+    )
+  );
+
+  let failed = schema.errors.length > 0;
+  if (schema.errors.length > 0) {
+    console.log(chalk.red("Schema errors:"));
+    printIssues({ errors: schema.errors, warnings: [] });
+    console.log();
+  }
+
+  for (const file of files) {
+    const result = validateEnv(
+      fs.readFileSync(file, "utf8"),
+      schema.variables,
+      file
+    );
+
+    if (result.errors.length > 0) {
+      console.log(chalk.red(`✗ ${file}`));
+      failed = true;
+    } else {
+      console.log(chalk.green(`✓ ${file}`));
+    }
+    printIssues(result);
+  }
+
+  if (failed) {
+    console.log(chalk.red("\nValidation failed"));
+    process.exit(1);
+  }
+  console.log(chalk.green("\nAll files are valid"));
+}
+
+module.exports = {
+  handleValidate,
+  printIssues,
+};
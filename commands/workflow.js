@@ -1,113 +1,170 @@
 const chalk = require("chalk");
 const { dbOps, sessionManager } = require("../db");
-const { decryptContent } = require("../env-manager");
+const { decryptProjectContent, getConflicts } = require("../env-manager");
+const {
+  parseEnv,
+  diffEnv,
+  hasConflictMarkers,
+  isExampleFile,
+} = require("../env-parser");
+const { createRedactor, recordReveal } = require("../redact");
+const { printJson, failCommand, toIsoDate } = require("../cli-options");
+
+// State of one working file against the current branch:
+// { name, state, keys?, error? } with state one of unchanged, modified,
+// untracked, conflicted, no_versions, unreadable or error
+function getFileStatus(file, dbFiles, conflicts, projectId, userEmail) {
+  const fs = require("fs");
+
+  try {
+    const currentContent = fs.readFileSync(file, "utf8");
+    const dbFile = dbFiles.find((f) => f.name === file);
+
+    if (conflicts[file] && hasConflictMarkers(currentContent)) {
+      return { name: file, state: "conflicted", keys: conflicts[file].keys };
+    }
+    if (!dbFile) {
+      return { name: file, state: "untracked" };
+    }
+
+    // Compare with the file's version on the current branch
+    const headVersion = dbOps.getHeadVersion(dbFile.id);
+    if (!headVersion.success) {
+      return { name: file, state: "no_versions" };
+    }
+
+    let decryptedContent;
+    try {
+      decryptedContent = decryptVersion(
+        headVersion.version,
+        projectId,
+        userEmail
+      );
+    } catch (decryptError) {
+      return { name: file, state: "unreadable" };
+    }
+
+    return {
+      name: file,
+      state:
+        currentContent.trim() === decryptedContent.trim()
+          ? "unchanged"
+          : "modified",
+    };
+  } catch (error) {
+    return { name: file, state: "error", error: error.message };
+  }
+}
+
+function printFileStatus({ name, state, keys, error }) {
+  switch (state) {
+    case "conflicted":
+      console.log(chalk.red(`   ${name}`));
+      console.log(chalk.red(`      Status: Conflicted (${keys.join(", ")})`));
+      break;
+    case "untracked":
+      console.log(chalk.yellow(`   ${name}`));
+      console.log(chalk.yellow(`      Status: New file (not tracked)`));
+      break;
+    case "no_versions":
+      console.log(chalk.yellow(`   ${name}`));
+      console.log(chalk.yellow(`      Status: No versions found`));
+      break;
+    case "unreadable":
+      console.log(chalk.yellow(`   ${name}`));
+      console.log(
+        chalk.yellow(`      Status: Cannot compare (decryption failed)`)
+      );
+      break;
+    case "unchanged":
+      console.log(chalk.green(` ${name}`));
+      console.log(chalk.gray(`      Status: Up to date`));
+      break;
+    case "modified":
+      console.log(chalk.red(`   ${name}`));
+      console.log(chalk.red(`      Status: Modified`));
+      break;
+    default:
+      console.log(chalk.red(`   ${name}`));
+      console.log(chalk.red(`      Error: ${error}`));
+  }
+  console.log();
+}
+
+// States that 'evm add' would pick up
+const CHANGED_STATES = ["conflicted", "untracked", "no_versions", "modified"];
 
 // Show status of changed files
-async function handleStatus() {
+//   evm status [--json]
+async function handleStatus(args = []) {
+  const json = args.includes("--json");
+  const fail = (message) => failCommand(json, "status", message);
+
   if (!dbOps.isLoggedIn()) {
-    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
-    process.exit(1);
+    fail("You must be logged in. Run 'evm login' first.");
   }
 
   const currentUser = dbOps.getCurrentUser();
   if (!currentUser) {
-    console.log(chalk.red("Failed to get current user."));
-    process.exit(1);
+    fail("Failed to get current user.");
   }
 
   // Get current project
   const currentProject = dbOps.getCurrentProject(currentUser.userId);
   if (!currentProject.success) {
-    console.log(chalk.red("No active project found. Run 'evm init' first."));
-    process.exit(1);
+    fail("No active project found. Run 'evm init' first.");
   }
-
-  console.log(
-    chalk.blue.bold(`\nStatus for project: ${currentProject.project.name}`)
-  );
+  const project = currentProject.project;
 
   const fs = require("fs");
-  const path = require("path");
 
   // Get all files that start with .env
-  const allFiles = fs.readdirSync(".");
-  const foundFiles = allFiles.filter(
-    (file) => file.startsWith(".env") && fs.statSync(file).isFile()
+  const foundFiles = fs
+    .readdirSync(".")
+    .filter(
+      (file) =>
+        file.startsWith(".env") &&
+        !isExampleFile(file) &&
+        fs.statSync(file).isFile()
+    );
+
+  const dbFiles = dbOps.getEnvFilesByProject(project.id);
+  const conflicts = getConflicts();
+  const files = foundFiles.map((file) =>
+    getFileStatus(
+      file,
+      dbFiles.success ? dbFiles.envFiles : [],
+      conflicts,
+      project.id,
+      currentUser.email
+    )
   );
+  const hasChanges = files.some((file) => CHANGED_STATES.includes(file.state));
+  if (files.some((file) => file.state === "error")) {
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    printJson("status", {
+      project: project.name,
+      branch: dbOps.getCurrentBranch(project.id).name,
+      clean: !hasChanges,
+      files,
+    });
+    return;
+  }
 
-  if (foundFiles.length === 0) {
+  console.log(chalk.blue.bold(`\nStatus for project: ${project.name}`));
+
+  if (files.length === 0) {
     console.log(
       chalk.yellow("\nNo environment files found in current directory")
     );
     return;
   }
 
-  // Get database files for comparison
-  const dbFiles = dbOps.getEnvFilesByProject(currentProject.project.id);
-
-  let hasChanges = false;
-
   console.log(chalk.green.bold("\nEnvironment Files Status:"));
-
-  for (const file of foundFiles) {
-    try {
-      const currentContent = fs.readFileSync(file, "utf8");
-
-      // Find this file in database
-      let dbFile = null;
-      if (dbFiles.success && dbFiles.envFiles) {
-        dbFile = dbFiles.envFiles.find((f) => f.name === file);
-      }
-
-      if (!dbFile) {
-        console.log(chalk.yellow(`   ${file}`));
-        console.log(chalk.yellow(`      Status: New file (not tracked)`));
-        hasChanges = true;
-      } else {
-        // Get latest version to compare
-        const versions = dbOps.getEnvVersionsByFile(dbFile.id);
-        if (versions.success && versions.versions.length > 0) {
-          const latestVersion = versions.versions[0];
-
-          try {
-            const userSalt = dbOps.getUserEncryptionSalt(currentUser.email);
-            const decryptedContent = decryptContent(
-              latestVersion.encrypted_content,
-              latestVersion.iv,
-              latestVersion.tag,
-              currentUser.email,
-              userSalt
-            );
-
-            if (currentContent.trim() === decryptedContent.trim()) {
-              console.log(chalk.green(` ${file}`));
-              console.log(chalk.gray(`      Status: Up to date`));
-            } else {
-              console.log(chalk.red(`   ${file}`));
-              console.log(chalk.red(`       Status: Modified`));
-              hasChanges = true;
-            }
-          } catch (decryptError) {
-            console.log(chalk.yellow(`   ${file}`));
-            console.log(
-              chalk.yellow(
-                `         Status: Cannot compare (decryption failed)`
-              )
-            );
-          }
-        } else {
-          console.log(chalk.yellow(`   ${file}`));
-          console.log(chalk.yellow(`      Status: No versions found`));
-          hasChanges = true;
-        }
-      }
-      console.log();
-    } catch (error) {
-      console.log(chalk.red(`   ${file}`));
-      console.log(chalk.red(`      Error: ${error.message}`));
-      console.log();
-    }
-  }
+  files.forEach(printFileStatus);
 
   if (!hasChanges) {
     console.log(chalk.green("All files are up to date"));
@@ -118,181 +175,380 @@ async function handleStatus() {
   }
 }
 
-// Show differences between current files and last commit
+// Values are only printed when asked for, and then through the redactor
+function printKeyDiff(diff, file, showValues, redactor) {
+  const show = (key, value) => redactor.show(key, value, file);
+
+  diff.added.forEach(({ key, value }) => {
+    console.log(
+      chalk.green(`   + ${key}${showValues ? `=${show(key, value)}` : ""}`)
+    );
+  });
+  diff.removed.forEach(({ key, value }) => {
+    console.log(
+      chalk.red(`   - ${key}${showValues ? `=${show(key, value)}` : ""}`)
+    );
+  });
+  diff.changed.forEach(({ key, from, to }) => {
+    console.log(
+      chalk.yellow(
+        showValues
+          ? `   ~ ${key}: ${show(key, from)} → ${show(key, to)}`
+          : `   ~ ${key} (value changed)`
+      )
+    );
+  });
+}
+
+// One file of 'evm diff' output, from the results collected in handleDiff
+function printFileDiff({ name, status, diff, error }, showValues, redactor) {
+  console.log(chalk.cyan.bold(`\n${name}:`));
+
+  switch (status) {
+    case "error":
+      console.log(chalk.red(`   Error: ${error}`));
+      return;
+    case "untracked":
+      console.log(chalk.yellow("   Status: New file (not in database)"));
+      break;
+    case "added":
+      console.log(chalk.yellow("   Status: Added"));
+      break;
+    case "deleted":
+      console.log(chalk.yellow("   Status: Deleted"));
+      break;
+    case "modified":
+      console.log(
+        chalk.yellow(`   Status: Modified (${describeKeyDiff(diff)})`)
+      );
+      break;
+    case "formatting":
+      console.log(
+        chalk.gray("   Status: No key changes (only comments or formatting)")
+      );
+      break;
+    default:
+      console.log(chalk.green("   Status: No changes"));
+  }
+
+  if (diff.hasChanges) {
+    printKeyDiff(diff, name, showValues, redactor);
+  }
+}
+
+function describeKeyDiff(diff) {
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} added`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} removed`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+  return parts.join(", ");
+}
+
+function decryptVersion(version, projectId, userEmail) {
+  return decryptProjectContent(
+    version.encrypted_content,
+    version.iv,
+    version.tag,
+    projectId,
+    userEmail
+  );
+}
+
+// Show key-level differences
+//   evm diff [file] [--show-values]               working files vs last commit
+//   evm diff <hash> [file] [--show-values]        working files vs a commit
+//   evm diff <hashA> <hashB> [file] [--show-values] between two commits
+// --show-values prints values with secrets masked; --reveal shows those too.
+// --json prints the key changes as an evm.diff/v1 document.
 async function handleDiff(args) {
+  const json = args.includes("--json");
+  const fail = (message, hint) => failCommand(json, "diff", message, hint);
+
   if (!dbOps.isLoggedIn()) {
-    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
-    process.exit(1);
+    fail("You must be logged in. Run 'evm login' first.");
   }
 
   const currentUser = dbOps.getCurrentUser();
   if (!currentUser) {
-    console.log(chalk.red("Failed to get current user."));
-    process.exit(1);
+    fail("Failed to get current user.");
   }
 
   // Get current project
   const currentProject = dbOps.getCurrentProject(currentUser.userId);
   if (!currentProject.success) {
-    console.log(chalk.red("No active project found. Run 'evm init' first."));
-    process.exit(1);
-  }
-
-  let targetFile = null;
-  if (args.length === 2) {
-    targetFile = args[1];
+    fail("No active project found. Run 'evm init' first.");
   }
 
-  console.log(
-    chalk.blue.bold(`\nDiff for project: ${currentProject.project.name}`)
-  );
-
-  // Check for environment files in current directory
   const fs = require("fs");
+  const projectId = currentProject.project.id;
+  const reveal = args.includes("--reveal");
+  const showValues = reveal || args.includes("--show-values");
+  const redactor = createRedactor({ reveal });
 
-  // Get all files that start with .env
-  const allFiles = fs.readdirSync(".");
-  let foundFiles = allFiles.filter(
-    (file) => file.startsWith(".env") && fs.statSync(file).isFile()
-  );
+  // Get database files for comparison
+  const dbFiles = dbOps.getEnvFilesByProject(projectId);
+  const trackedFiles = dbFiles.success ? dbFiles.envFiles : [];
+
+  // Positional arguments are file names or commit hashes
+  const positional = args.slice(1).filter((arg) => !arg.startsWith("--"));
+  const isFileArg = (arg) =>
+    arg.startsWith(".env") ||
+    trackedFiles.some((f) => f.name === arg) ||
+    fs.existsSync(arg);
+  const targetFile = positional.find(isFileArg) || null;
+  const hashes = positional.filter((arg) => !isFileArg(arg));
+
+  if (hashes.length > 2) {
+    fail(
+      "Too many commit hashes",
+      "Usage: evm diff [<hashA> [<hashB>]] [file] [--show-values | --reveal] [--json]"
+    );
+  }
 
-  if (targetFile) {
-    if (!fs.existsSync(targetFile)) {
-      console.log(
-        chalk.red(`\nFile "${targetFile}" not found in current directory`)
-      );
-      process.exit(1);
+  const commits = [];
+  for (const hash of hashes) {
+    const commitResult = dbOps.resolveCommitHash(projectId, hash);
+    if (!commitResult.success) {
+      fail(commitResult.error, 'Use "evm log" to see available commits');
     }
-    foundFiles = [targetFile];
+    commits.push(commitResult.commit);
   }
 
-  if (foundFiles.length === 0) {
+  const shortHash = (commit) => commit.commit_hash.substring(0, 8);
+  const heading =
+    commits.length === 2
+      ? `${shortHash(commits[0])}..${shortHash(commits[1])}`
+      : commits.length === 1
+      ? `working files vs ${shortHash(commits[0])}`
+      : "working files vs last commit";
+
+  if (!json) {
     console.log(
-      chalk.yellow("\nNo environment files found in current directory")
+      chalk.blue.bold(
+        `\nDiff for project: ${currentProject.project.name} (${heading})`
+      )
     );
-    return;
   }
 
-  // Get database files for comparison
-  const dbFiles = dbOps.getEnvFilesByProject(currentProject.project.id);
+  // Content of a tracked file at a commit (or its latest commit); "" if absent
+  const committedContent = (dbFile, commit) => {
+    if (!dbFile) return null;
+    if (commit) {
+      const versionResult = dbOps.getFileVersionAtCommit(dbFile.id, commit);
+      return versionResult.success
+        ? decryptVersion(versionResult.version, projectId, currentUser.email)
+        : null;
+    }
+    const headVersion = dbOps.getHeadVersion(dbFile.id);
+    return headVersion.success
+      ? decryptVersion(headVersion.version, projectId, currentUser.email)
+      : null;
+  };
+
+  // Build the list of [file, beforeContent, afterContent] pairs to compare
+  const comparisons = [];
+
+  if (commits.length === 2) {
+    const names = targetFile ? [targetFile] : trackedFiles.map((f) => f.name);
+    for (const name of names) {
+      const dbFile = trackedFiles.find((f) => f.name === name);
+      comparisons.push({
+        file: name,
+        before: () => committedContent(dbFile, commits[0]),
+        after: () => committedContent(dbFile, commits[1]),
+      });
+    }
+  } else {
+    // Get all files that start with .env
+    let foundFiles = fs
+      .readdirSync(".")
+      .filter(
+        (file) =>
+          file.startsWith(".env") &&
+          !isExampleFile(file) &&
+          fs.statSync(file).isFile()
+      );
 
-  let hasAnyDiff = false;
+    if (targetFile) {
+      if (!fs.existsSync(targetFile)) {
+        fail(`File "${targetFile}" not found in current directory`);
+      }
+      foundFiles = [targetFile];
+    }
 
-  for (const file of foundFiles) {
+    for (const file of foundFiles) {
+      const dbFile = trackedFiles.find((f) => f.name === file);
+      comparisons.push({
+        file,
+        tracked: Boolean(dbFile),
+        before: () => committedContent(dbFile, commits[0]),
+        after: () => fs.readFileSync(file, "utf8"),
+      });
+    }
+  }
+
+  const files = [];
+  for (const comparison of comparisons) {
     try {
-      const currentContent = fs.readFileSync(file, "utf8");
+      const before = comparison.before();
+      const after = comparison.after();
 
-      let dbFile = null;
-      if (dbFiles.success && dbFiles.envFiles) {
-        dbFile = dbFiles.envFiles.find((f) => f.name === file);
+      if (before === null && after === null) {
+        continue;
       }
 
-      console.log(chalk.cyan.bold(`\n${file}:`));
-
-      if (!dbFile) {
-        console.log(chalk.yellow("   Status: New file (not in database)"));
-        console.log(chalk.green("   + All content is new:"));
-        const lines = currentContent.split("\n");
-        lines.forEach((line, index) => {
-          console.log(chalk.green(`   + ${index + 1}: ${line}`));
-        });
-        hasAnyDiff = true;
-      } else {
-        const versions = dbOps.getEnvVersionsByFile(dbFile.id);
-        if (versions.success && versions.versions.length > 0) {
-          const latestVersion = versions.versions[0];
-
-          try {
-            // Use the proper decryption function
-            const userSalt = dbOps.getUserEncryptionSalt(currentUser.email);
-            const decryptedContent = decryptContent(
-              latestVersion.encrypted_content,
-              latestVersion.iv,
-              latestVersion.tag,
-              currentUser.email,
-              userSalt
-            );
-
-            if (currentContent.trim() === decryptedContent.trim()) {
-              console.log(chalk.green("   Status: No changes"));
-            } else {
-              console.log(chalk.yellow("   Status: Modified"));
-
-              // Show line-by-line diff
-              const currentLines = currentContent.split("\n");
-              const dbLines = decryptedContent.split("\n");
-
-              const maxLines = Math.max(currentLines.length, dbLines.length);
-
-              for (let i = 0; i < maxLines; i++) {
-                const currentLine = currentLines[i] || "";
-                const dbLine = dbLines[i] || "";
-
-                if (currentLine !== dbLine) {
-                  if (dbLine && !currentLine) {
-                    console.log(chalk.red(`   - ${i + 1}: ${dbLine}`));
-                  } else if (currentLine && !dbLine) {
-                    console.log(chalk.green(`   + ${i + 1}: ${currentLine}`));
-                  } else {
-                    console.log(chalk.red(`   - ${i + 1}: ${dbLine}`));
-                    console.log(chalk.green(`   + ${i + 1}: ${currentLine}`));
-                  }
-                  hasAnyDiff = true;
-                }
-              }
-
-              if (!hasAnyDiff) {
-                console.log(chalk.gray("   (Only whitespace differences)"));
-              }
-            }
-          } catch (decryptError) {
-            console.log(
-              chalk.red(
-                `   Error: Cannot decrypt database content (${decryptError.message})`
-              )
-            );
-          }
-        } else {
-          console.log(chalk.yellow("   Status: No versions found in database"));
-        }
+      const diff = diffEnv(parseEnv(before || ""), parseEnv(after || ""));
+
+      let status = "unchanged";
+      if (comparison.tracked === false) {
+        status = "untracked";
+      } else if (before === null) {
+        status = "added";
+      } else if (after === null) {
+        status = "deleted";
+      } else if (diff.hasChanges) {
+        status = "modified";
+      } else if (before.trim() !== after.trim()) {
+        status = "formatting";
       }
+      files.push({ name: comparison.file, status, diff });
     } catch (error) {
-      console.log(chalk.red(`   Error reading ${file}: ${error.message}`));
+      files.push({
+        name: comparison.file,
+        status: "error",
+        error: error.message,
+      });
     }
   }
 
+  const hasAnyDiff = files.some((file) => file.diff?.hasChanges);
+  if (files.some((file) => file.status === "error")) {
+    process.exitCode = 1;
+  }
+
+  if (json) {
+    const keyChanges = ({ name, diff }) => {
+      const show = (key, raw) => redactor.show(key, raw, name);
+      return {
+        added: diff.added.map(({ key, value }) => ({
+          key,
+          ...(showValues ? { value: show(key, value) } : {}),
+        })),
+        removed: diff.removed.map(({ key, value }) => ({
+          key,
+          ...(showValues ? { value: show(key, value) } : {}),
+        })),
+        changed: diff.changed.map(({ key, from, to }) => ({
+          key,
+          ...(showValues ? { from: show(key, from), to: show(key, to) } : {}),
+        })),
+      };
+    };
+
+    printJson("diff", {
+      project: currentProject.project.name,
+      from: commits[0] ? commits[0].commit_hash : null,
+      to: commits[1] ? commits[1].commit_hash : null,
+      changed: hasAnyDiff,
+      files: files.map((file) =>
+        file.error
+          ? { name: file.name, status: file.status, error: file.error }
+          : { name: file.name, status: file.status, ...keyChanges(file) }
+      ),
+    });
+  } else if (files.length === 0) {
+    console.log(chalk.yellow("\nNo environment files to compare"));
+    return;
+  } else {
+    files.forEach((file) => printFileDiff(file, showValues, redactor));
+  }
+
+  recordReveal({
+    command: "diff",
+    user: currentUser.email,
+    project: currentProject.project.name,
+    keys: redactor.revealed,
+  });
+
+  if (json) {
+    return;
+  }
+
   if (!hasAnyDiff) {
     console.log(chalk.green("\nNo differences found"));
   } else {
-    console.log(chalk.gray("\nUse 'evm add' to stage these changes"));
+    if (!showValues) {
+      console.log(chalk.gray("\nValues are hidden; use --show-values to see them"));
+    } else if (!reveal && redactor.masked > 0) {
+      console.log(
+        chalk.gray("\nSecret values are masked; use --reveal to show them")
+      );
+    }
+    if (commits.length < 2) {
+      console.log(chalk.gray("Use 'evm add' to stage these changes"));
+    }
   }
 }
 
 // Show commit history like git log
 async function handleLog(args) {
+  const json = args.includes("--json");
+  const fail = (message) => failCommand(json, "log", message);
+
   if (!dbOps.isLoggedIn()) {
-    console.log(chalk.red("You must be logged in. Run 'evm login' first."));
-    process.exit(1);
+    fail("You must be logged in. Run 'evm login' first.");
   }
 
   const currentUser = dbOps.getCurrentUser();
   if (!currentUser) {
-    console.log(chalk.red("Failed to get current user."));
-    process.exit(1);
+    fail("Failed to get current user.");
   }
 
   // Get current project
   const currentProject = dbOps.getCurrentProject(currentUser.userId);
   if (!currentProject.success) {
-    console.log(chalk.red("No active project found. Run 'evm init' first."));
-    process.exit(1);
+    fail("No active project found. Run 'evm init' first.");
   }
 
-  const commitLog = dbOps.getProjectCommitLog(currentProject.project.id);
+  // evm log [--branch <name> | --all]; the current branch by default
+  const branchIndex = args.indexOf("--branch");
+  const commitLog = dbOps.getProjectCommitLog(currentProject.project.id, {
+    branch: branchIndex !== -1 ? args[branchIndex + 1] : null,
+    all: args.includes("--all"),
+  });
+  const scope = commitLog.branch ? ` (branch ${commitLog.branch})` : "";
 
   if (!commitLog.success) {
-    console.log(chalk.red(`Failed to get commit log: ${commitLog.error}`));
-    process.exit(1);
+    fail(`Failed to get commit log: ${commitLog.error}`);
+  }
+
+  // Parse limit from args (e.g., evm log -n 10 or evm log --limit 10)
+  let limit = null;
+  const limitIndex = args.findIndex((arg) => arg === "-n" || arg === "--limit");
+  if (limitIndex !== -1 && !isNaN(parseInt(args[limitIndex + 1]))) {
+    limit = parseInt(args[limitIndex + 1]);
+  }
+
+  if (json) {
+    const commits = limit
+      ? commitLog.commits.slice(0, limit)
+      : commitLog.commits;
+    printJson("log", {
+      project: currentProject.project.name,
+      branch: commitLog.branch,
+      total: commitLog.commits.length,
+      commits: commits.map((commit) => ({
+        hash: commit.commit_hash,
+        parent: commit.parent_hash || null,
+        message: commit.message || null,
+        author: commit.author_email || null,
+        date: toIsoDate(commit.createdAt),
+        files: commit.files,
+        branches: commit.branches,
+        tags: commit.tags,
+      })),
+    });
+    return;
   }
 
   if (commitLog.commits.length === 0) {
@@ -310,13 +566,13 @@ async function handleLog(args) {
     // Display oneline format in tabular style like evm list
     console.log(
       chalk.blue.bold(
-        `\nCommit History for project: ${currentProject.project.name}\n`
+        `\nCommit History for project: ${currentProject.project.name}${scope}\n`
       )
     );
 
     // Table headers
-    const headers = ["Commit Message", "Commit Hash", "File", "Status"];
-    const colWidths = [40, 12, 15, 8];
+    const headers = ["Commit Message", "Commit Hash", "Files", "Status"];
+    const colWidths = [40, 12, 25, 8];
 
     // Print header
     let headerLine = "";
@@ -334,12 +590,14 @@ async function handleLog(args) {
 
     // Print commits
     commitLog.commits.forEach((commit, index) => {
+      const fileList = commit.files.join(", ");
       const message = (
-        commit.commit_message || `Auto-commit for ${commit.file_name}`
+        commit.message || `Auto-commit for ${fileList}`
       ).slice(0, 37);
-      const shortHash = commit.version_token.substring(0, 8);
-      const fileName = commit.file_name.slice(0, 12);
-      const status = index === 0 ? "HEAD" : "";
+      const shortHash = commit.commit_hash.substring(0, 8);
+      const fileName =
+        fileList.length > 22 ? `${fileList.slice(0, 21)}…` : fileList;
+      const status = index === 0 && commitLog.branch ? "HEAD" : "";
 
       const commitMessage = message.padEnd(colWidths[0]);
       const hashColumn = shortHash.padEnd(colWidths[1]);
@@ -366,30 +624,21 @@ async function handleLog(args) {
 
     console.log(chalk.gray(`\nTotal commits: ${commitLog.commits.length}`));
     console.log(chalk.gray("Use 'evm log' for detailed view"));
-    console.log(chalk.gray("Use 'evm revert <commit-hash>' to rollback"));
+    console.log(chalk.gray("Use 'evm revert <commit-hash|tag>' to rollback"));
     return;
   }
 
   // Original detailed log format
   console.log(
-    chalk.blue.bold(`\nCommit Log for project: ${currentProject.project.name}`)
+    chalk.blue.bold(
+      `\nCommit Log for project: ${currentProject.project.name}${scope}`
+    )
   );
 
   console.log(
     chalk.green.bold(`\nTotal commits: ${commitLog.commits.length}\n`)
   );
 
-  // Parse limit from args (e.g., evm log -n 10 or evm log --limit 10)
-  let limit = null;
-  if (args.length >= 3) {
-    if (
-      (args[1] === "-n" || args[1] === "--limit") &&
-      !isNaN(parseInt(args[2]))
-    ) {
-      limit = parseInt(args[2]);
-    }
-  }
-
   const commitsToShow = limit
     ? commitLog.commits.slice(0, limit)
     : commitLog.commits;
@@ -398,17 +647,30 @@ async function handleLog(args) {
     const commitDate = new Date(commit.createdAt);
     const timeAgo = getTimeAgo(commitDate);
 
-    const shortToken = commit.version_token.substring(0, 7);
+    const shortToken = commit.commit_hash.substring(0, 7);
+    const fileList = commit.files.join(", ");
 
-    console.log(chalk.yellow.bold(`commit ${commit.version_token}`));
+    const refs = [
+      ...commit.branches,
+      ...commit.tags.map((tag) => `tag: ${tag}`),
+    ];
+    const decoration = refs.length > 0 ? ` (${refs.join(", ")})` : "";
+    console.log(
+      chalk.yellow.bold(`commit ${commit.commit_hash}`) + chalk.green(decoration)
+    );
+    if (commit.parent_hash) {
+      console.log(chalk.gray(`Parent: ${commit.parent_hash.substring(0, 7)}`));
+    }
     console.log(chalk.gray(`Author: ${commit.author_email || "Unknown"}`));
     console.log(chalk.gray(`Date:   ${commitDate.toLocaleString()}`));
-    console.log(chalk.gray(`File:   ${commit.file_name}`));
+    console.log(
+      chalk.gray(`Files:  ${fileList} (${commit.files.length})`)
+    );
 
-    if (commit.commit_message) {
-      console.log(chalk.white(`\n    ${commit.commit_message}`));
+    if (commit.message) {
+      console.log(chalk.white(`\n    ${commit.message}`));
     } else {
-      console.log(chalk.gray(`\n    Auto-commit for ${commit.file_name}`));
+      console.log(chalk.gray(`\n    Auto-commit for ${fileList}`));
     }
 
     console.log(chalk.blue(`    ${shortToken} - ${timeAgo}`));
@@ -433,7 +695,7 @@ async function handleLog(args) {
   console.log(chalk.gray(`\nUse 'evm diff' to see changes`));
   console.log(
     chalk.gray(
-      `Use 'evm revert <commit-hash>' to rollback to a specific commit`
+      `Use 'evm revert <commit-hash|tag>' to rollback to a specific commit`
     )
   );
 }
@@ -479,7 +741,7 @@ function getTimeAgo(date) {
 async function handleRevert(args) {
   if (!args || args.length < 2) {
     console.log(chalk.red("Missing commit hash"));
-    console.log(chalk.yellow("Usage: evm revert <commit-hash>"));
+    console.log(chalk.yellow("Usage: evm revert <commit-hash|tag>"));
     console.log(chalk.gray("Example: evm revert abc123def"));
     return;
   }
@@ -497,65 +759,34 @@ async function handleRevert(args) {
 
     console.log(chalk.blue(`Reverting to commit ${commitHash}...`));
 
-    // First, find the version by commit hash
-    const db = require("../db");
-    const { dbOps } = db;
-
-    // Get version by token (commit hash)
-    const stmt = db.db.prepare(
-      "SELECT * FROM env_versions WHERE version_token LIKE ?"
-    );
-    const matchingVersions = stmt.all(`${commitHash}%`);
-
-    if (matchingVersions.length === 0) {
-      console.log(chalk.red(`Commit hash "${commitHash}" not found`));
-      console.log(chalk.yellow('Use "evm log" to see available commits'));
+    const currentProject = dbOps.getCurrentProject(currentUser.userId);
+    if (!currentProject.success) {
+      console.log(chalk.red("No active project found. Run 'evm init' first."));
       return;
     }
 
-    // Group versions by commit hash to handle multiple files in same commit
-    const commitGroups = {};
-    matchingVersions.forEach((version) => {
-      if (!commitGroups[version.version_token]) {
-        commitGroups[version.version_token] = [];
-      }
-      commitGroups[version.version_token].push(version);
-    });
-
-    if (Object.keys(commitGroups).length > 1) {
-      console.log(
-        chalk.yellow(`Multiple commits found matching "${commitHash}":`)
-      );
-      Object.keys(commitGroups).forEach((token) => {
-        const version = commitGroups[token][0]; // Get first version for commit info
-        console.log(
-          chalk.gray(
-            `  ${token.substring(0, 8)} - ${
-              version.commit_message || "No message"
-            } (${commitGroups[token].length} file${
-              commitGroups[token].length > 1 ? "s" : ""
-            })`
-          )
-        );
-      });
-      console.log(
-        chalk.yellow("Please provide a longer commit hash to be more specific.")
-      );
+    const commitResult = dbOps.resolveCommitHash(
+      currentProject.project.id,
+      commitHash
+    );
+    if (!commitResult.success) {
+      console.log(chalk.red(commitResult.error));
+      console.log(chalk.yellow('Use "evm log" to see available commits'));
       return;
     }
 
-    // Get the single commit with all its files
-    const targetCommitHash = Object.keys(commitGroups)[0];
-    const targetVersions = commitGroups[targetCommitHash];
-    const firstVersion = targetVersions[0];
+    // Every file the commit changed is reverted together
+    const targetCommit = commitResult.commit;
+    const versionsResult = dbOps.getCommitVersions(targetCommit.id);
+    const targetVersions = versionsResult.success ? versionsResult.versions : [];
 
     console.log(
-      chalk.cyan(`Found commit: ${firstVersion.commit_message || "No message"}`)
+      chalk.cyan(`Found commit: ${targetCommit.message || "No message"}`)
     );
-    console.log(chalk.gray(`   Hash: ${targetCommitHash}`));
+    console.log(chalk.gray(`   Hash: ${targetCommit.commit_hash}`));
     console.log(
       chalk.gray(
-        `   Date: ${new Date(firstVersion.createdAt).toLocaleString()}`
+        `   Date: ${new Date(targetCommit.createdAt).toLocaleString()}`
       )
     );
     console.log(
@@ -566,58 +797,37 @@ async function handleRevert(args) {
       )
     );
 
-    // Show files being reverted
-    const fileStmt = db.db.prepare("SELECT name FROM env_files WHERE id = ?");
     console.log(chalk.cyan("\nFiles to be reverted:"));
     targetVersions.forEach((version) => {
-      const fileInfo = fileStmt.get(version.env_file_id);
-      if (fileInfo) {
-        console.log(chalk.gray(`  - ${fileInfo.name}`));
-      }
+      console.log(chalk.gray(`  - ${version.file_name}`));
     });
 
     console.log(); // Empty line for spacing
 
     // Instead of individual rollbacks, we'll revert all files together like Git
     try {
-      // Get project info from the first file
-      const envFileStmt = db.db.prepare("SELECT * FROM env_files WHERE id = ?");
-      const firstEnvFile = envFileStmt.get(targetVersions[0].env_file_id);
-
-      if (!firstEnvFile) {
-        throw new Error("Environment file not found");
-      }
+      const project = currentProject.project;
 
       // Prepare revert data for all files
       const revertFiles = [];
-      const { decryptContent } = require("../env-manager");
       const path = require("path");
 
       for (const version of targetVersions) {
-        // Get the file info
-        const envFile = envFileStmt.get(version.env_file_id);
-        if (!envFile) continue;
-
-        // Get user's salt for decryption
-        const userSalt = dbOps.getUserEncryptionSalt(currentUser.email);
-
         // Decrypt the content from the target version
-        const decryptedContent = decryptContent(
-          version.encrypted_content,
-          version.iv,
-          version.tag,
-          currentUser.email,
-          userSalt
+        const decryptedContent = decryptVersion(
+          version,
+          project.id,
+          currentUser.email
         );
 
         revertFiles.push({
-          name: envFile.name,
-          path: path.join(process.cwd(), envFile.name),
+          name: version.file_name,
+          path: path.join(process.cwd(), version.file_name),
           content: decryptedContent,
           size: decryptedContent.length,
         });
 
-        console.log(chalk.green(`✓ Prepared revert: ${envFile.name}`));
+        console.log(chalk.green(`✓ Prepared revert: ${version.file_name}`));
       }
 
       if (revertFiles.length === 0) {
@@ -628,12 +838,11 @@ async function handleRevert(args) {
       const { saveStagedFiles } = require("../env-manager");
 
       // Use the ORIGINAL commit message, not a revert message
-      const originalCommitMessage =
-        firstVersion.commit_message || "Restored commit";
+      const originalCommitMessage = targetCommit.message || "Restored commit";
 
       const stagedData = {
-        projectId: firstEnvFile.project_id,
-        projectName: "prod_proj", // We'll get this properly if needed
+        projectId: project.id,
+        projectName: project.name,
         userEmail: currentUser.email,
         commitMessage: originalCommitMessage, // Keep original message
         isRevert: false, // We want this to create a normal commit
@@ -78,7 +78,12 @@ class ConfigManager {
   }
 
   getServerUrl() {
-    return this.getConfig().serverUrl;
+    return this.serverUrlOverride || this.getConfig().serverUrl;
+  }
+
+  // --server: another server for this run only; config.json is left alone
+  setServerUrl(url) {
+    this.serverUrlOverride = url;
   }
 
   getEvmDir() {
@@ -99,6 +104,26 @@ class ConfigManager {
     return path.join(projectDir, ".evm-config.json");
   }
 
+  // Parsed .evm-config.json, or null when missing or unreadable
+  getProjectConfig(projectDir = process.cwd()) {
+    const configPath = this.getProjectConfigPath(projectDir);
+    if (!fs.existsSync(configPath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  saveProjectConfig(config, projectDir = process.cwd()) {
+    fs.writeFileSync(
+      this.getProjectConfigPath(projectDir),
+      JSON.stringify(config, null, 2)
+    );
+  }
+
   // Environment-specific staging (per project)
   getProjectStagingPath(projectDir = process.cwd()) {
     const projectName = path.basename(projectDir);
@@ -75,6 +75,100 @@ const sessionManager = {
   },
 };
 
+// Match the "YYYY-MM-DD HH:MM:SS" format CURRENT_TIMESTAMP produces so that
+// ORDER BY createdAt keeps working for rows restored from the cloud
+function toSqliteTimestamp(value) {
+  return new Date(value).toISOString().replace("T", " ").slice(0, 19);
+}
+
+// Attach versions that have no commit row yet (history written before the
+// commits table existed, or versions restored from the cloud) to the commit
+// their version_token names, creating it if needed
+function linkVersionsToCommits() {
+  const orphans = db
+    .prepare(
+      `
+      SELECT v.id, v.version_token, v.commit_message, v.author_email,
+             v.syncedToServer, v.createdAt, f.project_id
+      FROM env_versions v
+      JOIN env_files f ON f.id = v.env_file_id
+      WHERE v.commit_id IS NULL
+      ORDER BY v.createdAt, v.id
+    `
+    )
+    .all();
+
+  if (orphans.length === 0) {
+    return 0;
+  }
+
+  const findCommit = db.prepare(
+    `SELECT id FROM commits WHERE project_id = ? AND commit_hash = ?`
+  );
+  const findParent = db.prepare(
+    `SELECT id FROM commits WHERE project_id = ? AND createdAt <= ?
+     ORDER BY createdAt DESC, id DESC LIMIT 1`
+  );
+  const insertCommit = db.prepare(
+    `INSERT INTO commits (project_id, commit_hash, message, author_email, parent_commit_id, syncedToServer, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  const markUnsynced = db.prepare(
+    `UPDATE commits SET syncedToServer = 0 WHERE id = ?`
+  );
+  const setCommit = db.prepare(
+    `UPDATE env_versions SET commit_id = ? WHERE id = ?`
+  );
+
+  db.transaction(() => {
+    for (const version of orphans) {
+      let commitId = findCommit.get(
+        version.project_id,
+        version.version_token
+      )?.id;
+
+      if (!commitId) {
+        const parent = findParent.get(version.project_id, version.createdAt);
+        commitId = insertCommit.run(
+          version.project_id,
+          version.version_token,
+          version.commit_message,
+          version.author_email,
+          parent?.id || null,
+          version.syncedToServer ? 1 : 0,
+          version.createdAt
+        ).lastInsertRowid;
+      } else if (!version.syncedToServer) {
+        markUnsynced.run(commitId);
+      }
+
+      setCommit.run(commitId, version.id);
+    }
+  })();
+
+  return orphans.length;
+}
+
+const DEFAULT_BRANCH = "main";
+
+// Projects with history but no branches (older databases, clones from a
+// server without branches) get a default branch at their newest commit
+function ensureDefaultBranches() {
+  db.prepare(
+    `
+    INSERT INTO branches (project_id, name, head_commit_id)
+    SELECT c.project_id, ?, (
+      SELECT id FROM commits latest
+      WHERE latest.project_id = c.project_id
+      ORDER BY latest.createdAt DESC, latest.id DESC LIMIT 1
+    )
+    FROM commits c
+    WHERE NOT EXISTS (SELECT 1 FROM branches b WHERE b.project_id = c.project_id)
+    GROUP BY c.project_id
+  `
+  ).run(DEFAULT_BRANCH);
+}
+
 function migrateDatabase() {
   try {
     const tableInfo = db.pragma("table_info(users)");
@@ -176,6 +270,15 @@ function migrateDatabase() {
     ).run();
   }
 
+  // Add keypair columns to users (private key is stored encrypted)
+  for (const column of ["public_key", "encrypted_private_key"]) {
+    try {
+      db.prepare(`ALTER TABLE users ADD COLUMN ${column} TEXT`).run();
+    } catch (error) {
+      // Column already exists, ignore error
+    }
+  }
+
   // Create projects table with user relationship
   db.prepare(
     `
@@ -299,6 +402,103 @@ function migrateDatabase() {
     // Continue anyway as this is not critical for basic functionality
   }
 
+  // Versions re-encrypted by `evm migrate-keys` must overwrite the cloud copy
+  try {
+    db.prepare(
+      `ALTER TABLE env_versions ADD COLUMN rekeyed BOOLEAN DEFAULT 0`
+    ).run();
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+
+  // Create commits table: one row per push, shared by every file it changed
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS commits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      commit_hash TEXT NOT NULL,
+      message TEXT,
+      author_email TEXT,
+      parent_commit_id INTEGER,
+      syncedToServer BOOLEAN DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (parent_commit_id) REFERENCES commits(id),
+      UNIQUE(project_id, commit_hash)
+    )
+  `
+  ).run();
+
+  try {
+    db.prepare(
+      `ALTER TABLE env_versions ADD COLUMN commit_id INTEGER REFERENCES commits(id)`
+    ).run();
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+
+  // Create branches table: named pointers to a commit within a project
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS branches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      head_commit_id INTEGER,
+      syncedToServer BOOLEAN DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (head_commit_id) REFERENCES commits(id),
+      UNIQUE(project_id, name)
+    )
+  `
+  ).run();
+
+  // Create tags table: fixed names for commits (e.g. releases)
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      commit_id INTEGER NOT NULL,
+      syncedToServer BOOLEAN DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id),
+      FOREIGN KEY (commit_id) REFERENCES commits(id),
+      UNIQUE(project_id, name)
+    )
+  `
+  ).run();
+
+  try {
+    db.prepare(
+      `ALTER TABLE projects ADD COLUMN current_branch TEXT DEFAULT '${DEFAULT_BRANCH}'`
+    ).run();
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+
+  // Our role on the server's copy of the project, recorded by clone and pull.
+  // NULL for projects created here that the server hasn't told us about.
+  try {
+    db.prepare(`ALTER TABLE projects ADD COLUMN cloud_role TEXT`).run();
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+
+  // Existing history: group versions into commits by their shared token
+  try {
+    const linked = linkVersionsToCommits();
+    if (linked > 0) {
+      console.log(`Grouped ${linked} version(s) into commits.`);
+    }
+    ensureDefaultBranches();
+  } catch (error) {
+    console.log("Commit migration failed:", error.message);
+  }
+
   // Create rollback_history table for tracking rollbacks
   db.prepare(
     `
@@ -325,6 +525,18 @@ function migrateDatabase() {
     // Column already exists, ignore error
   }
 
+  // Create project_keys table: the project's data key, wrapped for this user
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS project_keys (
+      project_id INTEGER PRIMARY KEY,
+      wrapped_key TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (project_id) REFERENCES projects(id)
+    )
+  `
+  ).run();
+
   // Create pending_operations table for tracking offline operations
   db.prepare(
     `
@@ -366,9 +578,35 @@ const statements = {
   updateUser: db.prepare(`
     UPDATE users SET passwordHash = ?, syncedToServer = ? WHERE email = ?
   `),
+  updateUserPassword: db.prepare(`
+    UPDATE users SET passwordHash = ? WHERE email = ?
+  `),
   getAllUsers: db.prepare(`
     SELECT * FROM users
   `),
+  updateUserKeyPair: db.prepare(`
+    UPDATE users SET public_key = ?, encrypted_private_key = ? WHERE email = ?
+  `),
+  updateUserCredentials: db.prepare(`
+    UPDATE users SET passwordHash = ?, encrypted_private_key = ? WHERE email = ?
+  `),
+
+  // Project key operations
+  getProjectKey: db.prepare(`
+    SELECT * FROM project_keys WHERE project_id = ?
+  `),
+  getProjectKeysByUser: db.prepare(`
+    SELECT k.* FROM project_keys k
+    JOIN projects p ON p.id = k.project_id
+    WHERE p.user_id = ?
+  `),
+  upsertProjectKey: db.prepare(`
+    INSERT INTO project_keys (project_id, wrapped_key) VALUES (?, ?)
+    ON CONFLICT(project_id) DO UPDATE SET wrapped_key = excluded.wrapped_key
+  `),
+  deleteProjectKey: db.prepare(`
+    DELETE FROM project_keys WHERE project_id = ?
+  `),
 
   // Project operations
   insertProject: db.prepare(`
@@ -413,8 +651,25 @@ const statements = {
 
   // Version operations
   insertEnvVersion: db.prepare(`
-    INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, parent_version_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, parent_version_id, commit_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  insertRestoredEnvVersion: db.prepare(`
+    INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, parent_version_id, syncedToServer, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, COALESCE(?, CURRENT_TIMESTAMP))
+  `),
+  updateVersionParent: db.prepare(`
+    UPDATE env_versions SET parent_version_id = ? WHERE id = ?
+  `),
+  // Versions from a project bundle were never uploaded by this account, so
+  // 'evm sync' must still push them
+  insertImportedEnvVersion: db.prepare(`
+    INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, syncedToServer, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 0, COALESCE(?, CURRENT_TIMESTAMP))
+  `),
+  getLatestVersionByEnvFile: db.prepare(`
+    SELECT * FROM env_versions WHERE env_file_id = ?
+    ORDER BY createdAt DESC, id DESC LIMIT 1
   `),
   getVersionsByEnvFile: db.prepare(`
     SELECT * FROM env_versions WHERE env_file_id = ? ORDER BY createdAt DESC
@@ -423,10 +678,24 @@ const statements = {
     SELECT * FROM env_versions WHERE env_file_id = ? AND syncedToServer = 0 ORDER BY createdAt DESC
   `),
   markVersionAsSynced: db.prepare(`
-    UPDATE env_versions SET syncedToServer = 1 WHERE version_token = ?
+    UPDATE env_versions SET syncedToServer = 1, rekeyed = 0 WHERE version_token = ?
+  `),
+  rekeyEnvVersion: db.prepare(`
+    UPDATE env_versions SET encrypted_content = ?, iv = ?, tag = ?, rekeyed = 1, syncedToServer = 0
+    WHERE id = ?
+  `),
+  getVersionByFileAndToken: db.prepare(`
+    SELECT * FROM env_versions WHERE env_file_id = ? AND version_token = ?
+  `),
+  getVersionsByCommit: db.prepare(`
+    SELECT v.*, f.name as file_name
+    FROM env_versions v
+    JOIN env_files f ON v.env_file_id = f.id
+    WHERE v.commit_id = ?
+    ORDER BY f.name
   `),
-  getVersionByToken: db.prepare(`
-    SELECT * FROM env_versions WHERE version_token = ?
+  markCommitVersionsAsSynced: db.prepare(`
+    UPDATE env_versions SET syncedToServer = 1, rekeyed = 0 WHERE commit_id = ?
   `),
   getVersionsByProject: db.prepare(`
     SELECT
@@ -438,14 +707,163 @@ const statements = {
     ORDER BY v.createdAt DESC
   `),
 
-  // Rollback operations
-  insertRollbackHistory: db.prepare(`
-    INSERT INTO rollback_history (env_file_id, from_version_token, to_version_token, rollback_reason, performed_by, syncedToServer)
-    VALUES (?, ?, ?, ?, ?, 0)
+  // Commit operations
+  insertCommit: db.prepare(`
+    INSERT INTO commits (project_id, commit_hash, message, author_email, parent_commit_id)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getHeadCommit: db.prepare(`
+    SELECT * FROM commits WHERE project_id = ?
+    ORDER BY createdAt DESC, id DESC LIMIT 1
+  `),
+  getCommitsByProject: db.prepare(`
+    SELECT c.*, p.commit_hash as parent_hash
+    FROM commits c
+    LEFT JOIN commits p ON p.id = c.parent_commit_id
+    WHERE c.project_id = ?
+    ORDER BY c.createdAt DESC, c.id DESC
+  `),
+  getCommitFilesByProject: db.prepare(`
+    SELECT v.commit_id, f.name
+    FROM env_versions v
+    JOIN env_files f ON v.env_file_id = f.id
+    WHERE f.project_id = ? AND v.commit_id IS NOT NULL
+    ORDER BY f.name
   `),
+  findCommitsByPrefix: db.prepare(`
+    SELECT * FROM commits WHERE project_id = ? AND instr(commit_hash, ?) = 1
+  `),
+  getUnsyncedCommits: db.prepare(`
+    SELECT c.*, p.commit_hash as parent_hash
+    FROM commits c
+    LEFT JOIN commits p ON p.id = c.parent_commit_id
+    WHERE c.project_id = ? AND c.syncedToServer = 0
+    ORDER BY c.createdAt, c.id
+  `),
+  markCommitAsSynced: db.prepare(`
+    UPDATE commits SET syncedToServer = 1 WHERE id = ?
+  `),
+  markCommitOfVersionUnsynced: db.prepare(`
+    UPDATE commits SET syncedToServer = 0
+    WHERE id = (SELECT commit_id FROM env_versions WHERE id = ?)
+  `),
+  // Commits still named by a branch or a child commit stay, so imported
+  // history isn't cut before every file's versions are restored
+  deleteEmptyCommits: db.prepare(`
+    DELETE FROM commits
+    WHERE project_id = ?
+      AND id NOT IN (SELECT commit_id FROM env_versions WHERE commit_id IS NOT NULL)
+      AND id NOT IN (SELECT commit_id FROM tags)
+      AND id NOT IN (SELECT head_commit_id FROM branches WHERE head_commit_id IS NOT NULL)
+      AND id NOT IN (SELECT parent_commit_id FROM commits WHERE parent_commit_id IS NOT NULL)
+  `),
+  deleteCommitsByProject: db.prepare(`
+    DELETE FROM commits WHERE project_id = ?
+  `),
+  getCommitById: db.prepare(`
+    SELECT * FROM commits WHERE id = ?
+  `),
+  getCommitByHash: db.prepare(`
+    SELECT * FROM commits WHERE project_id = ? AND commit_hash = ?
+  `),
+  insertRestoredCommit: db.prepare(`
+    INSERT INTO commits (project_id, commit_hash, message, author_email, parent_commit_id, syncedToServer, createdAt)
+    VALUES (?, ?, ?, ?, ?, 1, COALESCE(?, CURRENT_TIMESTAMP))
+  `),
+  insertImportedCommit: db.prepare(`
+    INSERT INTO commits (project_id, commit_hash, message, author_email, parent_commit_id, syncedToServer, createdAt)
+    VALUES (?, ?, ?, ?, ?, 0, COALESCE(?, CURRENT_TIMESTAMP))
+  `),
+
+  // Branch operations
+  getBranch: db.prepare(`
+    SELECT * FROM branches WHERE project_id = ? AND name = ?
+  `),
+  getBranchesByProject: db.prepare(`
+    SELECT b.*, c.commit_hash as head_hash
+    FROM branches b
+    LEFT JOIN commits c ON c.id = b.head_commit_id
+    WHERE b.project_id = ?
+    ORDER BY b.name
+  `),
+  getUnsyncedBranches: db.prepare(`
+    SELECT b.*, c.commit_hash as head_hash
+    FROM branches b
+    JOIN commits c ON c.id = b.head_commit_id
+    WHERE b.project_id = ? AND b.syncedToServer = 0
+  `),
+  insertBranch: db.prepare(`
+    INSERT INTO branches (project_id, name, head_commit_id, syncedToServer)
+    VALUES (?, ?, ?, ?)
+  `),
+  setBranchHead: db.prepare(`
+    INSERT INTO branches (project_id, name, head_commit_id)
+    VALUES (?, ?, ?)
+    ON CONFLICT(project_id, name) DO UPDATE
+    SET head_commit_id = excluded.head_commit_id, syncedToServer = 0
+  `),
+  setSyncedBranchHead: db.prepare(`
+    UPDATE branches SET head_commit_id = ?, syncedToServer = 1 WHERE id = ?
+  `),
+  moveBranchHead: db.prepare(`
+    UPDATE branches SET head_commit_id = ?, syncedToServer = 0 WHERE id = ?
+  `),
+  markBranchAsSynced: db.prepare(`
+    UPDATE branches SET syncedToServer = 1 WHERE id = ?
+  `),
+  deleteBranch: db.prepare(`
+    DELETE FROM branches WHERE project_id = ? AND name = ?
+  `),
+  deleteBranchesByProject: db.prepare(`
+    DELETE FROM branches WHERE project_id = ?
+  `),
+  setCurrentBranch: db.prepare(`
+    UPDATE projects SET current_branch = ? WHERE id = ?
+  `),
+  setProjectCloudRole: db.prepare(`
+    UPDATE projects SET cloud_role = ? WHERE id = ?
+  `),
+
+  // Tag operations
+  getTag: db.prepare(`
+    SELECT * FROM tags WHERE project_id = ? AND name = ?
+  `),
+  getTagsByProject: db.prepare(`
+    SELECT t.*, c.commit_hash, c.message, c.createdAt as commit_date
+    FROM tags t
+    JOIN commits c ON c.id = t.commit_id
+    WHERE t.project_id = ?
+    ORDER BY c.createdAt DESC, t.name
+  `),
+  getUnsyncedTags: db.prepare(`
+    SELECT t.*, c.commit_hash
+    FROM tags t
+    JOIN commits c ON c.id = t.commit_id
+    WHERE t.project_id = ? AND t.syncedToServer = 0
+  `),
+  insertTag: db.prepare(`
+    INSERT INTO tags (project_id, name, commit_id, syncedToServer)
+    VALUES (?, ?, ?, ?)
+  `),
+  markTagAsSynced: db.prepare(`
+    UPDATE tags SET syncedToServer = 1 WHERE id = ?
+  `),
+  deleteTagsByProject: db.prepare(`
+    DELETE FROM tags WHERE project_id = ?
+  `),
+
+  // Rollback operations
   getRollbackHistory: db.prepare(`
     SELECT * FROM rollback_history WHERE env_file_id = ? ORDER BY createdAt DESC
   `),
+  findRollback: db.prepare(`
+    SELECT id FROM rollback_history
+    WHERE env_file_id = ? AND from_version_token = ? AND to_version_token = ? AND createdAt = ?
+  `),
+  insertImportedRollback: db.prepare(`
+    INSERT INTO rollback_history (env_file_id, from_version_token, to_version_token, rollback_reason, performed_by, syncedToServer, createdAt)
+    VALUES (?, ?, ?, ?, ?, 0, ?)
+  `),
   getUnsyncedRollbackHistory: db.prepare(`
     SELECT * FROM rollback_history WHERE env_file_id = ? AND syncedToServer = 0 ORDER BY createdAt DESC
   `),
@@ -468,6 +886,94 @@ const statements = {
   `),
 };
 
+// Insert a commit on the project's current branch and move the branch to it
+function insertBranchCommit(projectId, hash, message, authorEmail) {
+  const project = statements.getProjectById.get(projectId);
+  const branchName = project?.current_branch || DEFAULT_BRANCH;
+  const branch = statements.getBranch.get(projectId, branchName);
+  const parentId = branch
+    ? branch.head_commit_id
+    : statements.getHeadCommit.get(projectId)?.id || null;
+
+  const commitId = statements.insertCommit.run(
+    projectId,
+    hash,
+    message,
+    authorEmail,
+    parentId
+  ).lastInsertRowid;
+
+  statements.setBranchHead.run(projectId, branchName, commitId);
+  return commitId;
+}
+
+// Whether ancestorId is commitId itself or one of its parents
+function isAncestorCommit(ancestorId, commitId) {
+  const visited = new Set();
+  let current = commitId;
+  while (current && !visited.has(current)) {
+    if (current === ancestorId) return true;
+    visited.add(current);
+    current = statements.getCommitById.get(current)?.parent_commit_id;
+  }
+  return false;
+}
+
+// Insert the commits, branches and tags of another copy of a project that
+// are missing here. fromCloud marks them synced; otherwise they wait for
+// 'evm sync' like local work.
+function insertHistory(projectId, commits, branches, tags, fromCloud) {
+  const insertCommit = fromCloud
+    ? statements.insertRestoredCommit
+    : statements.insertImportedCommit;
+  const moveBranch = fromCloud
+    ? statements.setSyncedBranchHead
+    : statements.moveBranchHead;
+  const synced = fromCloud ? 1 : 0;
+
+  const ordered = [...commits].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+  for (const commit of ordered) {
+    if (statements.getCommitByHash.get(projectId, commit.commit_hash)) {
+      continue;
+    }
+    const parent = commit.parent_hash
+      ? statements.getCommitByHash.get(projectId, commit.parent_hash)
+      : null;
+    insertCommit.run(
+      projectId,
+      commit.commit_hash,
+      commit.message,
+      commit.author_email,
+      parent?.id || null,
+      commit.created_at ? toSqliteTimestamp(commit.created_at) : null
+    );
+  }
+
+  for (const otherBranch of branches) {
+    const head = statements.getCommitByHash.get(projectId, otherBranch.head_hash);
+    if (!head) continue;
+
+    const local = statements.getBranch.get(projectId, otherBranch.name);
+    if (!local) {
+      statements.insertBranch.run(projectId, otherBranch.name, head.id, synced);
+    } else if (
+      local.head_commit_id !== head.id &&
+      isAncestorCommit(local.head_commit_id, head.id)
+    ) {
+      moveBranch.run(head.id, local.id);
+    }
+  }
+
+  for (const otherTag of tags) {
+    const commit = statements.getCommitByHash.get(projectId, otherTag.commit_hash);
+    if (commit && !statements.getTag.get(projectId, otherTag.name)) {
+      statements.insertTag.run(projectId, otherTag.name, commit.id, synced);
+    }
+  }
+}
+
 const dbOps = {
   // Project operations
   createProject(
@@ -672,9 +1178,16 @@ const dbOps = {
           fileId
         );
 
-        // Insert all versions
+        // Insert all versions, keeping the cloud timestamps so history order
+        // survives the round trip. They came from the cloud, so they are synced.
+        // parent_version_id holds cloud row ids; they are mapped to the local
+        // rows once every version is in.
+        let latestVersionId = null;
+        let latestCreatedAt = null;
+        const localIds = new Map();
         for (const version of versions) {
-          statements.insertEnvVersion.run(
+          const createdAt = version.created_at || version.createdAt || null;
+          const result = statements.insertRestoredEnvVersion.run(
             fileId,
             version.version_token,
             version.encrypted_content,
@@ -682,17 +1195,41 @@ const dbOps = {
             version.tag,
             version.commit_message,
             version.author_email,
-            version.parent_version_id
+            null,
+            createdAt ? toSqliteTimestamp(createdAt) : null
           );
+          localIds.set(version.id, result.lastInsertRowid);
+
+          if (
+            latestVersionId === null ||
+            (createdAt && new Date(createdAt) > new Date(latestCreatedAt))
+          ) {
+            latestVersionId = result.lastInsertRowid;
+            latestCreatedAt = createdAt;
+          }
+        }
+
+        for (const version of versions) {
+          const parentId = localIds.get(version.parent_version_id);
+          if (version.id !== undefined && parentId !== undefined) {
+            statements.updateVersionParent.run(parentId, localIds.get(version.id));
+          }
         }
 
-        // Update current_version_id if provided
-        if (fileData.current_version_id) {
+        // Point the file at its newest local version (cloud ids don't match ours)
+        if (latestVersionId !== null) {
+          statements.updateEnvFileVersion.run(latestVersionId, fileId);
+        } else if (fileData.current_version_id) {
           db.prepare(
             `UPDATE env_files SET current_version_id = ? WHERE id = ?`
           ).run(fileData.current_version_id, fileId);
         }
 
+        // Regroup the restored versions into commits
+        statements.deleteEmptyCommits.run(projectId);
+        linkVersionsToCommits();
+        ensureDefaultBranches();
+
         return fileId;
       });
 
@@ -703,6 +1240,120 @@ const dbOps = {
     }
   },
 
+  // Add cloud versions missing locally without touching local-only history
+  // (unlike restoreFileWithVersions, which replaces it). Used when merging.
+  mergeCloudVersions(envFileId, fileData, versions) {
+    try {
+      const transaction = db.transaction(() => {
+        statements.updateEnvFile.run(
+          fileData.encrypted_content,
+          fileData.iv,
+          fileData.tag,
+          envFileId
+        );
+
+        let inserted = 0;
+        for (const version of versions) {
+          if (
+            statements.getVersionByFileAndToken.get(
+              envFileId,
+              version.version_token
+            )
+          ) {
+            continue;
+          }
+          const createdAt = version.created_at || version.createdAt || null;
+          statements.insertRestoredEnvVersion.run(
+            envFileId,
+            version.version_token,
+            version.encrypted_content,
+            version.iv,
+            version.tag,
+            version.commit_message,
+            version.author_email,
+            null,
+            createdAt ? toSqliteTimestamp(createdAt) : null
+          );
+          inserted++;
+        }
+
+        linkVersionsToCommits();
+        ensureDefaultBranches();
+        return inserted;
+      });
+
+      return { success: true, inserted: transaction() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Add a project bundle's versions of a file, creating the file if needed.
+  // Local versions are kept as they are; versions new to this machine are
+  // stored unsynced. The file points at its newest version afterwards.
+  // Returns { fileId, inserted, duplicates }.
+  importFileVersions(projectId, fileName, fileData, versions) {
+    try {
+      const transaction = db.transaction(() => {
+        const existing = statements.getEnvFileByProjectAndName.get(
+          projectId,
+          fileName
+        );
+        const fileId = existing
+          ? existing.id
+          : statements.insertEnvFile.run(
+              projectId,
+              fileName,
+              fileData.encrypted_content,
+              fileData.iv,
+              fileData.tag
+            ).lastInsertRowid;
+
+        let inserted = 0;
+        let duplicates = 0;
+        for (const version of versions) {
+          if (statements.getVersionByFileAndToken.get(fileId, version.version_token)) {
+            duplicates++;
+            continue;
+          }
+          const createdAt = version.created_at || version.createdAt || null;
+          statements.insertImportedEnvVersion.run(
+            fileId,
+            version.version_token,
+            version.encrypted_content,
+            version.iv,
+            version.tag,
+            version.commit_message,
+            version.author_email,
+            createdAt ? toSqliteTimestamp(createdAt) : null
+          );
+          inserted++;
+        }
+
+        const latest = statements.getLatestVersionByEnvFile.get(fileId);
+        if (latest && latest.id !== existing?.current_version_id) {
+          statements.updateEnvFileVersion.run(latest.id, fileId);
+          if (existing) {
+            statements.updateEnvFile.run(
+              latest.encrypted_content,
+              latest.iv,
+              latest.tag,
+              fileId
+            );
+          }
+        }
+
+        linkVersionsToCommits();
+        ensureDefaultBranches();
+        return { fileId, inserted, duplicates };
+      });
+
+      return { success: true, ...transaction() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   getEnvFilesByProject(projectId) {
     try {
       const envFiles = statements.getEnvFilesByProject.all(projectId);
@@ -732,7 +1383,8 @@ const dbOps = {
     tag,
     commitMessage,
     authorEmail,
-    parentVersionId = null
+    parentVersionId = null,
+    commitId = null
   ) {
     try {
       const result = statements.insertEnvVersion.run(
@@ -743,7 +1395,8 @@ const dbOps = {
         tag,
         commitMessage,
         authorEmail,
-        parentVersionId
+        parentVersionId,
+        commitId
       );
 
       statements.updateEnvFileVersion.run(result.lastInsertRowid, envFileId);
@@ -754,21 +1407,127 @@ const dbOps = {
     }
   },
 
-  getVersionHistory(envFileId) {
+  // Write a push as one commit: every file gets its new version under the same
+  // commit row, or (if anything fails) nothing is written at all.
+  // files is [{ name, encryptedContent, iv, tag }].
+  createCommit(projectId, { hash, message, authorEmail }, files) {
     try {
-      return {
-        success: true,
-        versions: statements.getVersionsByEnvFile.all(envFileId),
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
+      const transaction = db.transaction(() => {
+        const commitId = insertBranchCommit(
+          projectId,
+          hash,
+          message,
+          authorEmail
+        );
 
-  getUnsyncedVersionHistory(envFileId) {
-    try {
-      return {
-        success: true,
+        for (const file of files) {
+          const existing = statements.getEnvFileByProjectAndName.get(
+            projectId,
+            file.name
+          );
+
+          let envFileId;
+          if (existing) {
+            envFileId = existing.id;
+            statements.updateEnvFile.run(
+              file.encryptedContent,
+              file.iv,
+              file.tag,
+              envFileId
+            );
+          } else {
+            envFileId = statements.insertEnvFile.run(
+              projectId,
+              file.name,
+              file.encryptedContent,
+              file.iv,
+              file.tag
+            ).lastInsertRowid;
+          }
+
+          const version = statements.insertEnvVersion.run(
+            envFileId,
+            hash,
+            file.encryptedContent,
+            file.iv,
+            file.tag,
+            message,
+            authorEmail,
+            existing?.current_version_id || null,
+            commitId
+          );
+          statements.updateEnvFileVersion.run(
+            version.lastInsertRowid,
+            envFileId
+          );
+        }
+
+        return commitId;
+      });
+
+      return { success: true, commitId: transaction() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getCommitById(commitId) {
+    const commit = statements.getCommitById.get(commitId);
+    return commit
+      ? { success: true, commit }
+      : { success: false, error: "Commit not found" };
+  },
+
+  getCommitVersions(commitId) {
+    try {
+      return {
+        success: true,
+        versions: statements.getVersionsByCommit.all(commitId),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Oldest first, so parents reach the server before their children
+  getUnsyncedCommits(projectId) {
+    try {
+      return {
+        success: true,
+        commits: statements.getUnsyncedCommits.all(projectId),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  markCommitAsSynced(commitId) {
+    try {
+      db.transaction(() => {
+        statements.markCommitAsSynced.run(commitId);
+        statements.markCommitVersionsAsSynced.run(commitId);
+      })();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getVersionHistory(envFileId) {
+    try {
+      return {
+        success: true,
+        versions: statements.getVersionsByEnvFile.all(envFileId),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getUnsyncedVersionHistory(envFileId) {
+    try {
+      return {
+        success: true,
         versions: statements.getUnsyncedVersionsByEnvFile.all(envFileId),
       };
     } catch (error) {
@@ -796,6 +1555,52 @@ const dbOps = {
     }
   },
 
+  getRollbackHistory(envFileId) {
+    try {
+      return {
+        success: true,
+        rollbacks: statements.getRollbackHistory.all(envFileId),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Add rollbacks recorded elsewhere (a project bundle), skipping ones
+  // already present. Like imported versions, they are left for 'evm sync'.
+  importRollbackHistory(envFileId, rollbacks) {
+    try {
+      let inserted = 0;
+      db.transaction(() => {
+        for (const rollback of rollbacks) {
+          const createdAt = toSqliteTimestamp(rollback.created_at || Date.now());
+          if (
+            statements.findRollback.get(
+              envFileId,
+              rollback.from_version_token,
+              rollback.to_version_token,
+              createdAt
+            )
+          ) {
+            continue;
+          }
+          statements.insertImportedRollback.run(
+            envFileId,
+            rollback.from_version_token,
+            rollback.to_version_token,
+            rollback.rollback_reason || null,
+            rollback.performed_by || null,
+            createdAt
+          );
+          inserted++;
+        }
+      })();
+      return { success: true, inserted };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   markRollbackAsSynced(rollbackId) {
     try {
       statements.markRollbackAsSynced.run(rollbackId);
@@ -809,106 +1614,309 @@ const dbOps = {
     return this.getVersionHistory(envFileId);
   },
 
-  getProjectCommitLog(projectId) {
+  // Newest first; each commit lists the files it changed and the branches
+  // pointing at it. Shows the history of one branch (the current one by
+  // default), or every commit in the project with { all: true }.
+  getProjectCommitLog(projectId, { branch = null, all = false } = {}) {
     try {
-      const versions = statements.getVersionsByProject.all(projectId);
+      const branchName = branch || this.getCurrentBranch(projectId).name;
+      const branchRow = statements.getBranch.get(projectId, branchName);
+      if (branch && !branchRow) {
+        return { success: false, error: `Branch "${branch}" not found` };
+      }
+
+      let commits = statements.getCommitsByProject.all(projectId);
+
+      if (!all && branchRow) {
+        const byId = new Map(commits.map((commit) => [commit.id, commit]));
+        const history = [];
+        const visited = new Set();
+        let current = byId.get(branchRow.head_commit_id);
+        while (current && !visited.has(current.id)) {
+          history.push(current);
+          visited.add(current.id);
+          current = byId.get(current.parent_commit_id);
+        }
+        commits = history;
+      }
+
+      const filesByCommit = new Map();
+      for (const row of statements.getCommitFilesByProject.all(projectId)) {
+        if (!filesByCommit.has(row.commit_id)) {
+          filesByCommit.set(row.commit_id, []);
+        }
+        filesByCommit.get(row.commit_id).push(row.name);
+      }
+
+      const tagsByCommit = new Map();
+      for (const row of statements.getTagsByProject.all(projectId)) {
+        if (!tagsByCommit.has(row.commit_id)) {
+          tagsByCommit.set(row.commit_id, []);
+        }
+        tagsByCommit.get(row.commit_id).push(row.name);
+      }
+
+      const branchesByCommit = new Map();
+      for (const row of statements.getBranchesByProject.all(projectId)) {
+        if (!branchesByCommit.has(row.head_commit_id)) {
+          branchesByCommit.set(row.head_commit_id, []);
+        }
+        branchesByCommit.get(row.head_commit_id).push(row.name);
+      }
+
       return {
         success: true,
-        commits: versions,
+        branch: all ? null : branchName,
+        commits: commits.map((commit) => ({
+          ...commit,
+          files: filesByCommit.get(commit.id) || [],
+          branches: branchesByCommit.get(commit.id) || [],
+          tags: tagsByCommit.get(commit.id) || [],
+        })),
       };
     } catch (error) {
       return { success: false, error: error.message };
     }
   },
 
-  rollbackToVersion(envFileId, targetVersionToken, reason, performedBy) {
+  // Resolve a tag name or a (possibly abbreviated) commit hash within a
+  // project. Tags win over hash prefixes. Returns { success, commit }.
+  resolveCommitHash(projectId, hash) {
     try {
-      const targetVersion =
-        statements.getVersionByToken.get(targetVersionToken);
-      if (!targetVersion) {
-        return { success: false, error: "Version not found" };
+      const tag = statements.getTag.get(projectId, hash);
+      if (tag) {
+        return {
+          success: true,
+          commit: statements.getCommitById.get(tag.commit_id),
+        };
       }
 
-      // Get the env file info
+      const commits = statements.findCommitsByPrefix.all(projectId, hash);
+
+      if (commits.length === 0) {
+        return { success: false, error: `Commit hash "${hash}" not found` };
+      }
+      if (commits.length > 1) {
+        return {
+          success: false,
+          error: `Commit hash "${hash}" is ambiguous (${commits
+            .map((c) => c.commit_hash.substring(0, 8))
+            .join(", ")})`,
+        };
+      }
+
+      return { success: true, commit: commits[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The version of a file as of a commit. A commit that did not touch the
+  // file resolves to the version from its nearest ancestor that did.
+  getFileVersionAtCommit(envFileId, commit) {
+    try {
+      const versions = statements.getVersionsByEnvFile.all(envFileId);
+      const byCommit = new Map(versions.map((v) => [v.commit_id, v]));
+
+      const visited = new Set();
+      let current = commit.id;
+      while (current && !visited.has(current)) {
+        if (byCommit.has(current)) {
+          return { success: true, version: byCommit.get(current) };
+        }
+        visited.add(current);
+        current = statements.getCommitById.get(current)?.parent_commit_id;
+      }
+
+      return { success: false, error: "File did not exist at this commit" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The file's version on the current branch, i.e. what the working copy
+  // is compared against. Falls back to the newest version without branches.
+  getHeadVersion(envFileId) {
+    try {
       const envFile = statements.getEnvFileById.get(envFileId);
       if (!envFile) {
         return { success: false, error: "Environment file not found" };
       }
 
-      const currentVersion = statements.getVersionsByEnvFile.get(envFileId);
+      const { branch } = this.getCurrentBranch(envFile.project_id);
+      if (branch?.head_commit_id) {
+        return this.getFileVersionAtCommit(envFileId, {
+          id: branch.head_commit_id,
+        });
+      }
 
-      // Record the rollback in history
-      statements.insertRollbackHistory.run(
-        envFileId,
-        currentVersion?.version_token || "unknown",
-        targetVersionToken,
-        reason,
-        performedBy
-      );
+      const version = statements.getVersionsByEnvFile.get(envFileId);
+      return version
+        ? { success: true, version }
+        : { success: false, error: "No versions found" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
-      const crypto = require("crypto");
-      const newVersionToken = crypto.randomBytes(20).toString("hex");
-      const rollbackCommitMessage = `${
-        targetVersion.commit_message || "No message"
-      }`;
+  // Branch operations
+  getCurrentBranch(projectId) {
+    const project = statements.getProjectById.get(projectId);
+    const name = project?.current_branch || DEFAULT_BRANCH;
+    return { name, branch: statements.getBranch.get(projectId, name) || null };
+  },
 
-      const newVersionResult = statements.insertEnvVersion.run(
-        envFileId,
-        newVersionToken,
-        targetVersion.encrypted_content,
-        targetVersion.iv,
-        targetVersion.tag,
-        rollbackCommitMessage,
-        performedBy,
-        currentVersion?.id || null
-      );
+  getBranches(projectId) {
+    try {
+      return {
+        success: true,
+        branches: statements.getBranchesByProject.all(projectId),
+        current: this.getCurrentBranch(projectId).name,
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
-      statements.updateEnvFile.run(
-        targetVersion.encrypted_content,
-        targetVersion.iv,
-        targetVersion.tag,
-        envFileId
+  // New branch at the current branch's head (like `git branch <name>`)
+  createBranch(projectId, name) {
+    try {
+      if (statements.getBranch.get(projectId, name)) {
+        return { success: false, error: `Branch "${name}" already exists` };
+      }
+      const { branch } = this.getCurrentBranch(projectId);
+      statements.insertBranch.run(
+        projectId,
+        name,
+        branch?.head_commit_id || null,
+        0
       );
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
-      statements.updateEnvFileVersion.run(
-        newVersionResult.lastInsertRowid,
-        envFileId
-      );
+  deleteBranch(projectId, name) {
+    try {
+      const result = statements.deleteBranch.run(projectId, name);
+      return result.changes > 0
+        ? { success: true }
+        : { success: false, error: `Branch "${name}" not found` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
-      const fs = require("fs");
-      const { decryptContent } = require("./env-manager");
-
-      try {
-        const currentUser = sessionManager.getCurrentUser();
-        if (currentUser) {
-          const userSalt = this.getUserEncryptionSalt(currentUser.email);
-          const decryptedContent = decryptContent(
-            targetVersion.encrypted_content,
-            targetVersion.iv,
-            targetVersion.tag,
-            currentUser.email,
-            userSalt
+  // Switch branches and point every file row at the branch's version.
+  // fileStates is [{ envFileId, version }] with version null for files the
+  // branch doesn't have.
+  checkoutBranch(projectId, name, fileStates) {
+    try {
+      db.transaction(() => {
+        statements.setCurrentBranch.run(name, projectId);
+        for (const { envFileId, version } of fileStates) {
+          if (!version) continue;
+          statements.updateEnvFile.run(
+            version.encrypted_content,
+            version.iv,
+            version.tag,
+            envFileId
           );
-
-          fs.writeFileSync(envFile.name, decryptedContent, "utf8");
+          statements.updateEnvFileVersion.run(version.id, envFileId);
         }
-      } catch (fileError) {
-        console.warn(
-          `Warning: Failed to write file to filesystem: ${fileError.message}`
-        );
+      })();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getTags(projectId) {
+    try {
+      return { success: true, tags: statements.getTagsByProject.all(projectId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  createTag(projectId, name, commitId) {
+    try {
+      if (statements.getTag.get(projectId, name)) {
+        return { success: false, error: `Tag "${name}" already exists` };
       }
+      statements.insertTag.run(projectId, name, commitId, 0);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getUnsyncedTags(projectId) {
+    try {
+      return { success: true, tags: statements.getUnsyncedTags.all(projectId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  markTagAsSynced(tagId) {
+    try {
+      statements.markTagAsSynced.run(tagId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
+  getUnsyncedBranches(projectId) {
+    try {
       return {
         success: true,
-        message: `Rolled back to version ${targetVersionToken}`,
-        newVersionToken: newVersionToken,
-        isRollback: true,
+        branches: statements.getUnsyncedBranches.all(projectId),
       };
     } catch (error) {
       return { success: false, error: error.message };
     }
   },
 
+  markBranchAsSynced(branchId) {
+    try {
+      statements.markBranchAsSynced.run(branchId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Add commits, branches and tags from the cloud before restoring file
+  // versions, so restored versions join commits with their real parents.
+  // Local branches only move forward (never away from local-only commits)
+  // and local tags are never moved.
+  importCloudHistory(projectId, commits = [], branches = [], tags = []) {
+    try {
+      db.transaction(() =>
+        insertHistory(projectId, commits, branches, tags, true)
+      )();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Same as importCloudHistory for the history in a project bundle, which
+  // stays unsynced so 'evm sync' uploads it
+  importBundleHistory(projectId, commits = [], branches = [], tags = []) {
+    try {
+      db.transaction(() =>
+        insertHistory(projectId, commits, branches, tags, false)
+      )();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   generateVersionToken() {
     const crypto = require("crypto");
     return crypto.randomBytes(20).toString("hex");
@@ -964,6 +1972,61 @@ const dbOps = {
     }
   },
 
+  async setUserPassword(email, plainPassword) {
+    try {
+      const hashedPassword = await bcrypt.hash(plainPassword, 10);
+      const result = statements.updateUserPassword.run(hashedPassword, email);
+      return result.changes > 0
+        ? { success: true }
+        : { success: false, error: "User not found locally" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The password hash and sealed private key are replaced in one statement,
+  // so neither changes without the other (evm passwd). Returns the previous
+  // values for restoreUserCredentials. encryptedPrivateKey null keeps the
+  // current one (no keypair yet).
+  async setUserCredentials(email, plainPassword, encryptedPrivateKey) {
+    try {
+      const user = statements.getUserByEmail.get(email);
+      if (!user) {
+        return { success: false, error: "User not found locally" };
+      }
+      const hashedPassword = await bcrypt.hash(plainPassword, 10);
+      statements.updateUserCredentials.run(
+        hashedPassword,
+        encryptedPrivateKey ?? user.encrypted_private_key,
+        email
+      );
+      return {
+        success: true,
+        previous: {
+          passwordHash: user.passwordHash,
+          encryptedPrivateKey: user.encrypted_private_key,
+        },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  restoreUserCredentials(email, previous) {
+    try {
+      const result = statements.updateUserCredentials.run(
+        previous.passwordHash,
+        previous.encryptedPrivateKey,
+        email
+      );
+      return result.changes > 0
+        ? { success: true }
+        : { success: false, error: "User not found locally" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   getUserByEmail(email) {
     return statements.getUserByEmail.get(email);
   },
@@ -973,6 +2036,96 @@ const dbOps = {
     return user ? user.encryption_salt : null;
   },
 
+  setUserKeyPair(email, publicKey, encryptedPrivateKey) {
+    try {
+      const result = statements.updateUserKeyPair.run(
+        publicKey,
+        encryptedPrivateKey,
+        email
+      );
+      return result.changes > 0
+        ? { success: true }
+        : { success: false, error: "User not found locally" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getProjectKey(projectId) {
+    try {
+      const projectKey = statements.getProjectKey.get(projectId);
+      return projectKey
+        ? { success: true, projectKey }
+        : { success: false, error: "No key found for project" };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  setProjectCloudRole(projectId, role) {
+    try {
+      statements.setProjectCloudRole.run(role || null, projectId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  saveProjectKey(projectId, wrappedKey) {
+    try {
+      statements.upsertProjectKey.run(projectId, wrappedKey);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  getProjectKeysByUser(userId) {
+    try {
+      return {
+        success: true,
+        projectKeys: statements.getProjectKeysByUser.all(userId),
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Write re-encrypted file and version rows in one transaction.
+  // Each update is { id, encryptedContent, iv, tag }.
+  applyRekey(fileUpdates, versionUpdates) {
+    try {
+      const transaction = db.transaction(() => {
+        for (const file of fileUpdates) {
+          statements.updateEnvFile.run(
+            file.encryptedContent,
+            file.iv,
+            file.tag,
+            file.id
+          );
+        }
+        for (const version of versionUpdates) {
+          statements.rekeyEnvVersion.run(
+            version.encryptedContent,
+            version.iv,
+            version.tag,
+            version.id
+          );
+          statements.markCommitOfVersionUnsynced.run(version.id);
+        }
+      });
+      transaction();
+
+      return {
+        success: true,
+        filesUpdated: fileUpdates.length,
+        versionsUpdated: versionUpdates.length,
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   markAsSynced(email) {
     statements.updateSyncStatus.run(email);
   },
@@ -1081,9 +2234,15 @@ const dbOps = {
           "DELETE FROM env_files WHERE project_id = ?"
         );
         deleteEnvFilesStmt.run(projectId);
+        statements.deleteBranchesByProject.run(projectId);
+        statements.deleteTagsByProject.run(projectId);
+        statements.deleteCommitsByProject.run(projectId);
 
-        // Finally delete the project
+        // Finally delete the project and its key
         const result = statements.deleteProject.run(projectId, userId);
+        if (result.changes > 0) {
+          statements.deleteProjectKey.run(projectId);
+        }
         return result;
       });
 
@@ -1109,14 +2268,19 @@ const dbOps = {
     try {
       // Start transaction
       const transaction = db.transaction(() => {
+        const envFile = statements.getEnvFileById.get(envFileId);
+
         // Delete rollback history for this file
         statements.deleteRollbackHistoryByFileId.run(envFileId);
 
         // Delete all versions for this file
         statements.deleteEnvVersionsByFileId.run(envFileId);
 
-        // Delete the env file
+        // Delete the env file, then commits that only touched it
         const result = statements.deleteEnvFile.run(envFileId, userId);
+        if (envFile && result.changes > 0) {
+          statements.deleteEmptyCommits.run(envFile.project_id);
+        }
         return result;
       });
 
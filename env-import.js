@@ -0,0 +1,234 @@
+// Converts secrets kept in other formats into dotenv text: JSON or YAML
+// config files, the environment: blocks of docker-compose services and
+// Kubernetes Secret manifests.
+
+const yaml = require("js-yaml");
+
+const IMPORT_FORMATS = ["json", "yaml", "compose", "k8s"];
+
+// Scalars stay the text they were written as ("1.10" must not become 1.1, nor
+// "yes" a boolean); only null and merge keys (<<: *defaults) are resolved
+const YAML_SCHEMA = yaml.FAILSAFE_SCHEMA.extend({
+  implicit: [yaml.types.null, yaml.types.merge],
+});
+
+const ENV_KEY_PATTERN = /^[\w.-]+$/;
+
+function loadYamlDocuments(text) {
+  return yaml.loadAll(text, null, { schema: YAML_SCHEMA }).filter(Boolean);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// The format of a file from its name and contents, or null when unclear
+function detectFormat(fileName, text) {
+  if (/\.json$/i.test(fileName)) {
+    return "json";
+  }
+  if (!/\.ya?ml$/i.test(fileName)) {
+    return null;
+  }
+  try {
+    const documents = loadYamlDocuments(text);
+    if (documents.some((doc) => doc.kind === "Secret")) return "k8s";
+    if (documents.length === 1 && isObject(documents[0].services)) return "compose";
+    return "yaml";
+  } catch (error) {
+    return null;
+  }
+}
+
+// ["database", "maxPoolSize"] -> "DATABASE_MAX_POOL_SIZE"
+function toEnvKey(path) {
+  return path
+    .join("_")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9_]+/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^_|_$/g, "")
+    .toUpperCase();
+}
+
+function scalarToString(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+// Nested objects become one key per leaf, named by their path
+function flattenObject(object, path = [], pairs = []) {
+  for (const [key, value] of Object.entries(object)) {
+    if (isObject(value)) {
+      flattenObject(value, [...path, key], pairs);
+    } else {
+      pairs.push({ key: toEnvKey([...path, key]), value: scalarToString(value) });
+    }
+  }
+  return pairs;
+}
+
+function convertObject(data, formatName) {
+  if (!isObject(data)) {
+    throw new Error(`The ${formatName} file must hold an object of settings`);
+  }
+  return { pairs: flattenObject(data), warnings: [] };
+}
+
+// environment: as a map (KEY: value) or a list ("KEY=value"). Keys without a
+// value are passed through from the host's environment, so there is nothing
+// to import for them.
+function convertCompose(text, { service } = {}) {
+  const [compose] = loadYamlDocuments(text);
+  if (!isObject(compose?.services)) {
+    throw new Error("No services: found in the compose file");
+  }
+
+  const withEnvironment = Object.keys(compose.services).filter(
+    (name) => compose.services[name]?.environment
+  );
+  if (service && !compose.services[service]) {
+    throw new Error(
+      `Service "${service}" not found (services: ${Object.keys(compose.services).join(", ")})`
+    );
+  }
+  if (!service && withEnvironment.length !== 1) {
+    throw new Error(
+      withEnvironment.length === 0
+        ? "No service has an environment: block"
+        : `Several services have an environment: block (${withEnvironment.join(", ")}); pick one with --service`
+    );
+  }
+
+  const name = service || withEnvironment[0];
+  const environment = compose.services[name].environment || {};
+  const entries = Array.isArray(environment)
+    ? environment.map((item) => {
+        const text = String(item);
+        const equals = text.indexOf("=");
+        return equals === -1
+          ? [text, null]
+          : [text.substring(0, equals), text.substring(equals + 1)];
+      })
+    : Object.entries(environment);
+
+  const pairs = [];
+  const warnings = [];
+  for (const [key, value] of entries) {
+    if (value === null) {
+      warnings.push(`${key} takes its value from the host environment, skipped`);
+    } else {
+      pairs.push({ key, value: scalarToString(value) });
+    }
+  }
+  return { pairs, warnings, source: `service ${name}` };
+}
+
+// data: values are base64; stringData: values are plain and win over data
+function convertK8sSecret(text, { secret } = {}) {
+  const secrets = loadYamlDocuments(text).filter((doc) => doc.kind === "Secret");
+  const names = secrets.map((doc) => doc.metadata?.name || "(unnamed)");
+  if (secrets.length === 0) {
+    throw new Error("No Secret found in the manifest");
+  }
+
+  let manifest;
+  if (secret) {
+    manifest = secrets.find((doc) => doc.metadata?.name === secret);
+    if (!manifest) {
+      throw new Error(`Secret "${secret}" not found (secrets: ${names.join(", ")})`);
+    }
+  } else if (secrets.length > 1) {
+    throw new Error(
+      `The manifest has several Secrets (${names.join(", ")}); pick one with --secret`
+    );
+  } else {
+    manifest = secrets[0];
+  }
+
+  const values = {};
+  for (const [key, encoded] of Object.entries(manifest.data || {})) {
+    const clean = String(encoded || "").replace(/\s/g, "");
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 !== 0) {
+      throw new Error(`data.${key} of Secret "${manifest.metadata?.name}" is not base64`);
+    }
+    values[key] = Buffer.from(clean, "base64").toString("utf8");
+  }
+  for (const [key, value] of Object.entries(manifest.stringData || {})) {
+    values[key] = scalarToString(value);
+  }
+
+  return {
+    pairs: Object.entries(values).map(([key, value]) => ({ key, value })),
+    warnings: [],
+    source: `secret ${manifest.metadata?.name || "(unnamed)"}`,
+  };
+}
+
+// { pairs: [{ key, value }], warnings, source } for the file's text.
+// Throws when the text can't be read in that format.
+function convertToEnv(text, format, options = {}) {
+  let result;
+  switch (format) {
+    case "json":
+      result = convertObject(JSON.parse(text), "JSON");
+      break;
+    case "yaml": {
+      const documents = loadYamlDocuments(text);
+      if (documents.length > 1) {
+        throw new Error("The YAML file has several documents");
+      }
+      result = convertObject(documents[0], "YAML");
+      break;
+    }
+    case "compose":
+      result = convertCompose(text, options);
+      break;
+    case "k8s":
+      result = convertK8sSecret(text, options);
+      break;
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+
+  const seen = new Set();
+  for (const { key } of result.pairs) {
+    if (!ENV_KEY_PATTERN.test(key)) {
+      throw new Error(`"${key}" can't be used as an environment variable name`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Two settings both become ${key}`);
+    }
+    seen.add(key);
+  }
+  return result;
+}
+
+// Quote only when needed, picking a quote the value doesn't contain so it
+// reads back unchanged (see env-parser.js)
+function formatValue(value) {
+  if (/^[^\s#"'`\\]*$/.test(value)) return value;
+  if (!value.includes("'")) return `'${value}'`;
+  if (!value.includes('"') && !value.includes("\\")) return `"${value}"`;
+  if (!value.includes("`")) return `\`${value}\``;
+  return `"${value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+}
+
+function formatEnv(pairs, header) {
+  const lines = header ? [`# ${header}`] : [];
+  for (const { key, value } of pairs) {
+    lines.push(`${key}=${formatValue(value)}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  convertToEnv,
+  formatEnv,
+};
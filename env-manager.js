@@ -5,10 +5,31 @@ const axios = require("axios");
 const { createTextBox } = require("./components/text-input");
 const { dbOps, sessionManager } = require("./db");
 const { configManager } = require("./config");
+const {
+  generateEncryptionKey,
+  getProjectKey,
+  getWrappedProjectKey,
+} = require("./key-manager");
+const {
+  hasConflictMarkers,
+  buildExample,
+  isExampleFile,
+  exampleFileName,
+} = require("./env-parser");
+const { loadSchema, validateEnv, schemaDefaults } = require("./env-schema");
+const { printIssues } = require("./commands/validate");
+const {
+  getFlagValue,
+  hasFlag,
+  getListFlag,
+  positionalArgs,
+  requireInteractive,
+} = require("./cli-options");
+const { getEnvToken } = require("./service-token");
 const chalk = require("chalk");
 
 const ALGORITHM = "aes-256-gcm";
-const KEY_LENGTH = 32;
+const PROJECT_KEY_AAD = Buffer.from("evm-project-data");
 
 async function checkServerConnectivity() {
   try {
@@ -41,17 +62,6 @@ async function syncToCloud(fileData, userEmail) {
   }
 }
 
-function generateEncryptionKey(userEmail, userSalt) {
-  if (!userSalt) {
-    // Get user's salt from database
-    userSalt = dbOps.getUserEncryptionSalt(userEmail);
-    if (!userSalt) {
-      throw new Error(`No encryption salt found for user: ${userEmail}`);
-    }
-  }
-  return crypto.pbkdf2Sync(userEmail, userSalt, 100000, KEY_LENGTH, "sha256");
-}
-
 function encryptContent(content, userEmail, userSalt = null) {
   try {
     const key = generateEncryptionKey(userEmail, userSalt);
@@ -74,13 +84,85 @@ function encryptContent(content, userEmail, userSalt = null) {
   }
 }
 
+// Encrypt with the project's data key so every member holding the key can read it
+function encryptProjectContent(content, projectId, userEmail) {
+  try {
+    const key = getProjectKey(projectId, userEmail, { create: true });
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(PROJECT_KEY_AAD);
+
+    let encrypted = cipher.update(content, "utf8", "hex");
+    encrypted += cipher.final("hex");
+
+    return {
+      encryptedContent: encrypted,
+      iv: iv.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
+    };
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+}
+
+// Returns null when the content was not encrypted with this key
+function decryptWithProjectKey(encryptedContent, iv, tag, key) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(iv, "hex")
+    );
+    decipher.setAAD(PROJECT_KEY_AAD);
+    decipher.setAuthTag(Buffer.from(tag, "hex"));
+
+    let decrypted = decipher.update(encryptedContent, "hex", "utf8");
+    decrypted += decipher.final("utf8");
+
+    return decrypted;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decryptProjectContent(encryptedContent, iv, tag, projectId, userEmail) {
+  const key = getProjectKey(projectId, userEmail);
+
+  if (key) {
+    const decrypted = decryptWithProjectKey(encryptedContent, iv, tag, key);
+    if (decrypted !== null) {
+      return decrypted;
+    }
+    // Content written before per-project keys existed; try the user key below
+  }
+
+  return decryptContent(encryptedContent, iv, tag, userEmail);
+}
+
+// Re-encrypt legacy (email-derived key) content with the project key.
+// Returns null when the content already uses the project key.
+function reencryptLegacyContent(encryptedContent, iv, tag, projectId, userEmail) {
+  const key = getProjectKey(projectId, userEmail, { create: true });
+  if (decryptWithProjectKey(encryptedContent, iv, tag, key) !== null) {
+    return null;
+  }
+
+  const content = decryptContent(encryptedContent, iv, tag, userEmail);
+  return encryptProjectContent(content, projectId, userEmail);
+}
+
+// Names evm tracks as env files (.env, .env.local, app.env.prod, ...)
+function isEnvFileName(file) {
+  return (
+    (file.startsWith(".env") || file === ".env" || file.includes(".env.")) &&
+    !isExampleFile(file)
+  );
+}
+
 async function scanEnvFiles(directory = process.cwd()) {
   try {
     const files = fs.readdirSync(directory);
-    const envFiles = files.filter(
-      (file) =>
-        file.startsWith(".env") || file === ".env" || file.includes(".env.")
-    );
+    const envFiles = files.filter(isEnvFileName);
 
     return envFiles.map((file) => ({
       name: file,
@@ -93,37 +175,69 @@ async function scanEnvFiles(directory = process.cwd()) {
   }
 }
 
-async function hasFileChanged(projectId, fileName, currentContent, userEmail) {
-  try {
-    const existingFile = dbOps.getEnvFileByProjectAndName(projectId, fileName);
+// Decrypted content of a file's version on the current branch (or at the
+// given commit), or null when the file wasn't committed there
+function getCommittedContent(projectId, fileName, userEmail, commit = null) {
+  const existingFile = dbOps.getEnvFileByProjectAndName(projectId, fileName);
+  if (!existingFile.success) {
+    return null;
+  }
 
-    if (!existingFile.success) {
-      return true;
-    }
+  const headVersion = commit
+    ? dbOps.getFileVersionAtCommit(existingFile.envFile.id, commit)
+    : dbOps.getHeadVersion(existingFile.envFile.id);
+  if (!headVersion.success) {
+    return null;
+  }
 
-    // Get the latest version to compare
-    const versions = dbOps.getEnvVersionsByFile(existingFile.envFile.id);
-    if (!versions.success || versions.versions.length === 0) {
-      return true;
-    }
+  const latestVersion = headVersion.version;
+  return decryptProjectContent(
+    latestVersion.encrypted_content,
+    latestVersion.iv,
+    latestVersion.tag,
+    projectId,
+    userEmail
+  );
+}
 
-    // Decrypt the latest version and compare
-    const latestVersion = versions.versions[0];
-    const userSalt = dbOps.getUserEncryptionSalt(userEmail);
-    const decryptedContent = decryptContent(
-      latestVersion.encrypted_content,
-      latestVersion.iv,
-      latestVersion.tag,
-      userEmail,
-      userSalt
+async function hasFileChanged(projectId, fileName, currentContent, userEmail) {
+  try {
+    const committedContent = getCommittedContent(
+      projectId,
+      fileName,
+      userEmail
     );
-
-    return currentContent !== decryptedContent;
+    return committedContent === null || currentContent !== committedContent;
   } catch (error) {
     return true;
   }
 }
 
+// Write <file>.example next to each file, built from its latest committed
+// version with values blanked or set to the schema defaults
+function writeExampleFiles(projectId, fileNames, userEmail) {
+  const { variables } = loadSchema();
+
+  return fileNames.map((fileName) => {
+    try {
+      const content = getCommittedContent(projectId, fileName, userEmail);
+      if (content === null) {
+        return { fileName, skipped: true };
+      }
+
+      const examplePath = exampleFileName(fileName);
+      fs.writeFileSync(
+        examplePath,
+        buildExample(content, schemaDefaults(variables, fileName)),
+        "utf8"
+      );
+      return { fileName, examplePath };
+    } catch (error) {
+      return { fileName, error: error.message };
+    }
+  });
+}
+
 function decryptContent(encryptedContent, iv, tag, userEmail, userSalt = null) {
   try {
     const key = generateEncryptionKey(userEmail, userSalt);
@@ -149,6 +263,35 @@ function saveStagedFiles(stagedFiles) {
   fs.writeFileSync(stagingPath, JSON.stringify(stagedFiles, null, 2));
 }
 
+// Files left with unresolved merge conflicts by `evm pull`, keyed by file name
+function getConflictsPath() {
+  return path.join(
+    path.dirname(configManager.getProjectStagingPath()),
+    "conflicts.json"
+  );
+}
+
+function getConflicts() {
+  const conflictsPath = getConflictsPath();
+  if (!fs.existsSync(conflictsPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(conflictsPath, "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveConflicts(conflicts) {
+  const conflictsPath = getConflictsPath();
+  if (Object.keys(conflicts).length === 0) {
+    if (fs.existsSync(conflictsPath)) fs.unlinkSync(conflictsPath);
+    return;
+  }
+  fs.writeFileSync(conflictsPath, JSON.stringify(conflicts, null, 2));
+}
+
 function loadStagedFiles() {
   const stagingPath = configManager.getProjectStagingPath();
   if (!fs.existsSync(stagingPath)) {
@@ -426,6 +569,37 @@ async function selectProject(userId) {
   });
 }
 
+// Files that break the variables schema in .evm-config.json stay out of
+// staging; exits after listing every problem
+function refuseInvalidFiles(files) {
+  const schema = loadSchema();
+  let invalid = schema.errors.length > 0;
+  if (invalid) {
+    console.log(
+      chalk.red("\nThe variables schema in .evm-config.json has errors:")
+    );
+    printIssues({ errors: schema.errors, warnings: [] });
+  }
+
+  for (const file of files) {
+    const result = validateEnv(file.content, schema.variables, file.name);
+    if (result.errors.length > 0) {
+      console.log(chalk.red(`\n✗ ${file.name} failed validation:`));
+      printIssues({ errors: result.errors, warnings: [] });
+      invalid = true;
+    }
+  }
+
+  if (invalid) {
+    console.log(
+      chalk.yellow(
+        "\nNothing staged. Fix the files (see 'evm validate') or pass --no-verify"
+      )
+    );
+    process.exit(1);
+  }
+}
+
 async function addEnvFiles(args = []) {
   console.log("Staging environment files for EVM...\n");
 
@@ -438,16 +612,44 @@ async function addEnvFiles(args = []) {
     const currentUser = dbOps.getCurrentUser();
 
     const currentProjectResult = dbOps.getCurrentProject(currentUser.userId);
+    const projectName = getFlagValue(args, "--name");
     let project;
 
+    if (projectName === null) {
+      console.log(chalk.red("Missing project name after --name"));
+      process.exit(1);
+    }
+
     if (currentProjectResult.success) {
       project = currentProjectResult.project;
+      if (projectName && projectName !== project.name) {
+        console.log(
+          chalk.red(
+            `This directory belongs to project "${project.name}", not "${projectName}"`
+          )
+        );
+        process.exit(1);
+      }
       console.log(
         chalk.green(
           `✓ Using project: ${project.name} (${project.directory_path})`
         )
       );
+    } else if (projectName) {
+      const projectsResult = dbOps.getProjectsByUser(currentUser.userId);
+      project = projectsResult.success
+        ? projectsResult.projects.find((p) => p.name === projectName)
+        : null;
+      if (!project) {
+        console.log(chalk.red(`Project "${projectName}" not found`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`✓ Using project: ${project.name}`));
     } else {
+      requireInteractive(
+        "a project",
+        "Pass --name <project> or run 'evm add' inside a project directory"
+      );
       console.log(
         chalk.yellow(
           "No project found in current directory. Please select a project:"
@@ -464,8 +666,19 @@ async function addEnvFiles(args = []) {
     }
 
     const changedFiles = [];
+    const conflictedFiles = [];
     for (const file of envFiles) {
       const content = fs.readFileSync(file.path, "utf8");
+
+      if (hasConflictMarkers(content)) {
+        console.log(
+          chalk.red(
+            `✗ ${file.name} has unresolved merge conflicts; fix the marked keys first`
+          )
+        );
+        conflictedFiles.push(file.name);
+        continue;
+      }
       const hasChanged = await hasFileChanged(
         project.id,
         file.name,
@@ -490,25 +703,77 @@ async function addEnvFiles(args = []) {
     });
     console.log();
 
-    let fileSelection, commitMessage;
-    if (args.includes(".")) {
-      console.log(chalk.cyan("Auto-staging all changed files..."));
-      fileSelection = "all";
-      commitMessage = await promptCommitMessage();
-    } else {
-      const result = await promptFileSelectionAndCommit(changedFiles);
-      fileSelection = result.fileSelection;
-      commitMessage = result.commitMessage;
+    const verify = !hasFlag(args, "--no-verify");
+    const acceptDefaults = hasFlag(args, "--yes", "-y");
+    // evm add .env.local .env.test is the same as --files .env.local,.env.test
+    const requestedFiles = [
+      ...getListFlag(args, "--files"),
+      ...positionalArgs(args, ["--files", "-m", "--message", "--name"]).filter(
+        (arg) => arg !== "."
+      ),
+    ];
+    let commitMessage = getFlagValue(args, "-m", "--message");
+
+    if (commitMessage === null) {
+      console.log(chalk.red("Missing commit message after -m"));
+      process.exit(1);
     }
 
-    let selectedFiles;
-    if (fileSelection.toLowerCase() === "all" || fileSelection === ".") {
+    let selectedFiles = null;
+    if (requestedFiles.length > 0) {
+      selectedFiles = [];
+      for (const name of requestedFiles) {
+        const file = changedFiles.find((changed) => changed.name === name);
+        if (file) {
+          selectedFiles.push(file);
+        } else if (conflictedFiles.includes(name)) {
+          process.exit(1);
+        } else if (envFiles.some((envFile) => envFile.name === name)) {
+          console.log(chalk.yellow(`${name} has no changes, skipping`));
+        } else {
+          console.log(
+            chalk.red(`File "${name}" not found in current directory`)
+          );
+          process.exit(1);
+        }
+      }
+      if (selectedFiles.length === 0) {
+        console.log("Nothing to stage.");
+        process.exit(0);
+      }
+    } else if (args.includes(".") || acceptDefaults) {
+      console.log(chalk.cyan("Auto-staging all changed files..."));
       selectedFiles = changedFiles;
+    }
+
+    if (selectedFiles) {
+      if (verify) refuseInvalidFiles(selectedFiles);
+      if (commitMessage === undefined && !acceptDefaults) {
+        requireInteractive(
+          "a commit message",
+          'Pass -m "<message>", or --yes to use the default message'
+        );
+        commitMessage = await promptCommitMessage();
+      }
     } else {
-      const indices = fileSelection
-        .split(",")
-        .map((n) => parseInt(n.trim()) - 1);
-      selectedFiles = indices.map((i) => changedFiles[i]);
+      requireInteractive(
+        "files to stage",
+        "Pass --files <a,b>, '.' or --yes to stage every changed file"
+      );
+      const result = await promptFileSelectionAndCommit(changedFiles);
+      const fileSelection = result.fileSelection;
+      if (fileSelection.toLowerCase() === "all" || fileSelection === ".") {
+        selectedFiles = changedFiles;
+      } else {
+        const indices = fileSelection
+          .split(",")
+          .map((n) => parseInt(n.trim()) - 1);
+        selectedFiles = indices.map((i) => changedFiles[i]);
+      }
+      if (commitMessage === undefined) {
+        commitMessage = result.commitMessage;
+      }
+      if (verify) refuseInvalidFiles(selectedFiles);
     }
 
     const stagedData = {
@@ -527,6 +792,11 @@ async function addEnvFiles(args = []) {
 
     saveStagedFiles(stagedData);
 
+    // Staging a file without markers marks its merge conflicts as resolved
+    const conflicts = getConflicts();
+    selectedFiles.forEach((file) => delete conflicts[file.name]);
+    saveConflicts(conflicts);
+
     console.log("\nStaged for commit:");
     selectedFiles.forEach((file) => {
       console.log(`  ${file.name} (${file.size} bytes)`);
@@ -540,9 +810,12 @@ async function addEnvFiles(args = []) {
   }
 }
 
-function createAuthenticatedAxios() {
+// Uses the given bearer, else the logged in user's JWT, else the service
+// token in EVM_TOKEN
+function createAuthenticatedAxios(bearer = null) {
   const session = sessionManager.getCurrentUser();
-  if (!session?.token) {
+  const token = bearer || session?.token || getEnvToken()?.bearer;
+  if (!token) {
     throw new Error("No valid token found. Please login again.");
   }
 
@@ -551,11 +824,125 @@ function createAuthenticatedAxios() {
     timeout: 10000,
     headers: {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${session.token}`,
+      Authorization: `Bearer ${token}`,
     },
   });
 }
 
+// Upload unsynced commits oldest first. Each commit is one request carrying
+// every file it changed, so the server stores all of them or none.
+async function syncCommits(api, projectId, projectName) {
+  const commitsResult = dbOps.getUnsyncedCommits(projectId);
+  const commits = commitsResult.success ? commitsResult.commits : [];
+
+  let synced = 0;
+  let versions = 0;
+  let rekeyRefused = 0;
+
+  for (const commit of commits) {
+    const versionsResult = dbOps.getCommitVersions(commit.id);
+    const commitVersions = versionsResult.success ? versionsResult.versions : [];
+
+    try {
+      await api.post("/env-versions", {
+        project_name: projectName,
+        commit: {
+          hash: commit.commit_hash,
+          message: commit.message,
+          author_email: commit.author_email,
+          parent_hash: commit.parent_hash,
+          created_at: commit.createdAt,
+        },
+        versions: commitVersions.map((version) => ({
+          file_name: version.file_name,
+          encrypted_content: version.encrypted_content,
+          iv: version.iv,
+          tag: version.tag,
+          rekeyed: Boolean(version.rekeyed),
+        })),
+      });
+    } catch (error) {
+      // The server keeps its copy of a version we may not rekey; ours holds
+      // the same contents under the project key, so there is nothing to send
+      if (error.response?.data?.rekey_forbidden) {
+        dbOps.markCommitAsSynced(commit.id);
+        rekeyRefused++;
+        continue;
+      }
+      // Later commits build on this one, so stop and retry on the next sync
+      return {
+        synced,
+        versions,
+        failed: commits.length - synced - rekeyRefused,
+        rekeyRefused,
+        error: error.response?.data?.error || error.message,
+      };
+    }
+
+    dbOps.markCommitAsSynced(commit.id);
+    synced++;
+    versions += commitVersions.length;
+  }
+
+  return { synced, versions, failed: 0, rekeyRefused };
+}
+
+// Upload branch heads that moved since the last sync. Runs after
+// syncCommits so the server already has the commits they point at.
+async function syncBranches(api, projectId, projectName) {
+  const branchesResult = dbOps.getUnsyncedBranches(projectId);
+  const branches = branchesResult.success ? branchesResult.branches : [];
+
+  let synced = 0;
+  for (const branch of branches) {
+    try {
+      await api.put(
+        `/projects/${encodeURIComponent(
+          projectName
+        )}/branches/${encodeURIComponent(branch.name)}`,
+        { head_hash: branch.head_hash }
+      );
+      dbOps.markBranchAsSynced(branch.id);
+      synced++;
+    } catch (error) {
+      return {
+        synced,
+        failed: branches.length - synced,
+        error: error.response?.data?.error || error.message,
+      };
+    }
+  }
+
+  return { synced, failed: 0 };
+}
+
+// Upload tags created since the last sync. Tags don't depend on each
+// other, so one rejected tag (e.g. the name is taken in the cloud) doesn't
+// hold back the rest.
+async function syncTags(api, projectId, projectName) {
+  const tagsResult = dbOps.getUnsyncedTags(projectId);
+  const tags = tagsResult.success ? tagsResult.tags : [];
+
+  let synced = 0;
+  let error = null;
+  for (const tag of tags) {
+    try {
+      await api.put(
+        `/projects/${encodeURIComponent(
+          projectName
+        )}/tags/${encodeURIComponent(tag.name)}`,
+        { commit_hash: tag.commit_hash }
+      );
+      dbOps.markTagAsSynced(tag.id);
+      synced++;
+    } catch (tagError) {
+      error = error || tagError.response?.data?.error || tagError.message;
+    }
+  }
+
+  return { synced, failed: tags.length - synced, error };
+}
+
 // Sync only specific files that were just pushed
 async function syncSpecificFiles(projectId, pushedFiles) {
   try {
@@ -601,49 +988,11 @@ async function syncSpecificFiles(projectId, pushedFiles) {
           tag: envFile.envFile.tag,
           created_at: envFile.envFile.createdAt,
           updated_at: envFile.envFile.updatedAt,
+          wrapped_key: getWrappedProjectKey(projectId),
         };
 
         await api.post("/env-files", syncData);
 
-        // Sync only unsynced versions for this specific file
-        const versionsResult = dbOps.getUnsyncedVersionHistory(
-          envFile.envFile.id
-        );
-
-        let versionsSynced = 0;
-        if (versionsResult.success && versionsResult.versions.length > 0) {
-          // Process versions in parallel too
-          const versionSyncPromises = versionsResult.versions.map(
-            async (version) => {
-              try {
-                const versionSyncData = {
-                  user_email: currentUser.email,
-                  project_name: project.project.name,
-                  file_name: envFile.envFile.name,
-                  version_token: version.version_token,
-                  encrypted_content: version.encrypted_content,
-                  iv: version.iv,
-                  tag: version.tag,
-                  commit_message: version.commit_message,
-                  author_email: version.author_email,
-                  created_at: version.createdAt,
-                };
-
-                await api.post("/env-versions", versionSyncData);
-                dbOps.markVersionAsSynced(version.version_token);
-                return { success: true };
-              } catch (versionError) {
-                return { success: false, error: versionError.message };
-              }
-            }
-          );
-
-          const versionResults = await Promise.allSettled(versionSyncPromises);
-          versionsSynced = versionResults.filter(
-            (r) => r.status === "fulfilled" && r.value.success
-          ).length;
-        }
-
         // Sync rollback history for this specific file in parallel
         const rollbackResult = dbOps.getUnsyncedRollbackHistory(
           envFile.envFile.id
@@ -685,7 +1034,6 @@ async function syncSpecificFiles(projectId, pushedFiles) {
         return {
           success: true,
           fileName: pushedFile.name,
-          versionsSynced,
           rollbacksSynced,
         };
       } catch (fileError) {
@@ -697,8 +1045,21 @@ async function syncSpecificFiles(projectId, pushedFiles) {
       }
     });
 
-    // Wait for all files to sync
+    // Wait for all files to sync, then upload the commits that reference them
     const results = await Promise.allSettled(fileSyncPromises);
+    const commitSync = await syncCommits(
+      api,
+      projectId,
+      project.project.name
+    );
+    const branchSync =
+      commitSync.failed === 0
+        ? await syncBranches(api, projectId, project.project.name)
+        : { synced: 0, failed: 0 };
+    const tagSync =
+      commitSync.failed === 0
+        ? await syncTags(api, projectId, project.project.name)
+        : { synced: 0, failed: 0 };
     const endTime = Date.now();
     const syncTime = Math.round((endTime - startTime) / 10) / 100;
 
@@ -712,10 +1073,6 @@ async function syncSpecificFiles(projectId, pushedFiles) {
         (r.status === "fulfilled" && !r.value.success)
     );
 
-    const totalVersions = successfulFiles.reduce(
-      (sum, r) => sum + (r.value.versionsSynced || 0),
-      0
-    );
     const totalRollbacks = successfulFiles.reduce(
       (sum, r) => sum + (r.value.rollbacksSynced || 0),
       0
@@ -745,12 +1102,35 @@ async function syncSpecificFiles(projectId, pushedFiles) {
         }
       });
     }
+
+    if (commitSync.rekeyRefused > 0) {
+      console.log(
+        chalk.gray(
+          `${commitSync.rekeyRefused} re-encrypted commit(s) kept the server's copy: only the project owner or the author can rekey them`
+        )
+      );
+    }
+    if (commitSync.failed > 0) {
+      throw new Error(
+        `${commitSync.failed} commit(s) not uploaded: ${commitSync.error}`
+      );
+    }
+    if (branchSync.failed > 0) {
+      throw new Error(
+        `${branchSync.failed} branch(es) not uploaded: ${branchSync.error}`
+      );
+    }
+    if (tagSync.failed > 0) {
+      throw new Error(
+        `${tagSync.failed} tag(s) not uploaded: ${tagSync.error}`
+      );
+    }
   } catch (error) {
     throw new Error(`Sync failed: ${error.message}`);
   }
 }
 
-async function pushStagedFiles() {
+async function pushStagedFiles(args = []) {
   console.log("Pushing staged files...\n");
 
   try {
@@ -766,6 +1146,16 @@ async function pushStagedFiles() {
       process.exit(0);
     }
 
+    // -m replaces the message given when the files were staged
+    const commitMessage = getFlagValue(args, "-m", "--message");
+    if (commitMessage === null) {
+      console.log(chalk.red("Missing commit message after -m"));
+      process.exit(1);
+    }
+    if (commitMessage) {
+      stagedData.commitMessage = commitMessage;
+    }
+
     console.log(`Found ${stagedData.files.length} staged file(s):`);
     stagedData.files.forEach((file) => {
       console.log(`  ${file.name} (${file.size} bytes)`);
@@ -779,96 +1169,58 @@ async function pushStagedFiles() {
       successCount = stagedData.files.length;
     } else {
       const commitHash = dbOps.generateVersionToken();
-      const startTime = Date.now();
 
-      const fileProcessingPromises = stagedData.files.map(async (file) => {
-        try {
-          const encrypted = encryptContent(file.content, stagedData.userEmail);
-
-          const envFileResult = dbOps.createOrUpdateEnvFile(
-            stagedData.projectId,
-            file.name,
-            encrypted.encryptedContent,
-            encrypted.iv,
-            encrypted.tag
-          );
-
-          if (envFileResult.success) {
-            const versionResult = dbOps.createEnvVersion(
-              envFileResult.envFileId,
-              commitHash,
-              encrypted.encryptedContent,
-              encrypted.iv,
-              encrypted.tag,
-              stagedData.commitMessage,
-              stagedData.userEmail
-            );
-
-            if (versionResult.success) {
-              return { success: true, fileName: file.name };
-            } else {
-              console.log(
-                `Failed to create version for ${file.name}: ${
-                  versionResult.error || "Unknown error"
-                }`
-              );
-              return {
-                success: false,
-                fileName: file.name,
-                error: versionResult.error,
-              };
-            }
-          } else {
-            console.log(
-              `Failed to commit ${file.name}: ${
-                envFileResult.error || "Unknown error"
-              }`
-            );
-            return {
-              success: false,
-              fileName: file.name,
-              error: envFileResult.error,
-            };
-          }
-        } catch (error) {
-          console.log(`Error processing ${file.name}: ${error.message}`);
-          return { success: false, fileName: file.name, error: error.message };
-        }
+      // Encrypt everything first; the commit itself is one transaction
+      const encryptedFiles = stagedData.files.map((file) => {
+        const encrypted = encryptProjectContent(
+          file.content,
+          stagedData.projectId,
+          stagedData.userEmail
+        );
+        return { name: file.name, ...encrypted };
       });
 
-      // Wait for all files to be processed
-      const results = await Promise.allSettled(fileProcessingPromises);
-      const endTime = Date.now();
-      const processingTime = Math.round((endTime - startTime) / 10) / 100;
-
-      // Count successful files
-      const successfulResults = results.filter(
-        (r) => r.status === "fulfilled" && r.value.success
-      );
-      const failedResults = results.filter(
-        (r) =>
-          r.status === "rejected" ||
-          (r.status === "fulfilled" && !r.value.success)
+      const commitResult = dbOps.createCommit(
+        stagedData.projectId,
+        {
+          hash: commitHash,
+          message: stagedData.commitMessage,
+          authorEmail: stagedData.userEmail,
+        },
+        encryptedFiles
       );
 
-      successCount = successfulResults.length;
-
-      if (failedResults.length > 0) {
+      if (!commitResult.success) {
         console.log(
-          chalk.red(`Failed to process ${failedResults.length} files:`)
+          chalk.red(`Commit failed, nothing was written: ${commitResult.error}`)
         );
-        failedResults.forEach((result) => {
-          if (result.status === "fulfilled") {
-            console.log(
-              chalk.red(`   - ${result.value.fileName}: ${result.value.error}`)
-            );
-          }
-        });
+        console.log(chalk.gray("Your files are still staged"));
+        process.exit(1);
       }
+
+      successCount = encryptedFiles.length;
+      console.log(
+        chalk.green(
+          `\nCommitted ${successCount} file(s) as ${commitHash.substring(0, 8)}`
+        )
+      );
     }
 
     clearStagingArea();
 
+    // Keep the example files in step when the project asked for it
+    if (configManager.getProjectConfig()?.example?.onPush) {
+      writeExampleFiles(
+        stagedData.projectId,
+        stagedData.files.map((file) => file.name),
+        stagedData.userEmail
+      )
+        .filter((result) => result.examplePath)
+        .forEach((result) =>
+          console.log(chalk.gray(`Updated ${result.examplePath}`))
+        );
+    }
+
     console.log();
 
     try {
@@ -1052,13 +1404,12 @@ async function stageRevertedFile(
     }
 
     // Decrypt the current content to get the actual file content
-    const userSalt = dbOps.getUserEncryptionSalt(userEmail);
-    const decryptedContent = decryptContent(
+    const decryptedContent = decryptProjectContent(
       envFile.envFile.encrypted_content,
       envFile.envFile.iv,
       envFile.envFile.tag,
-      userEmail,
-      userSalt
+      projectId,
+      userEmail
     );
 
     // Create staging data
@@ -1092,9 +1443,22 @@ module.exports = {
   addEnvFiles,
   pushStagedFiles,
   syncPendingFiles,
+  isEnvFileName,
   scanEnvFiles,
   encryptContent,
   decryptContent,
+  encryptProjectContent,
+  decryptProjectContent,
+  reencryptLegacyContent,
   stageRevertedFile,
   saveStagedFiles,
+  syncCommits,
+  syncBranches,
+  syncTags,
+  writeExampleFiles,
+  getCommittedContent,
+  getConflicts,
+  saveConflicts,
+  createAuthenticatedAxios,
+  decryptWithProjectKey,
 };
@@ -0,0 +1,294 @@
+// Dotenv parsing that keeps comments, blank lines and key order, so files can be
+// compared key by key and rebuilt (e.g. for .env.example) without losing layout.
+
+const LINE_PATTERN =
+  /^\s*(?:export\s+)?([\w.-]+)\s*(?:=|:)\s*(.*)$/;
+
+function unescapeDoubleQuoted(value) {
+  return value
+    .replace(/\\n/g, "\n")
+    .replace(/\\r/g, "\r")
+    .replace(/\\t/g, "\t")
+    .replace(/\\"/g, '"')
+    .replace(/\\\\/g, "\\");
+}
+
+// Returns { entries, values }. entries holds every line in order as
+// { type: "pair", key, value, quote, comment, raw } or
+// { type: "comment" | "blank", raw }; values maps key -> value (last one wins).
+function parseEnv(content = "") {
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const entries = [];
+  const values = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed === "") {
+      entries.push({ type: "blank", raw: line });
+      continue;
+    }
+    if (trimmed.startsWith("#")) {
+      entries.push({ type: "comment", raw: line });
+      continue;
+    }
+
+    const match = line.match(LINE_PATTERN);
+    if (!match) {
+      // Not a KEY=VALUE line; keep it so the layout survives a rebuild
+      entries.push({ type: "comment", raw: line });
+      continue;
+    }
+
+    const key = match[1];
+    let rest = match[2];
+    let raw = line;
+    let value;
+    let quote = "";
+    let comment = "";
+
+    const opening = rest[0];
+    if (opening === '"' || opening === "'" || opening === "`") {
+      quote = opening;
+      let body = rest.slice(1);
+      let closing = body.indexOf(quote);
+
+      // Quoted values may span several lines
+      while (closing === -1 && i + 1 < lines.length) {
+        i++;
+        raw += "\n" + lines[i];
+        body += "\n" + lines[i];
+        closing = body.indexOf(quote);
+      }
+
+      if (closing === -1) {
+        value = body;
+      } else {
+        value = body.slice(0, closing);
+        const after = body.slice(closing + 1).trim();
+        if (after.startsWith("#")) comment = after;
+      }
+
+      if (quote === '"') value = unescapeDoubleQuoted(value);
+    } else {
+      const hashIndex = rest.search(/\s#/);
+      if (hashIndex !== -1) {
+        comment = rest.slice(hashIndex).trim();
+        rest = rest.slice(0, hashIndex);
+      }
+      value = rest.trim();
+    }
+
+    entries.push({ type: "pair", key, value, quote, comment, raw });
+    values[key] = value;
+  }
+
+  // A trailing newline produces one empty line that is not really a blank entry
+  if (entries.length > 0 && entries[entries.length - 1].raw === "") {
+    entries.pop();
+  }
+
+  return { entries, values };
+}
+
+// Key-level comparison of two parsed files (or plain key -> value objects).
+// Keys are reported in the order they appear, "before" keys first.
+function diffEnv(before, after) {
+  const beforeValues = before.values || before;
+  const afterValues = after.values || after;
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const unchanged = [];
+
+  for (const key of Object.keys(beforeValues)) {
+    if (!(key in afterValues)) {
+      removed.push({ key, value: beforeValues[key] });
+    } else if (beforeValues[key] !== afterValues[key]) {
+      changed.push({ key, from: beforeValues[key], to: afterValues[key] });
+    } else {
+      unchanged.push(key);
+    }
+  }
+
+  for (const key of Object.keys(afterValues)) {
+    if (!(key in beforeValues)) {
+      added.push({ key, value: afterValues[key] });
+    }
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    hasChanges: added.length + removed.length + changed.length > 0,
+  };
+}
+
+const CONFLICT_MARKER_PATTERN = /^(<{7}|={7}|>{7})( |$)/m;
+
+function hasConflictMarkers(content = "") {
+  return CONFLICT_MARKER_PATTERN.test(content);
+}
+
+// Last raw line for every key, used to copy a side's line verbatim
+function rawLinesByKey(parsed) {
+  const lines = {};
+  parsed.entries.forEach((entry) => {
+    if (entry.type === "pair") lines[entry.key] = entry.raw;
+  });
+  return lines;
+}
+
+// Three-way merge at the key level. ours keeps its layout; keys changed only
+// in theirs are taken from theirs, keys changed on both sides conflict.
+// resolutions maps a conflicting key to "ours" or "theirs" to settle it;
+// unresolved conflicts are written with git-style markers.
+function mergeEnv(baseContent, oursContent, theirsContent, options = {}) {
+  const { resolutions = {}, theirsLabel = "cloud" } = options;
+  const base = parseEnv(baseContent).values;
+  const ours = parseEnv(oursContent);
+  const theirs = parseEnv(theirsContent);
+  const theirsLines = rawLinesByKey(theirs);
+  const oursLines = rawLinesByKey(ours);
+
+  const output = [];
+  const conflicts = [];
+  const takenFromTheirs = [];
+
+  const resolve = (key) => {
+    const o = ours.values[key];
+    const t = theirs.values[key];
+    const b = base[key];
+
+    if (o === t || t === b) return "ours";
+    if (o === b) return "theirs";
+    return resolutions[key] || "conflict";
+  };
+
+  const emit = (key, side) => {
+    if (side === "ours") {
+      if (oursLines[key] !== undefined) output.push(oursLines[key]);
+      return;
+    }
+    if (side === "theirs") {
+      takenFromTheirs.push(key);
+      if (theirsLines[key] !== undefined) output.push(theirsLines[key]);
+      return;
+    }
+
+    conflicts.push({
+      key,
+      base: base[key],
+      ours: ours.values[key],
+      theirs: theirs.values[key],
+    });
+    output.push("<<<<<<< local");
+    if (oursLines[key] !== undefined) output.push(oursLines[key]);
+    output.push("=======");
+    if (theirsLines[key] !== undefined) output.push(theirsLines[key]);
+    output.push(`>>>>>>> ${theirsLabel}`);
+  };
+
+  const seen = new Set();
+  for (const entry of ours.entries) {
+    if (entry.type !== "pair") {
+      output.push(entry.raw);
+      continue;
+    }
+    // Duplicate keys collapse into the first occurrence
+    if (seen.has(entry.key)) continue;
+    seen.add(entry.key);
+    emit(entry.key, resolve(entry.key));
+  }
+
+  // Keys the local side doesn't have: added in theirs, or deleted locally
+  for (const key of Object.keys(theirs.values)) {
+    if (seen.has(key)) continue;
+    emit(key, resolve(key));
+  }
+
+  const content = output.join("\n");
+  return {
+    content: content && !content.endsWith("\n") ? content + "\n" : content,
+    conflicts,
+    takenFromTheirs,
+  };
+}
+
+// Example files (.env.example, .env.production.example) are templates for
+// other tools and are never tracked themselves
+const EXAMPLE_SUFFIX = ".example";
+
+function isExampleFile(fileName) {
+  return fileName.endsWith(EXAMPLE_SUFFIX);
+}
+
+function exampleFileName(fileName) {
+  return `${fileName}${EXAMPLE_SUFFIX}`;
+}
+
+// A commented-out assignment such as "# API_KEY=sk-live-..."
+const COMMENTED_PAIR_PATTERN = /^(\s*#\s*(?:export\s+)?[\w.-]+\s*=)/;
+
+function formatExampleValue(value) {
+  if (!/[\s#"'\\]/.test(value)) return value;
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+  return `"${escaped}"`;
+}
+
+// Rebuilds a file as a template: comments, blank lines and key order stay,
+// values are blanked or replaced by defaults[key]. Values in commented-out
+// assignments are blanked too, and lines that aren't comments are dropped.
+function buildExample(content, defaults = {}) {
+  const { entries } = parseEnv(content);
+  const lines = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (entry.type === "blank") {
+      lines.push("");
+      continue;
+    }
+    if (entry.type === "comment") {
+      const commented = entry.raw.match(COMMENTED_PAIR_PATTERN);
+      if (commented) {
+        lines.push(commented[1]);
+      } else if (entry.raw.trim().startsWith("#")) {
+        lines.push(entry.raw);
+      }
+      continue;
+    }
+
+    // Duplicate keys collapse into the first occurrence
+    if (seen.has(entry.key)) continue;
+    seen.add(entry.key);
+
+    const prefix = /^\s*export\s/.test(entry.raw) ? "export " : "";
+    const value =
+      defaults[entry.key] !== undefined
+        ? formatExampleValue(String(defaults[entry.key]))
+        : "";
+    const comment = entry.comment ? ` ${entry.comment}` : "";
+    lines.push(`${prefix}${entry.key}=${value}${comment}`);
+  }
+
+  const example = lines.join("\n");
+  return example ? example + "\n" : example;
+}
+
+module.exports = {
+  parseEnv,
+  diffEnv,
+  mergeEnv,
+  hasConflictMarkers,
+  buildExample,
+  isExampleFile,
+  exampleFileName,
+};
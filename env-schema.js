@@ -0,0 +1,157 @@
+// Validation of env files against the "variables" schema in .evm-config.json.
+// Each entry describes one key:
+//   { "name": "PORT", "type": "int", "required": true, "default": "3000",
+//     "description": "HTTP port", "files": [".env", ".env.production"] }
+// type is one of string (default), url, int, bool, enum (with "values") or
+// regex (with "pattern"). "files" limits the entry to some files only.
+// Messages never include the values themselves, since they may be secrets.
+
+const { configManager } = require("./config");
+const { parseEnv } = require("./env-parser");
+
+const TYPES = ["string", "url", "int", "bool", "enum", "regex"];
+const BOOL_VALUES = ["true", "false", "1", "0", "yes", "no", "on", "off"];
+
+// Returns an error message for a value that doesn't fit the variable's type
+function checkValue(variable, value) {
+  switch (variable.type || "string") {
+    case "url":
+      if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+        return "expected a URL (scheme://...)";
+      }
+      try {
+        new URL(value);
+      } catch (error) {
+        return "expected a URL (scheme://...)";
+      }
+      return null;
+    case "int":
+      return /^[-+]?\d+$/.test(value) ? null : "expected an integer";
+    case "bool":
+      return BOOL_VALUES.includes(value.toLowerCase())
+        ? null
+        : "expected a boolean (true/false, 1/0, yes/no, on/off)";
+    case "enum":
+      return variable.values.includes(value)
+        ? null
+        : `must be one of ${variable.values.join(", ")}`;
+    case "regex":
+      return variable.regex.test(value)
+        ? null
+        : `does not match /${variable.pattern}/`;
+    default:
+      return null;
+  }
+}
+
+// Schema entries with problems are reported in errors and left out
+function loadSchema(projectDir = process.cwd()) {
+  const config = configManager.getProjectConfig(projectDir);
+  const entries = Array.isArray(config?.variables) ? config.variables : [];
+  const variables = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const label = entry?.name || `variables[${index}]`;
+    const fail = (message) => errors.push({ key: label, message });
+
+    if (!entry || typeof entry.name !== "string" || !entry.name) {
+      return fail("schema entry needs a name");
+    }
+    const type = entry.type || "string";
+    if (!TYPES.includes(type)) {
+      return fail(
+        `schema has unknown type "${type}" (use ${TYPES.join(", ")})`
+      );
+    }
+    if (type === "enum" && !Array.isArray(entry.values)) {
+      return fail('enum schema entries need a "values" list');
+    }
+
+    const variable = { ...entry, type };
+    if (type === "enum") {
+      variable.values = entry.values.map(String);
+    }
+    if (type === "regex") {
+      try {
+        if (typeof entry.pattern !== "string") throw new Error();
+        variable.regex = new RegExp(entry.pattern);
+      } catch (error) {
+        return fail('regex schema entries need a valid "pattern"');
+      }
+    }
+    if (entry.default !== undefined) {
+      variable.default = String(entry.default);
+      const problem = checkValue(variable, variable.default);
+      if (problem) {
+        return fail(`default value: ${problem}`);
+      }
+    }
+
+    variables.push(variable);
+  });
+
+  return { variables, errors };
+}
+
+function appliesTo(variable, fileName) {
+  return !Array.isArray(variable.files) || variable.files.includes(fileName);
+}
+
+// key -> default for the entries that apply to fileName
+function schemaDefaults(variables, fileName) {
+  const defaults = {};
+  variables
+    .filter((variable) => variable.default !== undefined)
+    .filter((variable) => appliesTo(variable, fileName))
+    .forEach((variable) => {
+      defaults[variable.name] = variable.default;
+    });
+  return defaults;
+}
+
+// Returns { errors, warnings }, each a list of { key, message }
+function validateEnv(content, variables, fileName) {
+  const { values } = parseEnv(content);
+  const errors = [];
+  const warnings = [];
+  const declared = new Set();
+
+  for (const variable of variables) {
+    if (!appliesTo(variable, fileName)) continue;
+    declared.add(variable.name);
+
+    const value = values[variable.name];
+    if (value === undefined || value === "") {
+      if (variable.required && variable.default === undefined) {
+        errors.push({
+          key: variable.name,
+          message: value === undefined ? "required but missing" : "is empty",
+        });
+      }
+      continue;
+    }
+
+    const problem = checkValue(variable, value);
+    if (problem) {
+      errors.push({ key: variable.name, message: problem });
+    }
+  }
+
+  if (variables.length > 0) {
+    Object.keys(values)
+      .filter((key) => !declared.has(key))
+      .forEach((key) =>
+        warnings.push({ key, message: "not declared in the schema" })
+      );
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  TYPES,
+  loadSchema,
+  validateEnv,
+  schemaDefaults,
+};
@@ -0,0 +1,101 @@
+// Throttling for the auth routes. State is kept in this process: a restart
+// clears it and each serverless instance has its own, which still bounds how
+// fast one client can guess passwords. Pass `now` to drive the clock in tests.
+
+const PRUNE_THRESHOLD = 10000;
+
+// Lockout after repeated failures: the first `freeFailures` failures of a key
+// cost nothing, after that the key is locked for baseLockMs, doubling with
+// every further failure up to maxLockMs. A success, or resetAfterMs without
+// failures, clears the key.
+class FailureLimiter {
+  constructor({
+    freeFailures,
+    baseLockMs,
+    maxLockMs,
+    resetAfterMs,
+    now = Date.now,
+  }) {
+    this.freeFailures = freeFailures;
+    this.baseLockMs = baseLockMs;
+    this.maxLockMs = maxLockMs;
+    this.resetAfterMs = resetAfterMs;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && this.now() - entry.lastFailure > this.resetAfterMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Milliseconds until the key may try again, 0 when it may now
+  retryAfter(key) {
+    const entry = this.entry(key);
+    return entry ? Math.max(0, entry.lockedUntil - this.now()) : 0;
+  }
+
+  fail(key) {
+    const now = this.now();
+    const entry = this.entry(key) || { failures: 0, lockedUntil: 0 };
+    entry.failures++;
+    entry.lastFailure = now;
+
+    const excess = entry.failures - this.freeFailures;
+    if (excess > 0) {
+      entry.lockedUntil =
+        now + Math.min(this.baseLockMs * 2 ** (excess - 1), this.maxLockMs);
+    }
+
+    this.entries.set(key, entry);
+    this.prune();
+  }
+
+  succeed(key) {
+    this.entries.delete(key);
+  }
+
+  prune() {
+    if (this.entries.size < PRUNE_THRESHOLD) return;
+    for (const key of [...this.entries.keys()]) {
+      this.entry(key);
+    }
+  }
+}
+
+// At most `limit` requests per key in each fixed window of windowMs
+class RateLimiter {
+  constructor({ limit, windowMs, now = Date.now }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.windows = new Map();
+  }
+
+  // Counts the request. Returns 0 when allowed, else milliseconds to wait.
+  hit(key) {
+    const now = this.now();
+    let window = this.windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    if (this.windows.size >= PRUNE_THRESHOLD) {
+      for (const [windowKey, { resetAt }] of this.windows) {
+        if (now >= resetAt) this.windows.delete(windowKey);
+      }
+    }
+    return window.count > this.limit ? window.resetAt - now : 0;
+  }
+}
+
+module.exports = {
+  FailureLimiter,
+  RateLimiter,
+};
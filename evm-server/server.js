@@ -2,9 +2,18 @@ require("dotenv").config();
 const express = require("express");
 const { neon } = require("@neondatabase/serverless");
 const chalk = require("chalk");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
+const { FailureLimiter, RateLimiter } = require("./rate-limit");
+const {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("./totp");
 
 const sql = neon(process.env.DATABASE_URL);
 const app = express();
@@ -15,22 +24,31 @@ const JWT_SECRET =
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1h";
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || "7d";
 
+// Client IPs come from X-Forwarded-For, set by the hosting proxy. Set
+// TRUST_PROXY=0 when clients reach the server directly, or the header could
+// be forged to dodge the per-IP limits.
+app.set("trust proxy", Number(process.env.TRUST_PROXY ?? 1));
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // JWT Utilities
-const generateTokens = (userId, email) => {
-  const payload = { userId, email };
+// sessionId ("sid") names the login the tokens belong to: every refresh token
+// of one login shares it, and revoking it signs that device out
+const generateTokens = (userId, email, sessionId) => {
+  const payload = { userId, email, sid: sessionId };
 
   const token = jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN,
     issuer: "evm-cli",
   });
 
+  // jwtid keeps two refresh tokens issued in the same second distinct
   const refreshToken = jwt.sign(payload, JWT_SECRET, {
     expiresIn: REFRESH_TOKEN_EXPIRES_IN,
     issuer: "evm-cli",
+    jwtid: crypto.randomUUID(),
   });
 
   return { token, refreshToken };
@@ -44,8 +62,43 @@ const verifyToken = (token) => {
   }
 };
 
+// Service tokens ("evmst_..." bearers) act for one project, as a viewer
+// (scope read) or an editor (scope write), and only on these routes.
+// Everything else needs a user's JWT.
+const SERVICE_TOKEN_PREFIX = "evmst_";
+const SERVICE_TOKEN_ROUTES = new Set([
+  "GET /service-token",
+  "GET /projects/:projectName/files",
+  "POST /env-files",
+  "POST /env-versions",
+  "PUT /projects/:projectName/branches/:branchName",
+  "PUT /projects/:projectName/tags/:tagName",
+]);
+
+// Refresh and service tokens are stored as SHA-256 hashes only
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const findServiceToken = async (token) => {
+  const result = await sql`
+    SELECT id, project_id, name, scope, wrapped_key, expires_at
+    FROM service_tokens
+    WHERE token_hash = ${hashToken(token)}
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+  `;
+  if (result.length === 0) {
+    return null;
+  }
+
+  await sql`
+    UPDATE service_tokens SET last_used_at = NOW() WHERE id = ${result[0].id}
+  `;
+  return result[0];
+};
+
 // Auth Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
@@ -53,68 +106,381 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Access token required" });
   }
 
+  if (token.startsWith(SERVICE_TOKEN_PREFIX)) {
+    try {
+      const serviceToken = await findServiceToken(token);
+      if (!serviceToken) {
+        return res
+          .status(401)
+          .json({ error: "Service token is invalid, expired or revoked" });
+      }
+      if (!SERVICE_TOKEN_ROUTES.has(`${req.method} ${req.route.path}`)) {
+        return res
+          .status(403)
+          .json({ error: "Service tokens can't be used for this request" });
+      }
+
+      req.user = { userId: null, email: null, service: serviceToken };
+      return next();
+    } catch (error) {
+      console.error(chalk.red("[ERROR] Service token lookup failed:"), error);
+      return res.status(500).json({ error: "Authentication failed" });
+    }
+  }
+
   const decoded = verifyToken(token);
   if (!decoded) {
     return res.status(401).json({ error: "Token expired" });
   }
 
+  // Tokens issued before sessions existed have no sid and run until they expire
+  if (decoded.sid) {
+    try {
+      if (!(await isSessionActive(decoded.userId, decoded.sid))) {
+        return res.status(401).json({ error: "Session revoked" });
+      }
+    } catch (error) {
+      console.error(chalk.red("[ERROR] Session lookup failed:"), error);
+      return res.status(500).json({ error: "Authentication failed" });
+    }
+  }
+
   req.user = decoded;
   next();
 };
 
-// Store for refresh tokens (in production, use Redis or database)
-const refreshTokens = new Set();
+// Sessions
+// Each login starts a session: a family of refresh tokens sharing a
+// session_id. /auth/refresh swaps the presented token for a new one and marks
+// it rotated; presenting a rotated token again means it was copied, so the
+// whole session is revoked.
+const startSession = async (user, deviceName) => {
+  const sessionId = crypto.randomBytes(8).toString("hex");
+  const tokens = generateTokens(user.id, user.email, sessionId);
+  await storeRefreshToken(user.id, sessionId, tokens.refreshToken, deviceName);
+  return tokens;
+};
+
+const storeRefreshToken = async (userId, sessionId, refreshToken, deviceName) => {
+  const { exp } = jwt.decode(refreshToken);
+  await sql`
+    INSERT INTO refresh_tokens (user_id, session_id, token_hash, device_name, expires_at, created_at)
+    VALUES (${userId}, ${sessionId}, ${hashToken(refreshToken)}, ${deviceName || null}, to_timestamp(${exp}), NOW())
+  `;
+};
+
+const revokeSession = async (userId, sessionId) => {
+  return sql`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE user_id = ${userId} AND session_id = ${sessionId} AND revoked_at IS NULL
+    RETURNING id
+  `;
+};
+
+const isSessionActive = async (userId, sessionId) => {
+  const result = await sql`
+    SELECT 1 FROM refresh_tokens
+    WHERE user_id = ${userId} AND session_id = ${sessionId} AND revoked_at IS NULL
+    LIMIT 1
+  `;
+  return result.length > 0;
+};
+
+// Project membership
+const PROJECT_ROLES = ["viewer", "editor", "owner"];
+
+const hasRole = (role, minRole) =>
+  PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+
+// Find a project the user owns or is a member of. Owned projects win when a
+// shared project has the same name.
+const findProjectForUser = async (userId, projectName) => {
+  const result = await sql`
+    SELECT p.id, p.name, p.user_id,
+      CASE WHEN p.user_id = ${userId} THEN 'owner' ELSE m.role END AS role
+    FROM projects p
+    LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = ${userId}
+    WHERE p.name = ${projectName}
+      AND (p.user_id = ${userId} OR m.user_id IS NOT NULL)
+    ORDER BY (p.user_id = ${userId}) DESC
+    LIMIT 1
+  `;
+  return result[0] || null;
+};
+
+// A service token's own project, with the role its scope grants
+const findProjectForServiceToken = async (serviceToken, projectName) => {
+  const result = await sql`
+    SELECT id, name, user_id FROM projects
+    WHERE id = ${serviceToken.project_id} AND name = ${projectName}
+  `;
+  if (result.length === 0) {
+    return null;
+  }
+  return {
+    ...result[0],
+    role: serviceToken.scope === "write" ? "editor" : "viewer",
+  };
+};
+
+// Resolve a project and check the caller's role. Sends the error response and
+// returns null when the project is missing or the role is insufficient.
+const requireProjectRole = async (req, res, projectName, minRole) => {
+  const project = req.user.service
+    ? await findProjectForServiceToken(req.user.service, projectName)
+    : await findProjectForUser(req.user.userId, projectName);
+
+  if (!project) {
+    res.status(404).json({ error: "Project not found" });
+    return null;
+  }
+
+  if (!hasRole(project.role, minRole)) {
+    res.status(403).json({
+      error: `Insufficient permissions: ${minRole} role required`,
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// The queries that remove a project with all its files, versions, history,
+// memberships and keys, to run in one transaction. Its audit events stay in
+// the log.
+const deleteProjectQueries = (projectId) => [
+  sql`
+    DELETE FROM env_versions
+    WHERE env_file_id IN (SELECT id FROM env_files WHERE project_id = ${projectId})
+  `,
+  sql`
+    DELETE FROM rollback_history
+    WHERE env_file_id IN (SELECT id FROM env_files WHERE project_id = ${projectId})
+  `,
+  sql`DELETE FROM env_files WHERE project_id = ${projectId}`,
+  sql`DELETE FROM branches WHERE project_id = ${projectId}`,
+  sql`DELETE FROM tags WHERE project_id = ${projectId}`,
+  sql`DELETE FROM service_tokens WHERE project_id = ${projectId}`,
+  sql`DELETE FROM commits WHERE project_id = ${projectId}`,
+  // Memberships and wrapped keys, then finally the project
+  sql`DELETE FROM project_keys WHERE project_id = ${projectId}`,
+  sql`DELETE FROM project_members WHERE project_id = ${projectId}`,
+  sql`DELETE FROM projects WHERE id = ${projectId}`,
+];
+
+// Audit log
+// Reads and changes of a project's secrets are appended to audit_events. Each
+// event stores the hash of the project's previous event, so editing or
+// removing a row breaks the chain, which 'evm audit' checks.
+const AUDIT_GENESIS_HASH = "0".repeat(64);
+
+// Must match auditEventHash in commands/audit.js
+const auditEventHash = (event) =>
+  hashToken(
+    JSON.stringify([
+      event.prev_hash,
+      event.project_id,
+      event.project_name,
+      event.actor,
+      event.action,
+      event.target,
+      event.details,
+      new Date(event.created_at).toISOString(),
+    ])
+  );
+
+// The insert for one audit event, chained to the project's current head
+// (or to heads[project.id], an event of the same batch). There is no ON
+// CONFLICT: if another writer appends first, the insert (and the transaction
+// it is part of) fails and runAudited tries again.
+const auditInsert = async (
+  req,
+  { project, action, target = null, details = null },
+  heads
+) => {
+  const event = {
+    project_id: project.id,
+    project_name: project.name,
+    actor: req.user.email || `token ${req.user.service.name}`,
+    action,
+    target,
+    details: details ? JSON.stringify(details) : null,
+  };
+
+  if (!heads.has(project.id)) {
+    const head = await sql`
+      SELECT hash FROM audit_events
+      WHERE project_id = ${project.id}
+      ORDER BY id DESC LIMIT 1
+    `;
+    heads.set(project.id, head.length > 0 ? head[0].hash : AUDIT_GENESIS_HASH);
+  }
+  event.prev_hash = heads.get(project.id);
+  event.created_at = new Date().toISOString();
+  event.hash = auditEventHash(event);
+  heads.set(project.id, event.hash);
+
+  return sql`
+    INSERT INTO audit_events (project_id, project_name, actor, action, target, details, prev_hash, hash, created_at)
+    VALUES (${event.project_id}, ${event.project_name}, ${event.actor}, ${event.action}, ${event.target}, ${event.details}, ${event.prev_hash}, ${event.hash}, ${event.created_at})
+  `;
+};
+
+// Another writer appended to the same chain first (UNIQUE (project_id, prev_hash))
+const isAuditConflict = (error) =>
+  error?.code === "23505" && String(error.constraint || "").startsWith("audit_events_");
+
+// Runs the queries from buildQueries and the audit events in one transaction,
+// so a change is never stored without its events or the other way round.
+// buildQueries is called again on every attempt (a query runs only once).
+// Resolves to the results of buildQueries' queries.
+const runAudited = async (req, events, buildQueries = () => []) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const queries = buildQueries();
+    const heads = new Map();
+    const inserts = [];
+    for (const event of events) {
+      inserts.push(await auditInsert(req, event, heads));
+    }
+    try {
+      const results = await sql.transaction([...queries, ...inserts]);
+      return results.slice(0, queries.length);
+    } catch (error) {
+      if (!isAuditConflict(error)) throw error;
+    }
+  }
+  throw new Error("Could not append to the audit log");
+};
+
+// Records a read, before anything is sent. Throws when the event can't be
+// written, so a route fails rather than letting a read go unrecorded.
+const recordAudit = (req, project, action, target = null, details = null) =>
+  runAudited(req, [{ project, action, target, details }]);
+
+// Auth throttling (see rate-limit.js). Failed logins lock both the account
+// and the client IP with exponential backoff; registration and token refresh
+// are rate limited per IP.
+const MINUTE = 60 * 1000;
+const loginFailuresByAccount = new FailureLimiter({
+  freeFailures: 5,
+  baseLockMs: 30 * 1000,
+  maxLockMs: 60 * MINUTE,
+  resetAfterMs: 60 * MINUTE,
+});
+const loginFailuresByIp = new FailureLimiter({
+  freeFailures: 20,
+  baseLockMs: MINUTE,
+  maxLockMs: 60 * MINUTE,
+  resetAfterMs: 60 * MINUTE,
+});
+const registrationsByIp = new RateLimiter({ limit: 10, windowMs: 60 * MINUTE });
+const refreshesByIp = new RateLimiter({ limit: 60, windowMs: 15 * MINUTE });
+// Looking up other people's accounts (public keys, sharing) per caller
+const accountLookupsByUser = new RateLimiter({ limit: 30, windowMs: 15 * MINUTE });
+
+const tooManyAttempts = (res, retryMs) => {
+  const retryAfter = Math.ceil(retryMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res
+    .status(429)
+    .json({ error: "Too many attempts, try again later", retryAfter });
+};
+
+// Failures are counted per submitted email, whether or not it has an account
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// Compared against when the account doesn't exist, so a failed login takes
+// as long either way
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("evm-no-such-account", 12);
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Two-factor authentication (TOTP, see totp.js)
+// The second factor is a TOTP code, each accepted once, or an unused
+// recovery code, which is then used up
+const verifySecondFactor = async (user, code) => {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step !== null) {
+    const claimed = await sql`
+      UPDATE users SET totp_last_step = ${step}
+      WHERE id = ${user.id}
+        AND (totp_last_step IS NULL OR totp_last_step < ${step})
+      RETURNING id
+    `;
+    return claimed.length > 0;
+  }
+
+  const used = await sql`
+    UPDATE mfa_recovery_codes SET used_at = NOW()
+    WHERE user_id = ${user.id}
+      AND code_hash = ${hashToken(normalizeRecoveryCode(code))}
+      AND used_at IS NULL
+    RETURNING id
+  `;
+  if (used.length > 0) {
+    console.log(chalk.yellow(`[MFA] ${user.email} used a recovery code`));
+    return true;
+  }
+  return false;
+};
+
+// Replaces the user's recovery codes; returns the new ones in clear text
+const issueRecoveryCodes = async (userId, queries = []) => {
+  const codes = generateRecoveryCodes();
+  await sql.transaction([
+    ...queries,
+    sql`DELETE FROM mfa_recovery_codes WHERE user_id = ${userId}`,
+    ...codes.map(
+      (code) => sql`
+        INSERT INTO mfa_recovery_codes (user_id, code_hash, created_at)
+        VALUES (${userId}, ${hashToken(normalizeRecoveryCode(code))}, NOW())
+      `
+    ),
+  ]);
+  return codes;
+};
 
 // Auth Routes
 
 // Register
+// The answer is the same whether or not the email already has an account,
+// so registration can't be used to find accounts: no session is started
+// here, the client logs in next. A taken email is left untouched.
 app.post("/auth/register", async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const retryMs = registrationsByIp.hit(req.ip);
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
+
     if (!email || !password) {
       return res.status(400).json({ error: "Email and password are required" });
     }
-
-    // Check if user already exists
-    const existingUser = await sql`
-      SELECT id FROM users WHERE email = ${email}
-    `;
-
-    if (existingUser.length > 0) {
-      return res.status(409).json({ error: "User already exists" });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
     }
 
+    // Hashed either way, so both cases take as long
     const hashedPassword = await bcrypt.hash(password, 12);
-
-    // Generate a unique salt for encryption
-    const crypto = require("crypto");
     const encryptionSalt = crypto.randomBytes(32).toString("hex");
 
     const result = await sql`
       INSERT INTO users (email, password, encryption_salt, created_at)
       VALUES (${email}, ${hashedPassword}, ${encryptionSalt}, NOW())
-      RETURNING id, email, created_at
+      ON CONFLICT (email) DO NOTHING
+      RETURNING id
     `;
-
-    const user = result[0];
-    const { token, refreshToken } = generateTokens(user.id, user.email);
-
-    // Store refresh token
-    refreshTokens.add(refreshToken);
-
-    console.log(chalk.green(`[SUCCESS] User registered: ${email}`));
+    if (result.length > 0) {
+      console.log(chalk.green(`[SUCCESS] User registered: ${email}`));
+    }
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
-      user: {
-        id: user.id,
-        email: user.email,
-        createdAt: user.created_at,
-      },
-      token,
-      refreshToken,
+      message: "If this email was free, the account was created; log in to continue",
     });
   } catch (err) {
     console.error(chalk.red("[ERROR] Registration failed:"), err);
@@ -125,27 +491,61 @@ app.post("/auth/register", async (req, res) => {
 // Login
 app.post("/auth/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, device_name } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: "Email and password are required" });
     }
 
+    const account = accountKey(email);
+    const retryMs = Math.max(
+      loginFailuresByIp.retryAfter(req.ip),
+      loginFailuresByAccount.retryAfter(account)
+    );
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
+
     const result = await sql`
-      SELECT id, email, password, created_at FROM users WHERE email = ${email}
+      SELECT id, email, password, public_key, encrypted_private_key,
+        totp_secret, totp_last_step, created_at
+      FROM users WHERE email = ${email}
     `;
 
-    if (result.length === 0) {
-      return res.status(401).json({ error: "Invalid credentials" });
-    }
-
     const user = result[0];
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await bcrypt.compare(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH
+    );
 
-    if (!isPasswordValid) {
+    // Same answer for an unknown account and a wrong password
+    if (!user || !isPasswordValid) {
+      loginFailuresByIp.fail(req.ip);
+      loginFailuresByAccount.fail(account);
+      console.log(chalk.yellow(`[AUTH] Failed login for ${email} from ${req.ip}`));
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    // With MFA on, the password alone only earns a request for the code
+    if (user.totp_secret) {
+      const { mfa_code } = req.body;
+      if (!mfa_code) {
+        return res
+          .status(401)
+          .json({ error: "MFA code required", mfa_required: true });
+      }
+      if (!(await verifySecondFactor(user, mfa_code))) {
+        loginFailuresByIp.fail(req.ip);
+        loginFailuresByAccount.fail(account);
+        return res
+          .status(401)
+          .json({ error: "Invalid MFA code", mfa_required: true });
+      }
+    }
+
+    // The IP keeps its count: one valid account mustn't reset guessing at others
+    loginFailuresByAccount.succeed(account);
+
     // Update last login (only if column exists)
     try {
       await sql`
@@ -160,10 +560,7 @@ app.post("/auth/login", async (req, res) => {
       );
     }
 
-    const { token, refreshToken } = generateTokens(user.id, user.email);
-
-    // Store refresh token
-    refreshTokens.add(refreshToken);
+    const { token, refreshToken } = await startSession(user, device_name);
 
     console.log(chalk.green(`[SUCCESS] User logged in: ${email}`));
 
@@ -175,6 +572,11 @@ app.post("/auth/login", async (req, res) => {
         email: user.email,
         createdAt: user.created_at,
       },
+      // Sealed with the user's password-derived key; lets new devices share it
+      keys: {
+        public_key: user.public_key,
+        encrypted_private_key: user.encrypted_private_key,
+      },
       token,
       refreshToken,
     });
@@ -185,57 +587,140 @@ app.post("/auth/login", async (req, res) => {
 });
 
 // Refresh Token
-app.post("/auth/refresh", (req, res) => {
-  const { refreshToken } = req.body;
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
 
-  if (!refreshToken) {
-    return res.status(401).json({ error: "Refresh token required" });
-  }
+    const retryMs = refreshesByIp.hit(req.ip);
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
 
-  if (!refreshTokens.has(refreshToken)) {
-    return res.status(403).json({ error: "Invalid refresh token" });
-  }
+    if (!refreshToken) {
+      return res.status(401).json({ error: "Refresh token required" });
+    }
 
-  const decoded = verifyToken(refreshToken);
-  if (!decoded) {
-    refreshTokens.delete(refreshToken);
-    return res.status(403).json({ error: "Invalid refresh token" });
-  }
+    const decoded = verifyToken(refreshToken);
+    const stored = await sql`
+      SELECT id, user_id, session_id, device_name, revoked_at
+      FROM refresh_tokens WHERE token_hash = ${hashToken(refreshToken)}
+    `;
 
-  // Generate new tokens
-  const { token, refreshToken: newRefreshToken } = generateTokens(
-    decoded.userId,
-    decoded.email
-  );
+    if (!decoded || stored.length === 0 || stored[0].revoked_at) {
+      return res.status(403).json({ error: "Invalid refresh token" });
+    }
+    const current = stored[0];
 
-  // Remove old refresh token and add new one
-  refreshTokens.delete(refreshToken);
-  refreshTokens.add(newRefreshToken);
+    // Claim the token; if it was already rotated someone is replaying it
+    const claimed = await sql`
+      UPDATE refresh_tokens SET rotated_at = NOW()
+      WHERE id = ${current.id} AND rotated_at IS NULL
+      RETURNING id
+    `;
+    if (claimed.length === 0) {
+      await revokeSession(current.user_id, current.session_id);
+      console.log(
+        chalk.red(
+          `[SECURITY] Refresh token reused for ${decoded.email}, session ${current.session_id} revoked`
+        )
+      );
+      return res
+        .status(403)
+        .json({ error: "Refresh token reuse detected, session revoked" });
+    }
 
-  res.json({
-    success: true,
-    token,
-    refreshToken: newRefreshToken,
-  });
+    const { token, refreshToken: newRefreshToken } = generateTokens(
+      decoded.userId,
+      decoded.email,
+      current.session_id
+    );
+    await storeRefreshToken(
+      current.user_id,
+      current.session_id,
+      newRefreshToken,
+      current.device_name
+    );
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: newRefreshToken,
+    });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Token refresh failed:"), err);
+    res.status(500).json({ error: "Token refresh failed" });
+  }
 });
 
 // Logout
-app.post("/auth/logout", authenticateToken, (req, res) => {
-  // Remove refresh token if provided
-  const { refreshToken } = req.body;
-  if (refreshToken) {
-    refreshTokens.delete(refreshToken);
+app.post("/auth/logout", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.userId, req.user.sid);
+    }
+
+    console.log(chalk.blue(`[INFO] User logged out: ${req.user.email}`));
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Logout failed:"), err);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+// Sessions - list the user's signed-in devices
+app.get("/auth/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sql`
+      SELECT session_id, MAX(device_name) AS device_name,
+        MIN(created_at) AS created_at, MAX(created_at) AS last_used_at,
+        MAX(expires_at) AS expires_at
+      FROM refresh_tokens
+      WHERE user_id = ${req.user.userId} AND revoked_at IS NULL
+      GROUP BY session_id
+      HAVING MAX(expires_at) > NOW()
+      ORDER BY MAX(created_at) DESC
+    `;
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Failed to fetch sessions:"), err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
   }
+});
 
-  console.log(chalk.blue(`[INFO] User logged out: ${req.user.email}`));
-  res.json({ success: true, message: "Logged out successfully" });
+// Sessions - sign a device out; its access token stops working right away
+app.delete("/auth/sessions/:sessionId", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.userId, req.params.sessionId);
+
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    console.log(
+      chalk.yellow(
+        `[INFO] ${req.user.email} revoked session ${req.params.sessionId}`
+      )
+    );
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Failed to revoke session:"), err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
 });
 
 // Get current user
 app.get("/auth/me", authenticateToken, async (req, res) => {
   try {
     const result = await sql`
-      SELECT id, email, created_at FROM users WHERE id = ${req.user.userId}
+      SELECT id, email, created_at, totp_secret IS NOT NULL AS mfa_enabled
+      FROM users WHERE id = ${req.user.userId}
     `;
 
     if (result.length === 0) {
@@ -252,8 +737,384 @@ app.get("/auth/me", authenticateToken, async (req, res) => {
   }
 });
 
-// Backward compatibility endpoint for older clients
-app.get("/user", async (req, res) => {
+// MFA - start enrolling: a new secret, kept pending until a code from it is
+// confirmed with /auth/mfa/enable
+app.post("/auth/mfa/setup", authenticateToken, async (req, res) => {
+  try {
+    const result = await sql`
+      SELECT totp_secret FROM users WHERE id = ${req.user.userId}
+    `;
+    if (result.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (result[0].totp_secret) {
+      return res.status(409).json({ error: "MFA is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await sql`
+      UPDATE users SET totp_pending_secret = ${secret} WHERE id = ${req.user.userId}
+    `;
+
+    res.json({
+      success: true,
+      secret,
+      uri: provisioningUri(secret, req.user.email),
+    });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] MFA setup failed:"), err);
+    res.status(500).json({ error: "MFA setup failed" });
+  }
+});
+
+// MFA - confirm the pending secret with a code and turn MFA on
+app.post("/auth/mfa/enable", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = await sql`
+      SELECT totp_pending_secret FROM users WHERE id = ${req.user.userId}
+    `;
+    const pending = result[0]?.totp_pending_secret;
+    if (!pending) {
+      return res
+        .status(400)
+        .json({ error: "No MFA setup in progress, run 'evm mfa enable' again" });
+    }
+
+    const step = verifyTotp(pending, code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid MFA code" });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(req.user.userId, [
+      sql`
+        UPDATE users
+        SET totp_secret = ${pending}, totp_pending_secret = NULL, totp_last_step = ${step}
+        WHERE id = ${req.user.userId}
+      `,
+    ]);
+
+    console.log(chalk.green(`[MFA] Enabled for ${req.user.email}`));
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Enabling MFA failed:"), err);
+    res.status(500).json({ error: "Enabling MFA failed" });
+  }
+});
+
+// MFA - turn off. Needs the password and a code, so a stolen session alone
+// can't remove the second factor.
+app.post("/auth/mfa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const account = accountKey(req.user.email);
+
+    const retryMs = loginFailuresByAccount.retryAfter(account);
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
+
+    const result = await sql`
+      SELECT id, email, password, totp_secret, totp_last_step
+      FROM users WHERE id = ${req.user.userId}
+    `;
+    const user = result[0];
+    if (!user?.totp_secret) {
+      return res.status(400).json({ error: "MFA is not enabled" });
+    }
+
+    const verified =
+      password &&
+      (await bcrypt.compare(password, user.password)) &&
+      (await verifySecondFactor(user, code));
+    if (!verified) {
+      loginFailuresByAccount.fail(account);
+      return res.status(401).json({ error: "Invalid password or MFA code" });
+    }
+
+    await sql.transaction([
+      sql`
+        UPDATE users
+        SET totp_secret = NULL, totp_pending_secret = NULL, totp_last_step = NULL
+        WHERE id = ${user.id}
+      `,
+      sql`DELETE FROM mfa_recovery_codes WHERE user_id = ${user.id}`,
+    ]);
+
+    console.log(chalk.yellow(`[MFA] Disabled for ${user.email}`));
+    res.json({ success: true, message: "MFA disabled" });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Disabling MFA failed:"), err);
+    res.status(500).json({ error: "Disabling MFA failed" });
+  }
+});
+
+// MFA - replace the recovery codes (the old ones stop working)
+app.post("/auth/mfa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const account = accountKey(req.user.email);
+
+    const retryMs = loginFailuresByAccount.retryAfter(account);
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
+
+    const result = await sql`
+      SELECT id, email, totp_secret, totp_last_step
+      FROM users WHERE id = ${req.user.userId}
+    `;
+    const user = result[0];
+    if (!user?.totp_secret) {
+      return res.status(400).json({ error: "MFA is not enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      loginFailuresByAccount.fail(account);
+      return res.status(401).json({ error: "Invalid MFA code" });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Issuing recovery codes failed:"), err);
+    res.status(500).json({ error: "Issuing recovery codes failed" });
+  }
+});
+
+// Checks the password, and the second factor when MFA is on, before changing
+// or deleting the account. Sends the error response and returns null on
+// failure; mfa_required tells the client to ask for a code.
+const reauthenticate = async (req, res, password, mfaCode) => {
+  const account = accountKey(req.user.email);
+  const retryMs = loginFailuresByAccount.retryAfter(account);
+  if (retryMs > 0) {
+    tooManyAttempts(res, retryMs);
+    return null;
+  }
+
+  const result = await sql`
+    SELECT id, email, password, encrypted_private_key, totp_secret, totp_last_step
+    FROM users WHERE id = ${req.user.userId}
+  `;
+  const user = result[0];
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    loginFailuresByAccount.fail(account);
+    res.status(401).json({ error: "Invalid password" });
+    return null;
+  }
+
+  if (user.totp_secret) {
+    if (!mfaCode) {
+      res.status(401).json({ error: "MFA code required", mfa_required: true });
+      return null;
+    }
+    if (!(await verifySecondFactor(user, mfaCode))) {
+      loginFailuresByAccount.fail(account);
+      res.status(401).json({ error: "Invalid MFA code", mfa_required: true });
+      return null;
+    }
+  }
+
+  loginFailuresByAccount.succeed(account);
+  return user;
+};
+
+// Change password. The client reseals its private key under the new password
+// (the server never sees it unsealed) and sends it along. Every other session
+// is signed out.
+app.post("/auth/password", authenticateToken, async (req, res) => {
+  try {
+    const {
+      current_password,
+      new_password,
+      encrypted_private_key,
+      mfa_code,
+    } = req.body;
+
+    if (!new_password || new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await reauthenticate(req, res, current_password, mfa_code);
+    if (!user) return;
+
+    if (user.encrypted_private_key && !encrypted_private_key) {
+      return res.status(400).json({
+        error: "The private key resealed under the new password is required",
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 12);
+    await sql.transaction([
+      sql`
+        UPDATE users
+        SET password = ${hashedPassword},
+          encrypted_private_key = ${encrypted_private_key || user.encrypted_private_key}
+        WHERE id = ${user.id}
+      `,
+      sql`
+        UPDATE refresh_tokens SET revoked_at = NOW()
+        WHERE user_id = ${user.id}
+          AND session_id IS DISTINCT FROM ${req.user.sid || null}
+          AND revoked_at IS NULL
+      `,
+    ]);
+
+    console.log(chalk.yellow(`[AUTH] Password changed for ${user.email}`));
+    res.json({ success: true, message: "Password changed" });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Password change failed:"), err);
+    res.status(500).json({ error: "Password change failed" });
+  }
+});
+
+// Delete account. Projects the user owns go with it (their audit events
+// stay); other projects lose the user as a member.
+app.delete("/auth/account", authenticateToken, async (req, res) => {
+  try {
+    const { password, mfa_code } = req.body;
+
+    const user = await reauthenticate(req, res, password, mfa_code);
+    if (!user) return;
+
+    const owned = await sql`
+      SELECT id, name FROM projects WHERE user_id = ${user.id}
+    `;
+    const memberships = await sql`
+      SELECT p.id, p.name FROM projects p
+      JOIN project_members m ON m.project_id = p.id
+      WHERE m.user_id = ${user.id} AND p.user_id <> ${user.id}
+    `;
+
+    const reason = { reason: "account deleted" };
+    await runAudited(
+      req,
+      [
+        ...owned.map((project) => ({
+          project,
+          action: "project.delete",
+          target: project.name,
+          details: reason,
+        })),
+        ...memberships.map((project) => ({
+          project,
+          action: "member.remove",
+          target: user.email,
+          details: reason,
+        })),
+      ],
+      () => [
+        ...owned.flatMap((project) => deleteProjectQueries(project.id)),
+        sql`DELETE FROM project_keys WHERE user_id = ${user.id}`,
+        sql`DELETE FROM project_members WHERE user_id = ${user.id}`,
+        sql`DELETE FROM refresh_tokens WHERE user_id = ${user.id}`,
+        sql`DELETE FROM mfa_recovery_codes WHERE user_id = ${user.id}`,
+        sql`DELETE FROM users WHERE id = ${user.id}`,
+      ]
+    );
+
+    console.log(
+      chalk.yellow(
+        `[AUTH] Account deleted: ${user.email} (${owned.length} project(s))`
+      )
+    );
+    res.json({
+      success: true,
+      message: "Account deleted",
+      deleted_projects: owned.map((project) => project.name),
+    });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Account deletion failed:"), err);
+    res.status(500).json({ error: "Account deletion failed" });
+  }
+});
+
+// Publish the caller's X25519 public key used to wrap project keys, and
+// optionally the password-sealed private key for the user's other devices
+app.put("/auth/public-key", authenticateToken, async (req, res) => {
+  try {
+    const { public_key, encrypted_private_key } = req.body;
+
+    if (!public_key) {
+      return res.status(400).json({ error: "Public key is required" });
+    }
+
+    await sql`
+      UPDATE users
+      SET public_key = ${public_key},
+          encrypted_private_key = COALESCE(${encrypted_private_key || null}, encrypted_private_key)
+      WHERE id = ${req.user.userId}
+    `;
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Failed to store public key:"), err);
+    res.status(500).json({ error: "Failed to store public key" });
+  }
+});
+
+// An address without a usable key gets a decoy: an X25519 public key derived
+// from the server secret and the address, so it is stable across requests and
+// looks like any other. Whatever is wrapped for it can't be unwrapped.
+const X25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b656e04220420", "hex");
+const decoyPublicKey = (email) => {
+  const seed = crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(`decoy-public-key:${accountKey(email)}`)
+    .digest();
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, seed]),
+    format: "der",
+    type: "pkcs8",
+  });
+  return crypto
+    .createPublicKey(privateKey)
+    .export({ type: "spki", format: "der" })
+    .toString("base64");
+};
+
+// Look up another user's public key so a project key can be wrapped for them.
+// Answers the same way whether or not the address has an account, so it
+// can't be used to find out who does.
+app.get("/users/public-key", authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.query;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const retryMs = accountLookupsByUser.hit(req.user.userId);
+    if (retryMs > 0) {
+      return tooManyAttempts(res, retryMs);
+    }
+
+    const result = await sql`
+      SELECT public_key FROM users WHERE email = ${email}
+    `;
+
+    res.json({
+      success: true,
+      email,
+      public_key: result[0]?.public_key || decoyPublicKey(email),
+    });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Failed to fetch public key:"), err);
+    res.status(500).json({ error: "Failed to fetch public key" });
+  }
+});
+
+// Backward compatibility endpoint for older clients. Only answers for the
+// caller's own account, so it can't be used to find out who has one.
+app.get("/user", authenticateToken, async (req, res) => {
   try {
     const { email } = req.query;
 
@@ -261,6 +1122,10 @@ app.get("/user", async (req, res) => {
       return res.status(400).json({ error: "Email is required" });
     }
 
+    if (email !== req.user.email) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
     const result = await sql`
       SELECT id, email, created_at FROM users WHERE email = ${email}
     `;
@@ -297,7 +1162,14 @@ app.get("/projects", authenticateToken, async (req, res) => {
     }
 
     const projects = await sql`
-      SELECT id, name, cloud_project_id, created_at, updated_at FROM projects WHERE user_id = ${userId}
+      SELECT p.id, p.name, p.cloud_project_id, p.created_at, p.updated_at,
+        CASE WHEN p.user_id = ${userId} THEN 'owner' ELSE m.role END AS role,
+        u.email AS owner_email
+      FROM projects p
+      JOIN users u ON u.id = p.user_id
+      LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = ${userId}
+      WHERE p.user_id = ${userId} OR m.user_id IS NOT NULL
+      ORDER BY p.name
     `;
 
     console.log(
@@ -320,25 +1192,22 @@ app.get("/projects/:projectName/files", authenticateToken, async (req, res) => {
     const { user_email } = req.query;
     const userId = req.user.userId;
 
-    if (!user_email) {
-      return res.status(400).json({ error: "User email is required" });
-    }
+    if (!req.user.service) {
+      if (!user_email) {
+        return res.status(400).json({ error: "User email is required" });
+      }
 
-    // Verify the user_email matches the authenticated user
-    if (user_email !== req.user.email) {
-      return res.status(403).json({ error: "Access denied" });
-    }
-
-    // Find project by name and user
-    const projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${projectName}
-    `;
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
+      // Verify the user_email matches the authenticated user
+      if (user_email !== req.user.email) {
+        return res.status(403).json({ error: "Access denied" });
+      }
     }
 
-    const projectId = projectResult[0].id;
+    // Any member (or service token of the project) can read its files
+    const project = await requireProjectRole(req, res, projectName, "viewer");
+    if (!project) return;
+
+    const projectId = project.id;
 
     // Get all files for this project
     const files = await sql`
@@ -364,6 +1233,41 @@ app.get("/projects/:projectName/files", authenticateToken, async (req, res) => {
       });
     }
 
+    // Commit graph, branch heads and tags, so clients can rebuild branch history
+    const commits = await sql`
+      SELECT c.commit_hash, p.commit_hash AS parent_hash, c.message, c.author_email, c.created_at
+      FROM commits c
+      LEFT JOIN commits p ON p.id = c.parent_commit_id
+      WHERE c.project_id = ${projectId}
+      ORDER BY c.created_at
+    `;
+    const branches = await sql`
+      SELECT b.name, c.commit_hash AS head_hash
+      FROM branches b
+      JOIN commits c ON c.id = b.head_commit_id
+      WHERE b.project_id = ${projectId}
+      ORDER BY b.name
+    `;
+    const tags = await sql`
+      SELECT t.name, c.commit_hash
+      FROM tags t
+      JOIN commits c ON c.id = t.commit_id
+      WHERE t.project_id = ${projectId}
+      ORDER BY t.name
+    `;
+
+    // The project data key, wrapped for the caller only
+    const keyResult = req.user.service
+      ? [{ wrapped_key: req.user.service.wrapped_key }]
+      : await sql`
+          SELECT wrapped_key FROM project_keys
+          WHERE project_id = ${projectId} AND user_id = ${userId}
+        `;
+
+    await recordAudit(req, project, "files.read", null, {
+      files: files.map((file) => file.name),
+    });
+
     console.log(
       chalk.blue(
         `[INFO] Found ${files.length} files with version history for project ${projectName}`
@@ -373,8 +1277,13 @@ app.get("/projects/:projectName/files", authenticateToken, async (req, res) => {
     res.json({
       success: true,
       files: filesWithVersions,
+      commits,
+      branches,
+      tags,
       projectId,
       projectName,
+      role: project.role,
+      wrapped_key: keyResult.length > 0 ? keyResult[0].wrapped_key : null,
     });
   } catch (error) {
     console.error(chalk.red(`[ERROR] Failed to fetch project files:`), error);
@@ -382,6 +1291,403 @@ app.get("/projects/:projectName/files", authenticateToken, async (req, res) => {
   }
 });
 
+// Service tokens - the project and scope of the calling token, and the
+// project key wrapped for it
+app.get("/service-token", authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.service) {
+      return res.status(400).json({ error: "Not a service token" });
+    }
+
+    const { service } = req.user;
+    const project = await sql`
+      SELECT name FROM projects WHERE id = ${service.project_id}
+    `;
+    if (project.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json({
+      success: true,
+      name: service.name,
+      scope: service.scope,
+      projectName: project[0].name,
+      expires_at: service.expires_at,
+      wrapped_key: service.wrapped_key,
+    });
+  } catch (error) {
+    console.error(chalk.red(`[ERROR] Failed to describe token:`), error);
+    res.status(500).json({ error: "Failed to describe token" });
+  }
+});
+
+// Service tokens - create. The client generates the token and sends only the
+// hash of its bearer part, so the server never stores it.
+app.post(
+  "/projects/:projectName/tokens",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+      const { name, scope, token_hash, token_prefix, wrapped_key, expires_at } =
+        req.body;
+
+      if (!name || !token_hash || !token_prefix) {
+        return res
+          .status(400)
+          .json({ error: "name, token_hash and token_prefix are required" });
+      }
+
+      if (!["read", "write"].includes(scope)) {
+        return res
+          .status(400)
+          .json({ error: "Scope must be either 'read' or 'write'" });
+      }
+
+      const project = await requireProjectRole(req, res, projectName, "owner");
+      if (!project) return;
+
+      const [created] = await runAudited(
+        req,
+        [{ project, action: "token.create", target: name, details: { scope } }],
+        () => [
+          sql`
+            INSERT INTO service_tokens (project_id, name, token_hash, token_prefix, scope, wrapped_key, created_by, expires_at, created_at)
+            VALUES (${project.id}, ${name}, ${token_hash}, ${token_prefix}, ${scope}, ${wrapped_key || null}, ${req.user.userId}, ${expires_at || null}, NOW())
+            RETURNING id, name, token_prefix, scope, expires_at, created_at
+          `,
+        ]
+      );
+
+      console.log(
+        chalk.green(
+          `[TOKEN] ${req.user.email} created ${scope} token "${name}" for "${project.name}"`
+        )
+      );
+
+      res.json({ success: true, token: created[0] });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to create token:`), error);
+      res.status(500).json({ error: "Failed to create token" });
+    }
+  }
+);
+
+// Service tokens - list (hashes and wrapped keys are never returned)
+app.get(
+  "/projects/:projectName/tokens",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+
+      const project = await requireProjectRole(req, res, projectName, "owner");
+      if (!project) return;
+
+      const tokens = await sql`
+        SELECT t.id, t.name, t.token_prefix, t.scope, t.expires_at, t.revoked_at,
+          t.last_used_at, t.created_at, u.email AS created_by
+        FROM service_tokens t
+        LEFT JOIN users u ON u.id = t.created_by
+        WHERE t.project_id = ${project.id}
+        ORDER BY t.created_at
+      `;
+
+      res.json({ success: true, projectName, tokens });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to fetch tokens:`), error);
+      res.status(500).json({ error: "Failed to fetch tokens" });
+    }
+  }
+);
+
+// Service tokens - revoke (the row stays for the record)
+app.delete(
+  "/projects/:projectName/tokens/:tokenId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName, tokenId } = req.params;
+
+      const project = await requireProjectRole(req, res, projectName, "owner");
+      if (!project) return;
+
+      const active = await sql`
+        SELECT id, name FROM service_tokens
+        WHERE project_id = ${project.id} AND id = ${Number(tokenId) || 0}
+          AND revoked_at IS NULL
+      `;
+
+      if (active.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "Token not found or already revoked" });
+      }
+
+      const [revoked] = await runAudited(
+        req,
+        [{ project, action: "token.revoke", target: active[0].name }],
+        () => [
+          sql`
+            UPDATE service_tokens SET revoked_at = NOW()
+            WHERE id = ${active[0].id} AND revoked_at IS NULL
+            RETURNING id, name
+          `,
+        ]
+      );
+
+      console.log(
+        chalk.yellow(
+          `[TOKEN] ${req.user.email} revoked token "${revoked[0].name}" of "${project.name}"`
+        )
+      );
+
+      res.json({ success: true, token: revoked[0] });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to revoke token:`), error);
+      res.status(500).json({ error: "Failed to revoke token" });
+    }
+  }
+);
+
+// Project members - list
+app.get(
+  "/projects/:projectName/members",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+
+      const project = await requireProjectRole(req, res, projectName, "viewer");
+      if (!project) return;
+
+      const members = await sql`
+        SELECT u.email, m.role, m.created_at, inviter.email AS invited_by
+        FROM project_members m
+        JOIN users u ON u.id = m.user_id
+        LEFT JOIN users inviter ON inviter.id = m.invited_by
+        WHERE m.project_id = ${project.id}
+        ORDER BY m.created_at
+      `;
+
+      res.json({ success: true, projectName, role: project.role, members });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to fetch members:`), error);
+      res.status(500).json({ error: "Failed to fetch members" });
+    }
+  }
+);
+
+// Project members - invite or change role
+app.post(
+  "/projects/:projectName/members",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+      const { email, role, wrapped_key } = req.body;
+
+      if (!email) {
+        return res.status(400).json({ error: "Member email is required" });
+      }
+
+      if (!["editor", "viewer"].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Role must be either 'editor' or 'viewer'" });
+      }
+
+      const project = await requireProjectRole(req, res, projectName, "owner");
+      if (!project) return;
+
+      const retryMs = accountLookupsByUser.hit(req.user.userId);
+      if (retryMs > 0) {
+        return tooManyAttempts(res, retryMs);
+      }
+
+      const userResult = await sql`
+        SELECT id, email FROM users WHERE email = ${email}
+      `;
+
+      // Same answer as a real share, so the owner can't tell whether the
+      // address has an account; nothing is recorded for it
+      const shared = {
+        success: true,
+        message: `Shared "${project.name}" with ${email} as ${role} (if they have an EVM account)`,
+        member: { email, role },
+      };
+      if (userResult.length === 0) {
+        return res.json(shared);
+      }
+
+      const member = userResult[0];
+
+      if (member.id === project.user_id) {
+        return res
+          .status(400)
+          .json({ error: "The project owner's role cannot be changed" });
+      }
+
+      await runAudited(
+        req,
+        [{ project, action: "member.add", target: member.email, details: { role } }],
+        () => [
+          sql`
+            INSERT INTO project_members (project_id, user_id, role, invited_by, created_at)
+            VALUES (${project.id}, ${member.id}, ${role}, ${req.user.userId}, NOW())
+            ON CONFLICT (project_id, user_id) DO UPDATE SET role = ${role}
+          `,
+          ...(wrapped_key
+            ? [
+                sql`
+                  INSERT INTO project_keys (project_id, user_id, wrapped_key, created_at)
+                  VALUES (${project.id}, ${member.id}, ${wrapped_key}, NOW())
+                  ON CONFLICT (project_id, user_id) DO UPDATE SET wrapped_key = ${wrapped_key}
+                `,
+              ]
+            : []),
+        ]
+      );
+
+      console.log(
+        chalk.green(
+          `[SHARE] ${req.user.email} shared "${project.name}" with ${member.email} (${role})`
+        )
+      );
+
+      res.json(shared);
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to share project:`), error);
+      res.status(500).json({ error: "Failed to share project" });
+    }
+  }
+);
+
+// Project members - remove
+app.delete(
+  "/projects/:projectName/members",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({ error: "Member email is required" });
+      }
+
+      // Members may remove themselves; removing anyone else needs the owner
+      const minRole = email === req.user.email ? "viewer" : "owner";
+      const project = await requireProjectRole(req, res, projectName, minRole);
+      if (!project) return;
+
+      const userResult = await sql`
+        SELECT id FROM users WHERE email = ${email}
+      `;
+
+      if (userResult.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "User is not a member of this project" });
+      }
+
+      if (userResult[0].id === project.user_id) {
+        return res
+          .status(400)
+          .json({ error: "The project owner cannot be removed" });
+      }
+
+      const membership = await sql`
+        SELECT id FROM project_members
+        WHERE project_id = ${project.id} AND user_id = ${userResult[0].id}
+      `;
+
+      if (membership.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "User is not a member of this project" });
+      }
+
+      await runAudited(
+        req,
+        [{ project, action: "member.remove", target: email }],
+        () => [
+          sql`DELETE FROM project_members WHERE id = ${membership[0].id}`,
+          sql`
+            DELETE FROM project_keys
+            WHERE project_id = ${project.id} AND user_id = ${userResult[0].id}
+          `,
+        ]
+      );
+
+      console.log(
+        chalk.yellow(`[SHARE] Removed ${email} from "${project.name}"`)
+      );
+
+      res.json({
+        success: true,
+        message: `Removed ${email} from "${project.name}"`,
+      });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to remove member:`), error);
+      res.status(500).json({ error: "Failed to remove member" });
+    }
+  }
+);
+
+// Audit log - a project's events, oldest first (owners only). ?since=ISO
+// limits the window, ?limit=N keeps the newest N, and ?anchor=<id> also
+// returns that event's hash so clients can check the log wasn't rewritten
+// since they last saw it.
+app.get(
+  "/projects/:projectName/audit",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName } = req.params;
+      const since = req.query.since ? new Date(req.query.since) : null;
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json({ error: "since must be a date" });
+      }
+
+      const project = await requireProjectRole(req, res, projectName, "owner");
+      if (!project) return;
+
+      const newest = await sql`
+        SELECT id, actor, action, target, details, prev_hash, hash, project_name, created_at
+        FROM audit_events
+        WHERE project_id = ${project.id}
+          AND (${since ? since.toISOString() : null}::timestamptz IS NULL
+            OR created_at >= ${since ? since.toISOString() : null}::timestamptz)
+        ORDER BY id DESC
+        LIMIT ${limit}
+      `;
+
+      const anchorId = Number(req.query.anchor) || null;
+      const anchor = anchorId
+        ? await sql`
+            SELECT id, hash FROM audit_events
+            WHERE project_id = ${project.id} AND id = ${anchorId}
+          `
+        : [];
+
+      res.json({
+        success: true,
+        projectId: project.id,
+        projectName: project.name,
+        genesis: AUDIT_GENESIS_HASH,
+        events: newest.reverse(),
+        anchor: anchor[0] || null,
+      });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to fetch audit log:`), error);
+      res.status(500).json({ error: "Failed to fetch audit log" });
+    }
+  }
+);
+
 // Protected endpoints - Environment file operations
 
 // Sync environment files endpoint
@@ -395,43 +1701,80 @@ app.post("/env-files", authenticateToken, async (req, res) => {
       tag,
       created_at,
       updated_at,
+      wrapped_key,
     } = req.body;
 
-    const user_email = req.user.email; // Get from JWT token
+    const user_email = req.user.email || `token ${req.user.service.name}`;
     const userId = req.user.userId; // Get from JWT token
 
     console.log(
       chalk.yellow(`[SYNC] Syncing ${file_name} for user ${user_email}`)
     );
 
-    // Check if project exists, create if not
-    let projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${project_name}
-    `;
+    // Check if project exists, create if not (a write-scope service token
+    // only ever writes to its own project)
+    const project = req.user.service
+      ? await requireProjectRole(req, res, project_name, "editor")
+      : await findProjectForUser(userId, project_name);
+    if (req.user.service && !project) return;
 
+    // A new project is created in the same audited transaction as its first
+    // file, under an id reserved up front so the events can name it
     let projectId;
-    if (projectResult.length === 0) {
+    if (!project) {
       console.log(chalk.yellow(`[SYNC] Creating new project: ${project_name}`));
-      const newProject = await sql`
-        INSERT INTO projects (user_id, name, created_at)
-        VALUES (${userId}, ${project_name}, NOW())
-        RETURNING id
+      const reserved = await sql`
+        SELECT nextval(pg_get_serial_sequence('projects', 'id')) AS id
       `;
-      projectId = newProject[0].id;
+      projectId = Number(reserved[0].id);
+    } else if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        error: "Insufficient permissions: editor role required",
+      });
     } else {
-      projectId = projectResult[0].id;
+      projectId = project.id;
     }
 
+    const createQueries = () =>
+      project
+        ? []
+        : [
+            sql`
+              INSERT INTO projects (id, user_id, name, created_at)
+              VALUES (${projectId}, ${userId}, ${project_name}, NOW())
+            `,
+            sql`
+              INSERT INTO project_members (project_id, user_id, role, created_at)
+              VALUES (${projectId}, ${userId}, 'owner', NOW())
+            `,
+          ];
+
+    // Keep the first key a member uploads; the server never sees it unwrapped
+    const keyQueries = () =>
+      wrapped_key && userId
+        ? [
+            sql`
+              INSERT INTO project_keys (project_id, user_id, wrapped_key, created_at)
+              VALUES (${projectId}, ${userId}, ${wrapped_key}, NOW())
+              ON CONFLICT (project_id, user_id) DO NOTHING
+            `,
+          ]
+        : [];
+
     // Check if file already exists
-    const existingFile = await sql`
-      SELECT id FROM env_files
-      WHERE project_id = ${projectId} AND name = ${file_name}
-    `;
+    const existingFile = project
+      ? await sql`
+          SELECT id FROM env_files
+          WHERE project_id = ${projectId} AND name = ${file_name}
+        `
+      : [];
+    const auditProject = { id: projectId, name: project_name };
 
     if (existingFile.length > 0) {
       // Update existing file with proper date handling
-      const updateQuery = updated_at
-        ? sql`
+      const updateQuery = () =>
+        updated_at
+          ? sql`
             UPDATE env_files
             SET encrypted_content = ${encrypted_content},
                 iv = ${iv},
@@ -439,7 +1782,7 @@ app.post("/env-files", authenticateToken, async (req, res) => {
                 updated_at = ${updated_at}
             WHERE id = ${existingFile[0].id}
           `
-        : sql`
+          : sql`
             UPDATE env_files
             SET encrypted_content = ${encrypted_content},
                 iv = ${iv},
@@ -448,11 +1791,15 @@ app.post("/env-files", authenticateToken, async (req, res) => {
             WHERE id = ${existingFile[0].id}
           `;
 
-      await updateQuery;
+      await runAudited(
+        req,
+        [{ project: auditProject, action: "file.update", target: file_name }],
+        () => [...keyQueries(), updateQuery()]
+      );
       console.log(chalk.green(`[SYNC] Updated ${file_name} successfully`));
     } else {
       // Insert new file with proper date handling
-      const insertQuery =
+      const insertQuery = () =>
         created_at && updated_at
           ? sql`
             INSERT INTO env_files (project_id, name, encrypted_content, iv, tag, created_at, updated_at)
@@ -463,7 +1810,16 @@ app.post("/env-files", authenticateToken, async (req, res) => {
             VALUES (${projectId}, ${file_name}, ${encrypted_content}, ${iv}, ${tag}, NOW(), NOW())
           `;
 
-      await insertQuery;
+      await runAudited(
+        req,
+        [
+          ...(project
+            ? []
+            : [{ project: auditProject, action: "project.create", target: project_name }]),
+          { project: auditProject, action: "file.create", target: file_name },
+        ],
+        () => [...createQueries(), ...keyQueries(), insertQuery()]
+      );
       console.log(chalk.green(`[SYNC] Created ${file_name} successfully`));
     }
 
@@ -474,99 +1830,324 @@ app.post("/env-files", authenticateToken, async (req, res) => {
   }
 });
 
-// Sync environment file versions endpoint
+// Sync a commit: the commit row and every file version it carries are written
+// in one transaction. Older clients post a single version (version_token +
+// file_name at the top level), which is stored as a one-file commit.
 app.post("/env-versions", authenticateToken, async (req, res) => {
   try {
-    const {
-      project_name,
-      file_name,
-      version_token,
-      encrypted_content,
-      iv,
-      tag,
-      commit_message,
-      author_email,
-      created_at,
-    } = req.body;
+    const { project_name } = req.body;
+    const commit = req.body.commit || {
+      hash: req.body.version_token,
+      message: req.body.commit_message,
+      created_at: req.body.created_at,
+    };
+    const versions = req.body.versions || [
+      {
+        file_name: req.body.file_name,
+        encrypted_content: req.body.encrypted_content,
+        iv: req.body.iv,
+        tag: req.body.tag,
+        rekeyed: req.body.rekeyed,
+      },
+    ];
 
-    const user_email = req.user.email; // Get from JWT token
-    const userId = req.user.userId; // Get from JWT token
+    if (!commit.hash || versions.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Commit hash and at least one version are required" });
+    }
+
+    // The author is whoever pushes; an author_email in the body is ignored,
+    // since the rekey check below trusts the stored one
+    const user_email = req.user.email || `token ${req.user.service.name}`;
 
     console.log(
       chalk.yellow(
-        `[VERSION] Syncing version ${version_token} for ${file_name} (user: ${user_email})`
+        `[VERSION] Syncing commit ${commit.hash} (${versions.length} file(s), user: ${user_email})`
       )
     );
 
-    // Get project ID
-    const projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${project_name}
-    `;
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
+    // Get project ID (editors and owners can write)
+    const project = await requireProjectRole(req, res, project_name, "editor");
+    if (!project) return;
 
-    const projectId = projectResult[0].id;
+    const projectId = project.id;
 
-    // Get env file ID
-    const envFileResult = await sql`
-      SELECT id FROM env_files WHERE project_id = ${projectId} AND name = ${file_name}
+    // Resolve every file first so a missing one fails the whole commit
+    const fileNames = versions.map((version) => version.file_name);
+    const envFiles = await sql`
+      SELECT id, name FROM env_files
+      WHERE project_id = ${projectId} AND name = ANY(${fileNames})
     `;
+    const fileIds = new Map(envFiles.map((file) => [file.name, file.id]));
+    const missing = fileNames.filter((name) => !fileIds.has(name));
 
-    if (envFileResult.length === 0) {
-      return res.status(404).json({ error: "Environment file not found" });
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: `Environment file not found: ${missing.join(", ")}`,
+      });
     }
 
-    const envFileId = envFileResult[0].id;
+    // Rekeying (evm migrate-keys) overwrites ciphertext already stored, so
+    // it is limited to the project owner and each version's own author, and
+    // never allowed to service tokens
+    const rekeyedNames = versions
+      .filter((version) => version.rekeyed)
+      .map((version) => version.file_name);
+    const rekeyedExisting =
+      rekeyedNames.length > 0
+        ? await sql`
+            SELECT f.name, v.author_email
+            FROM env_versions v
+            JOIN env_files f ON f.id = v.env_file_id
+            WHERE f.project_id = ${projectId} AND f.name = ANY(${rekeyedNames})
+              AND v.version_token = ${commit.hash}
+          `
+        : [];
+    if (rekeyedExisting.length > 0) {
+      const forbidden = req.user.service
+        ? rekeyedExisting
+        : rekeyedExisting.filter(
+            (version) =>
+              project.role !== "owner" && version.author_email !== req.user.email
+          );
+      if (forbidden.length > 0) {
+        return res.status(403).json({
+          error: req.user.service
+            ? "Service tokens can't rekey stored versions"
+            : `Only the project owner or the author can rekey ${forbidden
+                .map((version) => version.name)
+                .join(", ")} of commit ${commit.hash.substring(0, 8)}`,
+          rekey_forbidden: true,
+        });
+      }
+    }
 
-    // Check if version already exists
-    const existingVersion = await sql`
-      SELECT id FROM env_versions
-      WHERE env_file_id = ${envFileId} AND version_token = ${version_token}
-    `;
+    const createdAt = commit.created_at || new Date().toISOString();
 
-    if (existingVersion.length === 0) {
-      // Insert new version
-      await sql`
-        INSERT INTO env_versions (
-          env_file_id,
-          version_token,
-          encrypted_content,
-          iv,
-          tag,
-          commit_message,
-          author_email,
-          created_at
-        )
+    const versionQueries = () => versions.map((version) => {
+      const envFileId = fileIds.get(version.file_name);
+
+      // A rekeyed version (evm migrate-keys) replaces the stored ciphertext
+      return version.rekeyed
+        ? sql`
+            INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, commit_id, created_at)
+            VALUES (
+              ${envFileId}, ${commit.hash}, ${version.encrypted_content}, ${version.iv}, ${version.tag},
+              ${commit.message}, ${user_email},
+              (SELECT id FROM commits WHERE project_id = ${projectId} AND commit_hash = ${commit.hash}),
+              ${createdAt}
+            )
+            ON CONFLICT (env_file_id, version_token) DO UPDATE
+            SET encrypted_content = EXCLUDED.encrypted_content,
+                iv = EXCLUDED.iv,
+                tag = EXCLUDED.tag
+          `
+        : sql`
+            INSERT INTO env_versions (env_file_id, version_token, encrypted_content, iv, tag, commit_message, author_email, commit_id, created_at)
+            VALUES (
+              ${envFileId}, ${commit.hash}, ${version.encrypted_content}, ${version.iv}, ${version.tag},
+              ${commit.message}, ${user_email},
+              (SELECT id FROM commits WHERE project_id = ${projectId} AND commit_hash = ${commit.hash}),
+              ${createdAt}
+            )
+            ON CONFLICT (env_file_id, version_token) DO NOTHING
+          `;
+    });
+
+    const event =
+      rekeyedExisting.length > 0
+        ? {
+            action: "version.rekey",
+            details: { files: rekeyedExisting.map((version) => version.name) },
+          }
+        : {
+            action: "commit.push",
+            details: { files: fileNames, message: commit.message || null },
+          };
+
+    await runAudited(req, [{ project, target: commit.hash, ...event }], () => [
+      sql`
+        INSERT INTO commits (project_id, commit_hash, message, author_email, parent_commit_id, created_at)
         VALUES (
-          ${envFileId},
-          ${version_token},
-          ${encrypted_content},
-          ${iv},
-          ${tag},
-          ${commit_message},
-          ${author_email},
-          ${created_at || "NOW()"}
+          ${projectId}, ${commit.hash}, ${commit.message}, ${user_email},
+          (SELECT id FROM commits WHERE project_id = ${projectId} AND commit_hash = ${commit.parent_hash || null}),
+          ${createdAt}
         )
+        ON CONFLICT (project_id, commit_hash) DO NOTHING
+      `,
+      ...versionQueries(),
+    ]);
+
+    console.log(
+      chalk.green(`[VERSION] Stored commit ${commit.hash} successfully`)
+    );
+
+    res.json({ success: true, message: "Commit synced successfully" });
+  } catch (err) {
+    console.error(chalk.red("[ERROR] Version sync failed:"), err);
+    res.status(500).json({ error: "Version sync failed: " + err.message });
+  }
+});
+
+// Branches - create or move a branch head (the commit must be synced first)
+app.put(
+  "/projects/:projectName/branches/:branchName",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName, branchName } = req.params;
+      const { head_hash } = req.body;
+
+      if (!head_hash) {
+        return res.status(400).json({ error: "head_hash is required" });
+      }
+
+      const project = await requireProjectRole(req, res, projectName, "editor");
+      if (!project) return;
+
+      const head = await sql`
+        SELECT id FROM commits
+        WHERE project_id = ${project.id} AND commit_hash = ${head_hash}
       `;
-      console.log(
-        chalk.green(`[VERSION] Created version ${version_token} successfully`)
+      if (head.length === 0) {
+        return res.status(404).json({ error: "Commit not found" });
+      }
+
+      await runAudited(
+        req,
+        [
+          {
+            project,
+            action: "branch.update",
+            target: branchName,
+            details: { head: head_hash },
+          },
+        ],
+        () => [
+          sql`
+            INSERT INTO branches (project_id, name, head_commit_id, updated_at)
+            VALUES (${project.id}, ${branchName}, ${head[0].id}, NOW())
+            ON CONFLICT (project_id, name)
+            DO UPDATE SET head_commit_id = EXCLUDED.head_commit_id, updated_at = NOW()
+          `,
+        ]
       );
-    } else {
+
       console.log(
-        chalk.gray(
-          `[VERSION] Version ${version_token} already exists, skipping`
+        chalk.green(
+          `[BRANCH] ${projectName}/${branchName} -> ${head_hash.substring(0, 8)}`
         )
       );
+      res.json({ success: true });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to update branch:`), error);
+      res.status(500).json({ error: "Failed to update branch" });
     }
+  }
+);
 
-    res.json({ success: true, message: "Version synced successfully" });
-  } catch (err) {
-    console.error(chalk.red("[ERROR] Version sync failed:"), err);
-    res.status(500).json({ error: "Version sync failed: " + err.message });
+// Branches - delete (commits stay in the project)
+app.delete(
+  "/projects/:projectName/branches/:branchName",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName, branchName } = req.params;
+
+      const project = await requireProjectRole(req, res, projectName, "editor");
+      if (!project) return;
+
+      const branch = await sql`
+        SELECT id FROM branches
+        WHERE project_id = ${project.id} AND name = ${branchName}
+      `;
+      if (branch.length === 0) {
+        return res.status(404).json({ error: "Branch not found" });
+      }
+
+      await runAudited(
+        req,
+        [{ project, action: "branch.delete", target: branchName }],
+        () => [sql`DELETE FROM branches WHERE id = ${branch[0].id}`]
+      );
+
+      console.log(chalk.green(`[BRANCH] Deleted ${projectName}/${branchName}`));
+      res.json({ success: true });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to delete branch:`), error);
+      res.status(500).json({ error: "Failed to delete branch" });
+    }
   }
-});
+);
+
+// Tags - name a commit. Tags never move: re-sending the same tag is a
+// no-op, pointing an existing name at another commit is a conflict.
+app.put(
+  "/projects/:projectName/tags/:tagName",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { projectName, tagName } = req.params;
+      const { commit_hash } = req.body;
+
+      if (!commit_hash) {
+        return res.status(400).json({ error: "commit_hash is required" });
+      }
+
+      const project = await requireProjectRole(req, res, projectName, "editor");
+      if (!project) return;
+
+      const commit = await sql`
+        SELECT id FROM commits
+        WHERE project_id = ${project.id} AND commit_hash = ${commit_hash}
+      `;
+      if (commit.length === 0) {
+        return res.status(404).json({ error: "Commit not found" });
+      }
+
+      const existing = await sql`
+        SELECT commit_id FROM tags
+        WHERE project_id = ${project.id} AND name = ${tagName}
+      `;
+      if (existing.length > 0 && existing[0].commit_id !== commit[0].id) {
+        return res
+          .status(409)
+          .json({ error: `Tag "${tagName}" already points at another commit` });
+      }
+
+      if (existing.length === 0) {
+        await runAudited(
+          req,
+          [
+            {
+              project,
+              action: "tag.create",
+              target: tagName,
+              details: { commit: commit_hash },
+            },
+          ],
+          () => [
+            sql`
+              INSERT INTO tags (project_id, name, commit_id, created_by)
+              VALUES (${project.id}, ${tagName}, ${commit[0].id}, ${req.user.userId})
+            `,
+          ]
+        );
+      }
+
+      console.log(
+        chalk.green(
+          `[TAG] ${projectName}/${tagName} -> ${commit_hash.substring(0, 8)}`
+        )
+      );
+      res.json({ success: true });
+    } catch (error) {
+      console.error(chalk.red(`[ERROR] Failed to create tag:`), error);
+      res.status(500).json({ error: "Failed to create tag" });
+    }
+  }
+);
 
 // Sync rollback history endpoint
 app.post("/rollback-history", authenticateToken, async (req, res) => {
@@ -590,16 +2171,11 @@ app.post("/rollback-history", authenticateToken, async (req, res) => {
       )
     );
 
-    // Get project ID
-    const projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${project_name}
-    `;
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
+    // Get project ID (editors and owners can write)
+    const project = await requireProjectRole(req, res, project_name, "editor");
+    if (!project) return;
 
-    const projectId = projectResult[0].id;
+    const projectId = project.id;
 
     // Get env file ID
     const envFileResult = await sql`
@@ -623,24 +2199,37 @@ app.post("/rollback-history", authenticateToken, async (req, res) => {
 
     if (existingRollback.length === 0) {
       // Insert new rollback entry
-      await sql`
-        INSERT INTO rollback_history (
-          env_file_id,
-          from_version_token,
-          to_version_token,
-          rollback_reason,
-          performed_by,
-          created_at
-        )
-        VALUES (
-          ${envFileId},
-          ${from_version_token},
-          ${to_version_token},
-          ${reason},
-          ${performed_by},
-          ${created_at || "NOW()"}
-        )
-      `;
+      await runAudited(
+        req,
+        [
+          {
+            project,
+            action: "file.rollback",
+            target: file_name,
+            details: { from: from_version_token, to: to_version_token },
+          },
+        ],
+        () => [
+          sql`
+            INSERT INTO rollback_history (
+              env_file_id,
+              from_version_token,
+              to_version_token,
+              rollback_reason,
+              performed_by,
+              created_at
+            )
+            VALUES (
+              ${envFileId},
+              ${from_version_token},
+              ${to_version_token},
+              ${reason},
+              ${performed_by},
+              ${created_at || "NOW()"}
+            )
+          `,
+        ]
+      );
       console.log(
         chalk.green(`[ROLLBACK] Created rollback entry successfully`)
       );
@@ -676,34 +2265,16 @@ app.delete("/projects", authenticateToken, async (req, res) => {
       )
     );
 
-    // Get project ID
-    const projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${project_name}
-    `;
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
-
-    const projectId = projectResult[0].id;
-
-    // Start transaction-like deletion
-    // First, get all env files for cascade deletion
-    const envFiles = await sql`
-      SELECT id FROM env_files WHERE project_id = ${projectId}
-    `;
-
-    // Delete all versions for each env file
-    for (const envFile of envFiles) {
-      await sql`DELETE FROM env_versions WHERE env_file_id = ${envFile.id}`;
-      await sql`DELETE FROM rollback_history WHERE env_file_id = ${envFile.id}`;
-    }
-
-    // Delete all env files
-    await sql`DELETE FROM env_files WHERE project_id = ${projectId}`;
+    // Get project ID (only the owner can delete the whole project)
+    const project = await requireProjectRole(req, res, project_name, "owner");
+    if (!project) return;
 
-    // Finally delete the project
-    await sql`DELETE FROM projects WHERE id = ${projectId}`;
+    // The project's events stay in the log
+    await runAudited(
+      req,
+      [{ project, action: "project.delete", target: project.name }],
+      () => deleteProjectQueries(project.id)
+    );
 
     console.log(
       chalk.green(`[DELETE] Project "${project_name}" deleted successfully`)
@@ -729,16 +2300,11 @@ app.delete("/env-files", authenticateToken, async (req, res) => {
       )
     );
 
-    // Get project ID
-    const projectResult = await sql`
-      SELECT id FROM projects WHERE user_id = ${userId} AND name = ${project_name}
-    `;
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
+    // Get project ID (editors and owners can write)
+    const project = await requireProjectRole(req, res, project_name, "editor");
+    if (!project) return;
 
-    const projectId = projectResult[0].id;
+    const projectId = project.id;
 
     // Get env file ID
     const envFileResult = await sql`
@@ -751,12 +2317,24 @@ app.delete("/env-files", authenticateToken, async (req, res) => {
 
     const envFileId = envFileResult[0].id;
 
-    // Delete cascade: versions and rollback history first
-    await sql`DELETE FROM env_versions WHERE env_file_id = ${envFileId}`;
-    await sql`DELETE FROM rollback_history WHERE env_file_id = ${envFileId}`;
-
-    // Delete the env file
-    await sql`DELETE FROM env_files WHERE id = ${envFileId}`;
+    await runAudited(
+      req,
+      [{ project, action: "file.delete", target: file_name }],
+      () => [
+        // Delete cascade: versions and rollback history first
+        sql`DELETE FROM env_versions WHERE env_file_id = ${envFileId}`,
+        sql`DELETE FROM rollback_history WHERE env_file_id = ${envFileId}`,
+        // Delete the env file
+        sql`DELETE FROM env_files WHERE id = ${envFileId}`,
+        // Commits that only touched this file are now empty (tagged ones stay)
+        sql`
+          DELETE FROM commits c
+          WHERE c.project_id = ${projectId}
+            AND NOT EXISTS (SELECT 1 FROM env_versions v WHERE v.commit_id = c.id)
+            AND NOT EXISTS (SELECT 1 FROM tags t WHERE t.commit_id = c.id)
+        `,
+      ]
+    );
 
     console.log(
       chalk.green(`[DELETE] File "${file_name}" deleted successfully`)
@@ -828,28 +2406,12 @@ app.put("/projects/rename", authenticateToken, async (req, res) => {
       )
     );
 
-    // Find project by name
-    const projectResult = await sql`
-      SELECT id, name FROM projects WHERE user_id = ${userId} AND name = ${projectName}
-    `;
-
-    console.log(
-      chalk.blue(
-        `[DEBUG] Found ${projectResult.length} projects with name "${projectName}"`
-      )
-    );
-
-    if (projectResult.length === 0) {
-      console.log(
-        chalk.red(
-          `[DEBUG] No project found with name "${projectName}" for user ${userId}`
-        )
-      );
-      return res.status(404).json({ error: "Project not found" });
-    }
+    // Only the owner can rename a project, since it renames it for every member
+    const project = await requireProjectRole(req, res, projectName, "owner");
+    if (!project) return;
 
-    const projectId = projectResult[0].id;
-    const oldName = projectResult[0].name;
+    const projectId = project.id;
+    const oldName = project.name;
 
     // Check if new name already exists for this user
     const existingProject = await sql`
@@ -863,9 +2425,22 @@ app.put("/projects/rename", authenticateToken, async (req, res) => {
     }
 
     // Update project name
-    const updateResult = await sql`
-      UPDATE projects SET name = ${newName}, updated_at = NOW() WHERE id = ${projectId}
-    `;
+    await runAudited(
+      req,
+      [
+        {
+          project: { id: projectId, name: newName },
+          action: "project.rename",
+          target: newName,
+          details: { from: oldName, to: newName },
+        },
+      ],
+      () => [
+        sql`
+          UPDATE projects SET name = ${newName}, updated_at = NOW() WHERE id = ${projectId}
+        `,
+      ]
+    );
 
     console.log(
       chalk.green(`[RENAME] Project renamed from "${oldName}" to "${newName}"`)
@@ -918,20 +2493,11 @@ app.put("/env-files/rename", authenticateToken, async (req, res) => {
     );
 
     // Find project by name primarily
-    let projectResult = await sql`
-      SELECT id, name FROM projects WHERE user_id = ${userId} AND name = ${projectName}
-    `;
+    const project = await requireProjectRole(req, res, projectName, "editor");
+    if (!project) return;
 
-    console.log(
-      chalk.blue(`[DEBUG FILE] Found ${projectResult.length} projects by name`)
-    );
-
-    if (projectResult.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
-
-    const projectId = projectResult[0].id;
-    const projectNameResult = projectResult[0].name;
+    const projectId = project.id;
+    const projectNameResult = project.name;
 
     // Find the file to rename
     const fileResult = await sql`
@@ -962,9 +2528,22 @@ app.put("/env-files/rename", authenticateToken, async (req, res) => {
     }
 
     // Update file name
-    const updateResult = await sql`
-      UPDATE env_files SET name = ${newFileName}, updated_at = NOW() WHERE id = ${fileId}
-    `;
+    const [updateResult] = await runAudited(
+      req,
+      [
+        {
+          project,
+          action: "file.rename",
+          target: newFileName,
+          details: { from: oldFileName, to: newFileName },
+        },
+      ],
+      () => [
+        sql`
+          UPDATE env_files SET name = ${newFileName}, updated_at = NOW() WHERE id = ${fileId}
+        `,
+      ]
+    );
 
     console.log(chalk.blue(`[DEBUG FILE] Update result:`, updateResult));
     console.log(
@@ -0,0 +1,128 @@
+// TOTP (RFC 6238) with the settings authenticator apps assume: HMAC-SHA1,
+// 6 digits, 30-second steps. Secrets are exchanged in base32. Everything is
+// computed here; no external service is involved.
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = "EVM";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size RFC 4226 recommends
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+
+  const offset = digest[digest.length - 1] & 15;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function totpAt(secret, step) {
+  return hotp(base32Decode(secret), step);
+}
+
+// The time step the code belongs to, allowing `window` steps of clock drift
+// either way, or null when it doesn't match. Callers store the step and
+// reject codes from it or earlier steps, so a code works only once.
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(hotp(key, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps import (usually from a QR code)
+function provisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// One-time codes like "k7q2m-x9d4t" for when the authenticator is lost
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).substring(0, 10).toLowerCase();
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[\s-]/g, "");
+}
+
+module.exports = {
+  generateSecret,
+  totpAt,
+  currentStep,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
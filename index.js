@@ -39,10 +39,12 @@ function getCommandSuggestions(partialCommand) {
         chalk.gray("            List files in specific project"),
       chalk.white("  evm <proj> -l") +
         chalk.gray("              List files in specific project"),
+      chalk.white("  evm list --json") +
+        chalk.gray("            List projects and files as JSON"),
     ],
     revert: [
-      chalk.white("  evm revert <hash>") +
-        chalk.gray("          Rollback to previous commit"),
+      chalk.white("  evm revert <hash|tag>") +
+        chalk.gray("      Rollback to previous commit"),
     ],
     rollback: [
       chalk.white("  evm rollback history") +
@@ -51,18 +53,60 @@ function getCommandSuggestions(partialCommand) {
     diff: [
       chalk.white("  evm diff") +
         chalk.gray(
-          "                   Show changes between local and last commit"
+          "                   Show changed keys between local and last commit"
         ),
+      chalk.white("  evm diff <hashA> <hashB>") +
+        chalk.gray("   Show changed keys between two commits"),
+      chalk.white("  evm diff --show-values") +
+        chalk.gray("     Include values, with secrets masked"),
+      chalk.white("  evm diff --reveal") +
+        chalk.gray("          Include secret values too (audit-logged)"),
+      chalk.white("  evm diff --json") +
+        chalk.gray("            Key changes as JSON"),
     ],
     log: [
       chalk.white("  evm log") +
         chalk.gray("                    Show commit history"),
       chalk.white("  evm log --oneline") +
         chalk.gray("           Show commit history in compact table"),
+      chalk.white("  evm log --all") +
+        chalk.gray("               Show commits from every branch"),
+      chalk.white("  evm log --json") +
+        chalk.gray("             Commit history as JSON"),
+    ],
+    branch: [
+      chalk.white("  evm branch") +
+        chalk.gray("                 List branches"),
+      chalk.white("  evm branch <name>") +
+        chalk.gray("          Create a branch at the current commit"),
+      chalk.white("  evm branch -d <name>") +
+        chalk.gray("       Delete a branch"),
+    ],
+    checkout: [
+      chalk.white("  evm checkout <name>") +
+        chalk.gray("        Switch branches and rewrite the working files"),
+    ],
+    tag: [
+      chalk.white("  evm tag <name> [hash]") +
+        chalk.gray("      Name a commit (default: the current one)"),
+      chalk.white("  evm tags") +
+        chalk.gray("                   List tags"),
+    ],
+    tags: [
+      chalk.white("  evm tags") +
+        chalk.gray("                   List tags"),
     ],
     clone: [
-      chalk.white("  evm clone") +
-        chalk.gray("                  Clone a project from database"),
+      chalk.white("  evm clone <project> [dir]") +
+        chalk.gray("  Clone a cloud project into a new directory"),
+    ],
+    export: [
+      chalk.white("  evm export [project] -o <file>") +
+        chalk.gray(" Write an encrypted project bundle"),
+    ],
+    import: [
+      chalk.white("  evm import <file> [dir]") +
+        chalk.gray("    Restore a project bundle"),
     ],
     sync: [
       chalk.white("  evm sync") +
@@ -73,28 +117,68 @@ function getCommandSuggestions(partialCommand) {
     pending: [
       chalk.white("  evm pending") +
         chalk.gray("               Show pending operations queued for sync"),
+      chalk.white("  evm pending --json") +
+        chalk.gray("        Pending operations as JSON"),
     ],
     pull: [
       chalk.white("  evm pull") +
         chalk.gray(
           "                   Pull latest files from cloud to local project"
         ),
+      chalk.white("  evm pull --interactive") +
+        chalk.gray("     Resolve merge conflicts key by key while pulling"),
     ],
     push: [
       chalk.white("  evm push") +
         chalk.gray(
           "                   Commit staged changes to local database and cloud"
         ),
+      chalk.white('  evm push -m "<msg>"') +
+        chalk.gray("        Push with a different commit message"),
     ],
     add: [
       chalk.white("  evm add") +
         chalk.gray("                    Stage environment files for commit"),
       chalk.white("  evm add .") +
         chalk.gray("                  Stage all changed files for commit"),
+      chalk.white("  evm add <file...>") +
+        chalk.gray("          Stage the named files"),
+      chalk.white("  evm add --no-verify") +
+        chalk.gray("        Stage files even if they fail validation"),
+      chalk.white('  evm add --files <a,b> -m "<msg>"') +
+        chalk.gray(" Stage without prompts"),
+    ],
+    "import-from": [
+      chalk.white("  evm import-from <file> --as <.env.x>") +
+        chalk.gray(" Convert JSON/YAML/compose/k8s secrets"),
+    ],
+    compare: [
+      chalk.white("  evm compare <a> <b>") +
+        chalk.gray("        Compare the keys of two env files"),
+      chalk.white("  evm compare <a>@<hash> <b>@head") +
+        chalk.gray(" Compare committed versions"),
+    ],
+    example: [
+      chalk.white("  evm example [--file <f>]") +
+        chalk.gray("   Write .env.example from the last commit"),
+      chalk.white("  evm example --on-push") +
+        chalk.gray("      Also regenerate it on every push"),
+    ],
+    validate: [
+      chalk.white("  evm validate [file]") +
+        chalk.gray("        Check env files against the variables schema"),
+    ],
+    run: [
+      chalk.white("  evm run -- <command>") +
+        chalk.gray("       Run a command with the committed .env injected"),
+      chalk.white("  evm run --file <f> --version <h> -- <cmd>") +
+        chalk.gray(" Use a specific file/commit"),
     ],
     status: [
       chalk.white("  evm status") +
         chalk.gray("                 Show status of changed files"),
+      chalk.white("  evm status --json") +
+        chalk.gray("          File states as JSON"),
     ],
     init: [
       chalk.white("  evm init") +
@@ -112,10 +196,68 @@ function getCommandSuggestions(partialCommand) {
       chalk.white("  evm logout") +
         chalk.gray("                 Logout current user"),
     ],
+    share: [
+      chalk.white("  evm share <email> --role <role>") +
+        chalk.gray(" Share project (editor|viewer)"),
+    ],
+    members: [
+      chalk.white("  evm members") +
+        chalk.gray("                List members of current project"),
+    ],
+    unshare: [
+      chalk.white("  evm unshare <email>") +
+        chalk.gray("        Remove a member from current project"),
+    ],
+    token: [
+      chalk.white("  evm token create") +
+        chalk.gray("           Create a service token for CI"),
+      chalk.white("  evm token list") +
+        chalk.gray("             List service tokens of the project"),
+      chalk.white("  evm token revoke <id>") +
+        chalk.gray("      Revoke a service token"),
+    ],
+    audit: [
+      chalk.white("  evm audit [--since 7d]") +
+        chalk.gray("     Show the project's audit log"),
+    ],
     whoami: [
       chalk.white("  evm whoami") +
         chalk.gray("                 Show current user info"),
     ],
+    mfa: [
+      chalk.white("  evm mfa enable") +
+        chalk.gray("             Turn on two-factor authentication"),
+      chalk.white("  evm mfa disable") +
+        chalk.gray("            Turn off two-factor authentication"),
+      chalk.white("  evm mfa recovery-codes") +
+        chalk.gray("     Replace your recovery codes"),
+    ],
+    passwd: [
+      chalk.white("  evm passwd") +
+        chalk.gray("                 Change your password"),
+    ],
+    account: [
+      chalk.white("  evm account delete") +
+        chalk.gray("         Delete your account and local data"),
+    ],
+    sessions: [
+      chalk.white("  evm sessions") +
+        chalk.gray("               List signed-in devices"),
+      chalk.white("  evm sessions revoke <id>") +
+        chalk.gray("   Sign a device out"),
+    ],
+    unlock: [
+      chalk.white("  evm unlock [--timeout <min>]") +
+        chalk.gray(" Unlock encryption keys with your password"),
+    ],
+    lock: [
+      chalk.white("  evm lock") +
+        chalk.gray("                   Forget the cached master key"),
+    ],
+    "migrate-keys": [
+      chalk.white("  evm migrate-keys") +
+        chalk.gray("           Re-encrypt history with password-derived keys"),
+    ],
   };
 
   // Finding exact matches first
@@ -141,6 +283,7 @@ const {
   handleRegister,
   handleLogout,
   handleWhoami,
+  handleSessions,
 } = require("./commands/auth");
 const {
   handleRename,
@@ -160,8 +303,35 @@ const {
   handlePull,
   handleClone,
 } = require("./commands/cloud");
-
-const args = process.argv.slice(2);
+const {
+  handleShare,
+  handleMembers,
+  handleUnshare,
+} = require("./commands/team");
+const { handleRun } = require("./commands/run");
+const { handleToken } = require("./commands/token");
+const { handleAudit } = require("./commands/audit");
+const { handleMfa } = require("./commands/mfa");
+const { handlePasswd, handleAccount } = require("./commands/account");
+const { handleExport, handleImport } = require("./commands/bundle");
+const { handleImportFrom } = require("./commands/import-from");
+const {
+  handleBranch,
+  handleCheckout,
+  handleTag,
+  handleTags,
+} = require("./commands/branch");
+const { handleValidate } = require("./commands/validate");
+const { handleExample } = require("./commands/example");
+const { handleCompare } = require("./commands/compare");
+const {
+  handleUnlock,
+  handleLock,
+  handleMigrateKeys,
+} = require("./commands/keys");
+const { Command } = require("commander");
+const { configManager } = require("./config");
+const { enableQuietMode } = require("./cli-options");
 
 async function showUsers() {
   try {
@@ -209,38 +379,487 @@ async function showUsers() {
   }
 }
 
-async function dispatchRaw(cmd) {
-  if (!cmd) return;
-  const parts = cmd.trim().split(/\s+/);
-  if (parts[0] === "evm") parts.shift();
-  if (parts.length === 0) return;
-  if (parts[0] === "login" || parts[0] === "user") return handleLogin([]);
-  if (parts[0] === "register") return handleRegister([]);
-  if (parts[0] === "logout") return handleLogout([]);
-  if (parts[0] === "whoami") return handleWhoami([]);
-  if (parts[0] === "show" && (parts[1] === "user" || parts[1] === "users"))
-    return showUsers();
-  if (parts[0] === "init") {
-    return initializeProject();
+// Commands with a --json document (see "Scripts and CI" in README.md)
+const JSON_COMMANDS = new Set(["status", "log", "list", "pending", "diff"]);
+
+// Commands that don't act on the current project, so --project means nothing
+// to them ("list" takes it as the project to list)
+const PROJECTLESS_COMMANDS = new Set([
+  "login",
+  "register",
+  "logout",
+  "whoami",
+  "sessions",
+  "mfa",
+  "passwd",
+  "account",
+  "init",
+  "clone",
+  "import",
+  "pending",
+  "unlock",
+  "lock",
+  "migrate-keys",
+  "show",
+]);
+
+// The handlers parse their own argv, so each command's parsed operands and
+// options are turned back into [name, ...operands, ...flags] with the long
+// form of every flag that was given
+function toArgv(command) {
+  const argv = [command.name(), ...command.args];
+
+  for (const option of command.options) {
+    const key = option.attributeName();
+    const value = command.getOptionValue(key);
+    if (value === undefined || command.getOptionValueSource(key) === "default") {
+      continue;
+    }
+    if (option.negate) {
+      if (value === false) argv.push(option.long);
+    } else if (value === true) {
+      argv.push(option.long);
+    } else if (value !== false) {
+      argv.push(option.long, String(value));
+    }
   }
-  if (parts[0] === "add") {
-    return addEnvFiles(parts.slice(1));
+
+  if (command.optsWithGlobals().json) {
+    argv.push("--json");
   }
-  if (parts[0] === "commit") {
-    console.log(chalk.green("[INFO] Commit created (stub)"));
-    process.exit(0);
+  return argv;
+}
+
+// Action that calls handler(argv), or handler(argv.slice(1)) for the handlers
+// that don't expect the command name
+function forward(handler, { withName = true } = {}) {
+  return async (...actionArgs) => {
+    const argv = toArgv(actionArgs[actionArgs.length - 1]);
+    await handler(withName ? argv : argv.slice(1));
+  };
+}
+
+function fail(message) {
+  console.error(chalk.red(message));
+  process.exit(1);
+}
+
+// --project <name>: run in the project's directory, as if evm had been
+// started there
+function enterProject(projectName) {
+  const currentUser = dbOps.isLoggedIn() ? dbOps.getCurrentUser() : null;
+  if (!currentUser) {
+    fail("You must be logged in. Run 'evm login' first.");
+  }
+
+  const project = dbOps.getProjectByName(currentUser.userId, projectName);
+  if (!project.success) {
+    fail(`Project "${projectName}" not found.`);
+  }
+
+  const directory = project.project.directory_path;
+  if (!directory || !fs.existsSync(directory)) {
+    fail(`Directory of project "${projectName}" not found: ${directory}`);
+  }
+  process.chdir(directory);
+}
+
+function applyGlobalOptions(actionCommand) {
+  const name = actionCommand.name();
+  const { project, json, server, quiet } = actionCommand.optsWithGlobals();
+
+  if (quiet) {
+    enableQuietMode();
   }
-  if (parts[0] === "sync") {
-    return handleSync(parts.slice(1));
+
+  if (json && !JSON_COMMANDS.has(name)) {
+    fail(`evm ${name} has no --json output`);
   }
-  if (parts[0] === "pending") {
-    return handlePendingOperations(parts.slice(1));
+
+  if (server !== undefined) {
+    let url;
+    try {
+      url = new URL(server);
+    } catch (error) {
+      fail(`Invalid --server URL "${server}"`);
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      fail("--server must be an http(s) URL");
+    }
+    configManager.setServerUrl(server.replace(/\/+$/, ""));
+  }
+
+  if (project !== undefined && name !== "list") {
+    if (PROJECTLESS_COMMANDS.has(name)) {
+      fail(`--project can't be used with evm ${name}`);
+    }
+    enterProject(project);
   }
+}
+
+function buildProgram() {
+  const program = new Command("evm");
+
+  program
+    .description("Environment Variable Manager")
+    .option("--project <name>", "run in the directory of this project")
+    .option("--json", "print a JSON document (status, log, list, pending, diff)")
+    .option("--server <url>", "use this server instead of the configured one")
+    .option("-q, --quiet", "only print output when the command fails")
+    .configureHelp({ showGlobalOptions: true })
+    .hook("preAction", (thisCommand, actionCommand) =>
+      applyGlobalOptions(actionCommand)
+    );
+
+  // Core
+  program
+    .command("login")
+    .alias("user")
+    .description("log in")
+    .action(() => handleLogin([]));
+  program
+    .command("register")
+    .description("create an account")
+    .action(() => handleRegister([]));
+  program
+    .command("logout")
+    .description("log out")
+    .action(() => handleLogout([]));
+  program
+    .command("whoami")
+    .description("show the logged in user")
+    .action(() => handleWhoami([]));
+  program
+    .command("mfa [action]")
+    .description("two-factor authentication (status|enable|disable|recovery-codes)")
+    .action(forward(handleMfa));
+  program
+    .command("passwd")
+    .description("change your password")
+    .action(forward(handlePasswd));
+  program
+    .command("account <action>")
+    .description("manage your account (delete)")
+    .option("-y, --yes", "don't ask for confirmation")
+    .action(forward(handleAccount));
+  program
+    .command("sessions [action] [id]")
+    .description("list signed-in devices, or sign one out (revoke <id>)")
+    .action(forward(handleSessions));
+  program
+    .command("show <what>", { hidden: true })
+    .action((what) =>
+      what === "user" || what === "users"
+        ? showUsers()
+        : fail(`Unknown item "${what}" (use: evm show users)`)
+    );
+  program
+    .command("init")
+    .description("initialize a project in the current directory")
+    .option("--name <project>", "project name (no prompt)")
+    .action(forward(initializeProject, { withName: false }));
 
-  console.log(chalk.yellow("[USAGE] Unknown command from launcher:"), cmd);
+  // Workflow
+  program
+    .command("add [files...]")
+    .description("stage changed env files ('.' for all of them)")
+    .option("--files <list>", "comma-separated files to stage")
+    .option("-m, --message <message>", "commit message (no prompt)")
+    .option("-y, --yes", "stage every changed file with the default message")
+    .option("--name <project>", "project to stage into (no prompt)")
+    .option("--no-verify", "skip schema validation")
+    .action(forward(addEnvFiles, { withName: false }));
+  program
+    .command("import-from <file>")
+    .description("convert a JSON, YAML, docker-compose or Kubernetes Secret file into a staged env file")
+    .option("--as <file>", "env file to write, e.g. .env.production")
+    .option("--format <format>", "json, yaml, compose or k8s (default: detected)")
+    .option("--service <name>", "compose service to read")
+    .option("--secret <name>", "Secret to read from a multi-Secret manifest")
+    .option("-f, --force", "replace the env file if it exists")
+    .option("-m, --message <message>", "commit message (no prompt)")
+    .option("-y, --yes", "use the default commit message")
+    .option("--no-verify", "skip schema validation")
+    .action(forward(handleImportFrom));
+  program
+    .command("push")
+    .description("commit staged files")
+    .option("-m, --message <message>", "commit message")
+    .action(forward(pushStagedFiles, { withName: false }));
+  program
+    .command("status")
+    .description("show the state of each env file")
+    .action(forward(handleStatus, { withName: false }));
+  program
+    .command("diff [refs...]")
+    .description("show changed keys: [<hashA|tag> [<hashB|tag>]] [file]")
+    .option("--show-values", "include values, with secrets masked")
+    .option("--reveal", "include secret values too (audit-logged)")
+    .action(forward(handleDiff));
+  program
+    .command("compare <a> <b>")
+    .description("find keys of one env file missing from another (file[@ref])")
+    .option("--show-values", "include values, with secrets masked")
+    .option("--reveal", "include secret values too (audit-logged)")
+    .action(forward(handleCompare));
+  program
+    .command("validate [file]")
+    .description("check env files against the variables schema")
+    .action(forward(handleValidate));
+  program
+    .command("example")
+    .description("write .env.example files from the last commit")
+    .option("--file <name>", "only this env file")
+    .option("--on-push", "also regenerate the examples on every push")
+    .option("--no-on-push", "stop regenerating them on push")
+    .action(forward(handleExample));
+  program
+    .command("run [command...]")
+    .description("run a command with committed variables: evm run -- <cmd>")
+    .option("--file <name>", "env file to load")
+    .option("--version <hash>", "commit or tag to load it from")
+    .action(async (commandArgs, options, command) => {
+      const argv = toArgv(command).slice(commandArgs.length + 1);
+      await handleRun(["run", ...argv, "--", ...commandArgs]);
+    });
+
+  // Sync
+  program
+    .command("sync")
+    .description("sync local commits with the cloud")
+    .action(forward(handleSync, { withName: false }));
+  program
+    .command("pending")
+    .description("show operations queued for sync")
+    .action(forward(handlePendingOperations, { withName: false }));
+  program
+    .command("pull")
+    .description("pull cloud changes, merging local edits")
+    .option("-i, --interactive", "resolve conflicts key by key")
+    .option("--reveal", "show secret values in conflict prompts")
+    .action(forward(handlePull, { withName: false }));
+  program
+    .command("clone [project] [directory]")
+    .description("clone a cloud project")
+    .action(forward(handleClone, { withName: false }));
+  program
+    .command("export [project]")
+    .description("write a passphrase-encrypted bundle of a project")
+    .option("-o, --output <file>", "bundle file (default <project>.evmpack)")
+    .option(
+      "--passphrase-file <file>",
+      "read the passphrase from a file (or set EVM_BUNDLE_PASSPHRASE)"
+    )
+    .action(forward(handleExport));
+  program
+    .command("import <file> [directory]")
+    .description("restore a project from a bundle")
+    .option(
+      "--passphrase-file <file>",
+      "read the passphrase from a file (or set EVM_BUNDLE_PASSPHRASE)"
+    )
+    .action(forward(handleImport));
+
+  // Projects
+  program
+    .command("list [project]")
+    .alias("ls")
+    .description("list the files of a project")
+    .option("--all", "list every project and its files")
+    .action(async (projectArg, options, command) => {
+      const { all, project, json } = command.optsWithGlobals();
+      const projectName = projectArg || project;
+      const argv = all
+        ? ["list", "--all"]
+        : projectName
+        ? [projectName, "list"]
+        : ["list"];
+      await handleProjectList(json ? [...argv, "--json"] : argv);
+    });
+  program
+    .command("rename <name> [newName]")
+    .description("rename the project, or a file: evm rename <old> <new>")
+    .action(forward(handleRename));
+  program
+    .command("rm <file>")
+    .description("remove an env file")
+    .option("--force", "also delete it from the cloud")
+    .option("-y, --yes", "don't ask for confirmation")
+    .action(forward(handleRemove));
+
+  // Version control
+  program
+    .command("log")
+    .description("show commit history")
+    .option("--oneline", "compact table")
+    .option("--all", "commits from every branch")
+    .option("--branch <name>", "history of another branch")
+    .option("-n, --limit <count>", "only the latest <count> commits")
+    .action(forward(handleLog));
+  program
+    .command("branch [name]")
+    .description("list branches, or create one at the current commit")
+    .option("-d, --delete <name>", "delete a branch")
+    .action(forward(handleBranch));
+  program
+    .command("checkout <branch>")
+    .description("switch branches and rewrite the working files")
+    .option("-f, --force", "discard uncommitted changes")
+    .action(forward(handleCheckout));
+  program
+    .command("tag [name] [hash]")
+    .description("list tags, or tag a commit (default: the current one)")
+    .action(forward(handleTag));
+  program
+    .command("tags")
+    .description("list tags")
+    .action(() => handleTags());
+  program
+    .command("revert <ref> [reason...]")
+    .description("roll back to a commit or tag")
+    .action(forward(handleRevert));
+  program
+    .command("rollback <history>")
+    .description("show rollback history: evm rollback history")
+    .action((what) =>
+      what === "history"
+        ? handleRollbackHistory(["rollback", "history"])
+        : fail("Usage: evm rollback history")
+    );
+
+  // Team
+  program
+    .command("share <email>")
+    .description("share the project")
+    .option("--role <role>", "editor or viewer", "viewer")
+    .action(forward(handleShare));
+  program
+    .command("members")
+    .description("list members of the project")
+    .action(forward(handleMembers));
+  program
+    .command("unshare <email>")
+    .description("remove a member from the project")
+    .action(forward(handleUnshare));
+  program
+    .command("token <action> [id]")
+    .description("create, list or revoke CI service tokens (create|list|revoke)")
+    .option(
+      "--scope <scope>",
+      "read (fetch files) or write (also add files, push commits, move branches and tags)"
+    )
+    .option("--expires <duration>", 'lifetime like "90d", "12h" or "never"')
+    .option("--name <label>", "label shown in 'evm token list'")
+    .action(forward(handleToken));
+  program
+    .command("audit")
+    .description("show who read or changed the project's secrets (owners)")
+    .option("--since <when>", 'only events since a date or "7d", "12h", "4w"')
+    .option("--limit <n>", "how many of the newest events to show", "100")
+    .action(forward(handleAudit));
+
+  // Security
+  program
+    .command("unlock")
+    .description("unlock encryption keys with your password")
+    .option("--timeout <minutes>", "how long the keys stay unlocked")
+    .action(forward(handleUnlock));
+  program
+    .command("lock")
+    .description("forget the cached master key")
+    .action(forward(handleLock));
+  program
+    .command("migrate-keys")
+    .description("move legacy keys to the password-protected keystore")
+    .action(forward(handleMigrateKeys));
+
+  return program;
+}
+
+function isKnownCommand(program, name) {
+  return program.commands.some(
+    (command) => command.name() === name || command.aliases().includes(name)
+  );
+}
+
+function printUnknownCommand(argv) {
+  const suggestions = getCommandSuggestions(argv[0]);
+
+  if (argv.length === 1 && suggestions.length > 0) {
+    console.log(chalk.yellow.bold(`\nDid you mean one of these commands?\n`));
+    suggestions.forEach((suggestion) => {
+      console.log(suggestion);
+    });
+    console.log(
+      chalk.gray("\nUse 'evm --help' to see all available commands.\n")
+    );
+  } else {
+    console.log(chalk.red.bold("Unknown command or invalid usage\n"));
+    showHelp();
+  }
   process.exit(1);
 }
 
+// Runs one command line (without "node evm"); shared by the CLI and the
+// launcher
+async function runCommand(argv) {
+  const program = buildProgram();
+
+  // Global options may come before the command name
+  const commandIndex = argv.findIndex(
+    (arg, index) =>
+      !arg.startsWith("-") &&
+      !["--project", "--server"].includes(argv[index - 1])
+  );
+  const name = commandIndex === -1 ? null : argv[commandIndex];
+
+  if (argv.length === 1 && ["--help", "-h", "help"].includes(argv[0])) {
+    showHelp();
+    return;
+  }
+  if (name === "help") {
+    const topic = argv[commandIndex + 1];
+    if (!topic) {
+      showHelp();
+      return;
+    }
+    return runCommand([topic, "--help"]);
+  }
+
+  // "evm -l" and "evm <project> list|-l" from before there was "list [project]"
+  if (argv[0] === "-l") {
+    argv = ["list", ...argv.slice(1)];
+  } else if (
+    name &&
+    !isKnownCommand(program, name) &&
+    ["list", "-l"].includes(argv[commandIndex + 1])
+  ) {
+    argv = [
+      ...argv.slice(0, commandIndex),
+      "list",
+      name,
+      ...argv.slice(commandIndex + 2),
+    ];
+  } else if (name && !isKnownCommand(program, name)) {
+    printUnknownCommand(argv.slice(commandIndex));
+  } else if (!name) {
+    showHelp();
+    return;
+  }
+
+  await program.parseAsync(argv, { from: "user" });
+}
+
+async function dispatchRaw(cmd) {
+  if (!cmd) return;
+  const parts = cmd.trim().split(/\s+/);
+  if (parts[0] === "evm") parts.shift();
+  if (parts.length === 0) return;
+  return runCommand(parts);
+}
+
+const args = process.argv.slice(2);
+
 if (args.length === 0) {
   (async () => {
     try {
@@ -260,78 +879,9 @@ if (args.length === 0) {
       process.exit(1);
     }
   })();
-} else if (args.length === 1 && args[0] === "user") {
-  handleLogin([]);
-} else if (args.length === 1 && args[0] === "login") {
-  handleLogin([]);
-} else if (args.length === 1 && args[0] === "register") {
-  handleRegister([]);
-} else if (args.length === 1 && args[0] === "logout") {
-  handleLogout([]);
-} else if (args.length === 1 && args[0] === "whoami") {
-  handleWhoami([]);
-} else if (args.length === 1 && args[0] === "init") {
-  initializeProject();
-} else if (args.length === 1 && args[0] === "add") {
-  addEnvFiles();
-} else if (args.length === 2 && args[0] === "add" && args[1] === ".") {
-  addEnvFiles(["."]);
-} else if (args.length === 1 && args[0] === "push") {
-  pushStagedFiles();
-} else if (args.length === 1 && args[0] === "sync") {
-  handleSync(args.slice(1));
-} else if (args.length === 1 && args[0] === "pending") {
-  handlePendingOperations(args.slice(1));
-} else if (args.length === 1 && args[0] === "pull") {
-  handlePull(args.slice(1));
-} else if (args.length === 1 && args[0] === "clone") {
-  handleClone(args.slice(1));
-} else if (args.length === 1 && args[0] === "status") {
-  handleStatus();
-} else if (args.length >= 1 && args[0] === "diff") {
-  handleDiff(args);
-} else if (args.length >= 1 && args[0] === "log") {
-  handleLog(args);
-} else if (args.length >= 2 && args[0] === "revert") {
-  handleRevert(args);
-} else if (
-  args.length === 2 &&
-  args[0] === "rollback" &&
-  args[1] === "history"
-) {
-  handleRollbackHistory(args);
-} else if (
-  args.length === 1 &&
-  (args[0] === "--help" || args[0] === "-h" || args[0] === "help")
-) {
-  showHelp();
-} else if (args.length >= 2 && args[0] === "rename") {
-  handleRename(args);
-} else if (args.length >= 2 && args[0] === "rm") {
-  handleRemove(args);
-} else if (
-  (args.length === 1 && (args[0] === "list" || args[0] === "-l")) ||
-  (args.length === 2 && (args[1] === "list" || args[1] === "-l")) ||
-  (args.length === 2 && args[0] === "list" && args[1] === "--all")
-) {
-  handleProjectList(args);
 } else {
-  if (args.length === 1) {
-    const partialCommand = args[0];
-    const suggestions = getCommandSuggestions(partialCommand);
-
-    if (suggestions.length > 0) {
-      console.log(chalk.yellow.bold(`\nDid you mean one of these commands?\n`));
-      suggestions.forEach((suggestion) => {
-        console.log(suggestion);
-      });
-      console.log(
-        chalk.gray("\nUse 'evm --help' to see all available commands.\n")
-      );
-      return;
-    }
-  }
-
-  console.log(chalk.red.bold("Unknown command or invalid usage\n"));
-  showHelp();
+  runCommand(args).catch((err) => {
+    console.error(chalk.red("[ERROR]"), err.message);
+    process.exit(1);
+  });
 }
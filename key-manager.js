@@ -0,0 +1,528 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcrypt");
+const { dbOps } = require("./db");
+const { configManager } = require("./config");
+
+const KEY_LENGTH = 32;
+const WRAP_PREFIX = "x25519.v1";
+const WRAP_INFO = "evm-project-key";
+
+// scrypt cost for the password-derived master key (~64 MiB, well under a second)
+const SCRYPT_PARAMS = { N: 2 ** 16, r: 8, p: 1, maxmem: 128 * 1024 * 1024 };
+const DEFAULT_UNLOCK_MINUTES = 15;
+const KEYSTORE_FILE = path.join(configManager.getEvmDir(), "keystore.json");
+const LOCKED_MESSAGE = "Encryption keys are locked. Run 'evm unlock' first.";
+const NOT_SHARED_MESSAGE =
+  "You don't have this project's key; ask the owner to re-share the project with you (evm share)";
+
+// Unwrapped project data keys, kept for the lifetime of the process
+const projectKeyCache = new Map();
+
+// Legacy key derived from the (public) email and the local salt. Only used to
+// read data written before the password-derived master key existed.
+function generateEncryptionKey(userEmail, userSalt) {
+  if (!userSalt) {
+    // Get user's salt from database
+    userSalt = dbOps.getUserEncryptionSalt(userEmail);
+    if (!userSalt) {
+      throw new Error(`No encryption salt found for user: ${userEmail}`);
+    }
+  }
+  return crypto.pbkdf2Sync(userEmail, userSalt, 100000, KEY_LENGTH, "sha256");
+}
+
+// Master key and keystore
+
+function deriveMasterKey(password, salt) {
+  return crypto.scryptSync(
+    password,
+    Buffer.from(salt, "hex"),
+    KEY_LENGTH,
+    SCRYPT_PARAMS
+  );
+}
+
+// The unlocked master key is cached in KEYSTORE_FILE so commands run after
+// 'evm unlock' don't each ask for the password. The file holds the raw key
+// (owner-only permissions): anyone who can read it before it expires can
+// decrypt everything the account can. Nothing runs in the background to
+// remove it, so expiry is enforced whenever evm reads it; 'evm lock' removes
+// it at once.
+function readKeystore() {
+  let keystore = null;
+  try {
+    if (fs.existsSync(KEYSTORE_FILE)) {
+      keystore = JSON.parse(fs.readFileSync(KEYSTORE_FILE, "utf8"));
+    }
+  } catch (error) {
+    // A corrupt keystore is treated as locked
+    lockKeys();
+    return null;
+  }
+
+  // Whoever it belongs to, an expired key doesn't stay on disk
+  if (keystore && !(new Date(keystore.expiresAt) > new Date())) {
+    lockKeys();
+    return null;
+  }
+  return keystore;
+}
+
+function getUnlockTimeoutMinutes() {
+  const configured = Number(configManager.getConfig().unlockTimeoutMinutes);
+  return configured > 0 ? configured : DEFAULT_UNLOCK_MINUTES;
+}
+
+function isPasswordProtected(protectedKey) {
+  try {
+    return JSON.parse(protectedKey).kdf === "scrypt";
+  } catch (error) {
+    return false;
+  }
+}
+
+// Derive the master key from the login password and cache it in the keystore
+// until the unlock timeout passes
+async function unlockKeys(userEmail, password, timeoutMinutes = null) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (!user) {
+    return { success: false, error: `User not found locally: ${userEmail}` };
+  }
+
+  const isValid = await bcrypt.compare(password, user.passwordHash);
+  if (!isValid) {
+    return { success: false, error: "Invalid password" };
+  }
+
+  // Reuse the salt sealed into the private key so every device derives the same key
+  const salt = isPasswordProtected(user.encrypted_private_key)
+    ? JSON.parse(user.encrypted_private_key).salt
+    : crypto.randomBytes(16).toString("hex");
+  const expiresAt = writeKeystore(
+    userEmail,
+    salt,
+    deriveMasterKey(password, salt),
+    timeoutMinutes
+  );
+
+  return { success: true, expiresAt };
+}
+
+function writeKeystore(userEmail, salt, masterKey, timeoutMinutes = null) {
+  const minutes = timeoutMinutes || getUnlockTimeoutMinutes();
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  fs.writeFileSync(
+    KEYSTORE_FILE,
+    JSON.stringify(
+      {
+        email: userEmail,
+        salt,
+        key: masterKey.toString("hex"),
+        expiresAt: expiresAt.toISOString(),
+      },
+      null,
+      2
+    ),
+    { mode: 0o600 }
+  );
+  // mode only applies when the file is created
+  fs.chmodSync(KEYSTORE_FILE, 0o600);
+
+  return expiresAt;
+}
+
+function lockKeys() {
+  projectKeyCache.clear();
+  if (fs.existsSync(KEYSTORE_FILE)) {
+    fs.unlinkSync(KEYSTORE_FILE);
+  }
+}
+
+// Returns { key, salt, expiresAt } while unlocked, otherwise null
+function getKeystoreStatus(userEmail) {
+  const keystore = readKeystore();
+  if (!keystore || keystore.email !== userEmail) {
+    return null;
+  }
+
+  return {
+    key: Buffer.from(keystore.key, "hex"),
+    salt: keystore.salt,
+    expiresAt: new Date(keystore.expiresAt),
+  };
+}
+
+function getMasterKey(userEmail) {
+  const status = getKeystoreStatus(userEmail);
+  if (!status) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+  return status;
+}
+
+// User keypairs
+
+function generateUserKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519", {
+    publicKeyEncoding: { type: "spki", format: "der" },
+    privateKeyEncoding: { type: "pkcs8", format: "der" },
+  });
+
+  return {
+    publicKey: publicKey.toString("base64"),
+    privateKey: privateKey.toString("base64"),
+  };
+}
+
+// At rest the private key is sealed with the password-derived master key; the
+// sealed form is safe to keep on the server so other devices can use it
+function protectPrivateKey(privateKey, userEmail) {
+  const { key, salt } = getMasterKey(userEmail);
+  return sealPrivateKey(privateKey, userEmail, key, salt);
+}
+
+function sealPrivateKey(privateKey, userEmail, key, salt) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(`evm-private-key:${userEmail}`));
+
+  const data = Buffer.concat([
+    cipher.update(Buffer.from(privateKey, "base64")),
+    cipher.final(),
+  ]);
+
+  return JSON.stringify({
+    kdf: "scrypt",
+    salt,
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    data: data.toString("hex"),
+  });
+}
+
+// masterKey overrides the keystore, for keys sealed under another salt
+function unprotectPrivateKey(protectedKey, userEmail, masterKey = null) {
+  const { kdf, salt, iv, tag, data } = JSON.parse(protectedKey);
+  let key;
+  if (kdf === "scrypt" && masterKey) {
+    key = masterKey;
+  } else if (kdf === "scrypt") {
+    const master = getMasterKey(userEmail);
+    if (master.salt !== salt) {
+      throw new Error(LOCKED_MESSAGE);
+    }
+    key = master.key;
+  } else {
+    key = generateEncryptionKey(userEmail);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "hex")
+  );
+  decipher.setAAD(Buffer.from(`evm-private-key:${userEmail}`));
+  decipher.setAuthTag(Buffer.from(tag, "hex"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "hex")),
+    decipher.final(),
+  ]).toString("base64");
+}
+
+// Make sure the local user has a keypair, generating one on first use.
+// Returns the base64 public key.
+function ensureUserKeyPair(userEmail) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (!user) {
+    throw new Error(`User not found locally: ${userEmail}`);
+  }
+
+  if (user.public_key && user.encrypted_private_key) {
+    return user.public_key;
+  }
+
+  const { publicKey, privateKey } = generateUserKeyPair();
+  const result = dbOps.setUserKeyPair(
+    userEmail,
+    publicKey,
+    protectPrivateKey(privateKey, userEmail)
+  );
+  if (!result.success) {
+    throw new Error(`Failed to store keypair: ${result.error}`);
+  }
+
+  return publicKey;
+}
+
+function getUserPrivateKey(userEmail) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (!user?.encrypted_private_key) {
+    throw new Error("No keypair found for user. Run 'evm login' again.");
+  }
+  return unprotectPrivateKey(user.encrypted_private_key, userEmail);
+}
+
+// Reseal a private key still protected by the legacy email-derived key.
+// Returns true when the stored key was rewritten.
+function upgradePrivateKeyProtection(userEmail) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (
+    !user?.encrypted_private_key ||
+    isPasswordProtected(user.encrypted_private_key)
+  ) {
+    return false;
+  }
+
+  const privateKey = unprotectPrivateKey(user.encrypted_private_key, userEmail);
+  const result = dbOps.setUserKeyPair(
+    userEmail,
+    user.public_key,
+    protectPrivateKey(privateKey, userEmail)
+  );
+  if (!result.success) {
+    throw new Error(`Failed to store keypair: ${result.error}`);
+  }
+  return true;
+}
+
+// The private key sealed under a new password (evm passwd), with a fresh
+// salt. Nothing is stored: returns { protectedKey, masterKey, salt } for
+// dbOps.setUserCredentials, then unlockResealedKey once the server has
+// accepted the new password.
+// Returns null when the user has no keypair yet.
+function resealPrivateKey(userEmail, currentPassword, newPassword) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (!user?.encrypted_private_key) {
+    return null;
+  }
+
+  const current = JSON.parse(user.encrypted_private_key);
+  const privateKey = unprotectPrivateKey(
+    user.encrypted_private_key,
+    userEmail,
+    current.kdf === "scrypt" ? deriveMasterKey(currentPassword, current.salt) : null
+  );
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  const masterKey = deriveMasterKey(newPassword, salt);
+  return {
+    protectedKey: sealPrivateKey(privateKey, userEmail, masterKey, salt),
+    masterKey,
+    salt,
+  };
+}
+
+// Leave the keys unlocked under the new password once the resealed key is
+// stored
+function unlockResealedKey(userEmail, resealed) {
+  writeKeystore(userEmail, resealed.salt, resealed.masterKey);
+}
+
+// Replace the local keypair with the one sealed on the server (another device
+// created it first). Project keys wrapped for the old local key are re-wrapped.
+// The same keypair resealed under a new password (evm passwd on another
+// device) is simply stored.
+function adoptUserKeyPair(userEmail, password, publicKey, protectedKey) {
+  const user = dbOps.getUserByEmail(userEmail);
+  if (!user || user.encrypted_private_key === protectedKey) {
+    return false;
+  }
+
+  if (user.encrypted_private_key && user.public_key !== publicKey) {
+    const oldProtection = JSON.parse(user.encrypted_private_key);
+    const oldPrivateKey = unprotectPrivateKey(
+      user.encrypted_private_key,
+      userEmail,
+      oldProtection.kdf === "scrypt"
+        ? deriveMasterKey(password, oldProtection.salt)
+        : null
+    );
+
+    const keysResult = dbOps.getProjectKeysByUser(user.id);
+    for (const projectKey of keysResult.success ? keysResult.projectKeys : []) {
+      try {
+        const dataKey = unwrapKey(projectKey.wrapped_key, oldPrivateKey);
+        dbOps.saveProjectKey(projectKey.project_id, wrapKey(dataKey, publicKey));
+      } catch (error) {
+        // Not wrapped for the old key either; a later pull fetches a fresh copy
+      }
+    }
+  }
+
+  const result = dbOps.setUserKeyPair(userEmail, publicKey, protectedKey);
+  if (!result.success) {
+    throw new Error(`Failed to store keypair: ${result.error}`);
+  }
+  projectKeyCache.clear();
+  return true;
+}
+
+// Key wrapping (ECIES: ephemeral X25519 + HKDF-SHA256 + AES-256-GCM)
+
+function deriveWrappingKey(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  return Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      sharedSecret,
+      Buffer.concat([ephemeralPublicKey, recipientPublicKey]),
+      WRAP_INFO,
+      KEY_LENGTH
+    )
+  );
+}
+
+function wrapKey(dataKey, recipientPublicKey) {
+  const recipientDer = Buffer.from(recipientPublicKey, "base64");
+  const ephemeral = crypto.generateKeyPairSync("x25519");
+  const ephemeralDer = ephemeral.publicKey.export({
+    type: "spki",
+    format: "der",
+  });
+
+  const sharedSecret = crypto.diffieHellman({
+    privateKey: ephemeral.privateKey,
+    publicKey: crypto.createPublicKey({
+      key: recipientDer,
+      format: "der",
+      type: "spki",
+    }),
+  });
+
+  const wrappingKey = deriveWrappingKey(sharedSecret, ephemeralDer, recipientDer);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", wrappingKey, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+  return [
+    WRAP_PREFIX,
+    ephemeralDer.toString("base64"),
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    wrapped.toString("base64"),
+  ].join(".");
+}
+
+function unwrapKey(wrappedKey, privateKey) {
+  const parts = wrappedKey.split(".");
+  if (parts.length !== 6 || `${parts[0]}.${parts[1]}` !== WRAP_PREFIX) {
+    throw new Error("Unsupported wrapped key format");
+  }
+
+  const [ephemeralB64, ivB64, tagB64, wrappedB64] = parts.slice(2);
+  const privateKeyObject = crypto.createPrivateKey({
+    key: Buffer.from(privateKey, "base64"),
+    format: "der",
+    type: "pkcs8",
+  });
+  const recipientDer = crypto
+    .createPublicKey(privateKeyObject)
+    .export({ type: "spki", format: "der" });
+  const ephemeralDer = Buffer.from(ephemeralB64, "base64");
+
+  const sharedSecret = crypto.diffieHellman({
+    privateKey: privateKeyObject,
+    publicKey: crypto.createPublicKey({
+      key: ephemeralDer,
+      format: "der",
+      type: "spki",
+    }),
+  });
+
+  const wrappingKey = deriveWrappingKey(sharedSecret, ephemeralDer, recipientDer);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    wrappingKey,
+    Buffer.from(ivB64, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(wrappedB64, "base64")),
+    decipher.final(),
+  ]);
+}
+
+// Project data keys
+
+// Returns the project's data key, or null when this user has none.
+// With create: true a fresh key is generated for a project of our own that
+// has never had one. A member without the key must not make one: files
+// encrypted with it couldn't be read by anyone else on the project.
+function getProjectKey(projectId, userEmail, { create = false } = {}) {
+  if (projectKeyCache.has(projectId)) {
+    return projectKeyCache.get(projectId);
+  }
+
+  const stored = dbOps.getProjectKey(projectId);
+  let dataKey = null;
+
+  if (stored.success) {
+    dataKey = unwrapKey(stored.projectKey.wrapped_key, getUserPrivateKey(userEmail));
+  } else if (create) {
+    const project = dbOps.getProjectById(projectId);
+    const cloudRole = project.success ? project.project.cloud_role : null;
+    if (cloudRole && cloudRole !== "owner") {
+      throw new Error(NOT_SHARED_MESSAGE);
+    }
+    dataKey = crypto.randomBytes(KEY_LENGTH);
+    const publicKey = ensureUserKeyPair(userEmail);
+    const saveResult = dbOps.saveProjectKey(
+      projectId,
+      wrapKey(dataKey, publicKey)
+    );
+    if (!saveResult.success) {
+      throw new Error(`Failed to store project key: ${saveResult.error}`);
+    }
+  }
+
+  if (dataKey) {
+    projectKeyCache.set(projectId, dataKey);
+  }
+  return dataKey;
+}
+
+// The project key wrapped for the current user, as stored locally and on the server
+function getWrappedProjectKey(projectId) {
+  const stored = dbOps.getProjectKey(projectId);
+  return stored.success ? stored.projectKey.wrapped_key : null;
+}
+
+// Store a wrapped key received from the cloud unless we already hold one
+function importWrappedProjectKey(projectId, wrappedKey) {
+  if (!wrappedKey || dbOps.getProjectKey(projectId).success) {
+    return false;
+  }
+  return dbOps.saveProjectKey(projectId, wrappedKey).success;
+}
+
+// Wrap the project's data key for another member's public key
+function wrapProjectKeyFor(projectId, userEmail, recipientPublicKey) {
+  const dataKey = getProjectKey(projectId, userEmail);
+  if (!dataKey) {
+    return null;
+  }
+  return wrapKey(dataKey, recipientPublicKey);
+}
+
+module.exports = {
+  generateEncryptionKey,
+  unlockKeys,
+  lockKeys,
+  getKeystoreStatus,
+  isPasswordProtected,
+  ensureUserKeyPair,
+  upgradePrivateKeyProtection,
+  adoptUserKeyPair,
+  resealPrivateKey,
+  unlockResealedKey,
+  wrapKey,
+  unwrapKey,
+  getProjectKey,
+  getWrappedProjectKey,
+  importWrappedProjectKey,
+  wrapProjectKeyFor,
+};
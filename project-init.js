@@ -5,6 +5,17 @@ const { createSimplePrompt } = require("./components/text-input");
 const { dbOps } = require("./db");
 const { requireAuth } = require("./commands/auth");
 const { configManager } = require("./config");
+const { getFlagValue, requireInteractive } = require("./cli-options");
+
+const PROJECT_NAME_RULES =
+  "Project name must be at least 2 characters, cannot start with '.', and contain only letters, numbers, hyphens, underscores, and dots";
+
+function isValidProjectName(value) {
+  if (value.length < 2) return false;
+  if (value.startsWith(".")) return false; // Prevent names starting with "."
+  if (!/^[a-zA-Z0-9-_\.]+$/.test(value)) return false;
+  return true;
+}
 
 async function scanForEnvFiles(directory = process.cwd()) {
   try {
@@ -20,7 +31,8 @@ async function scanForEnvFiles(directory = process.cwd()) {
   }
 }
 
-async function initializeProject() {
+// evm init [--name <project>]
+async function initializeProject(args = []) {
   console.log(chalk.bold.cyan("Initializing new EVM project...\n"));
 
   try {
@@ -38,20 +50,28 @@ async function initializeProject() {
       process.exit(1);
     }
 
-    const projectName = await createSimplePrompt({
-      title: "📦 EVM Project Setup",
-      placeholder: "Enter project name",
-      width: 50,
-      borderColor: "gray",
-      validateInput: (value) => {
-        if (value.length < 2) return false;
-        if (value.startsWith(".")) return false; // Prevent names starting with "."
-        if (!/^[a-zA-Z0-9-_\.]+$/.test(value)) return false;
-        return true;
-      },
-      errorMessage:
-        "Project name must be at least 2 characters, cannot start with '.', and contain only letters, numbers, hyphens, underscores, and dots",
-    });
+    let projectName = getFlagValue(args, "--name");
+    if (projectName === null) {
+      console.error(chalk.red("Missing project name after --name"));
+      process.exit(1);
+    }
+
+    if (projectName) {
+      if (!isValidProjectName(projectName)) {
+        console.error(chalk.red(PROJECT_NAME_RULES));
+        process.exit(1);
+      }
+    } else {
+      requireInteractive("a project name", "Pass --name <project>");
+      projectName = await createSimplePrompt({
+        title: "📦 EVM Project Setup",
+        placeholder: "Enter project name",
+        width: 50,
+        borderColor: "gray",
+        validateInput: isValidProjectName,
+        errorMessage: PROJECT_NAME_RULES,
+      });
+    }
 
     const createResult = dbOps.createProject(
       currentUser.id,
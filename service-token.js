@@ -0,0 +1,102 @@
+// Service tokens let CI machines read a project without 'evm login'.
+// A token is "evmst_<auth>.<key>": the server authenticates the "evmst_<auth>"
+// bearer (it only stores its SHA-256), and <key> is an X25519 private key the
+// project key is wrapped for. The key part is never sent anywhere, so the
+// server still can't decrypt anything.
+
+const crypto = require("crypto");
+
+const SERVICE_TOKEN_PREFIX = "evmst_";
+const SERVICE_TOKEN_PATTERN = /^evmst_([A-Za-z0-9_-]{32})\.([A-Za-z0-9_-]{43})$/;
+const TOKEN_SCOPES = ["read", "write"];
+const DEFAULT_EXPIRY = "90d";
+
+// PKCS#8 DER header of an X25519 private key; the raw 32-byte key follows
+const X25519_PKCS8_HEADER = Buffer.from(
+  "302e020100300506032b656e04220420",
+  "hex"
+);
+
+const EXPIRY_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// { bearer, privateKey, publicKey } (keys as base64 DER), or null when the
+// text isn't a service token
+function parseServiceToken(text) {
+  const match = SERVICE_TOKEN_PATTERN.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+
+  const privateDer = Buffer.concat([
+    X25519_PKCS8_HEADER,
+    Buffer.from(match[2], "base64url"),
+  ]);
+  const publicDer = crypto
+    .createPublicKey(
+      crypto.createPrivateKey({ key: privateDer, format: "der", type: "pkcs8" })
+    )
+    .export({ type: "spki", format: "der" });
+
+  return {
+    bearer: `${SERVICE_TOKEN_PREFIX}${match[1]}`,
+    privateKey: privateDer.toString("base64"),
+    publicKey: publicDer.toString("base64"),
+  };
+}
+
+function generateServiceToken() {
+  const auth = crypto.randomBytes(24).toString("base64url");
+  const key = crypto.randomBytes(32).toString("base64url");
+  const token = `${SERVICE_TOKEN_PREFIX}${auth}.${key}`;
+  return { token, ...parseServiceToken(token) };
+}
+
+function hashBearer(bearer) {
+  return crypto.createHash("sha256").update(bearer).digest("hex");
+}
+
+// Shown in 'evm token list' to tell tokens apart
+function bearerPrefix(bearer) {
+  return bearer.substring(0, SERVICE_TOKEN_PREFIX.length + 6);
+}
+
+// The token in EVM_TOKEN, null when unset. Throws for a malformed value so a
+// typo in a CI secret fails loudly.
+function getEnvToken() {
+  const value = process.env.EVM_TOKEN;
+  if (!value) {
+    return null;
+  }
+  const parsed = parseServiceToken(value);
+  if (!parsed) {
+    throw new Error("EVM_TOKEN is not a valid evm service token");
+  }
+  return parsed;
+}
+
+// "90d", "12h", "4w" or "never" (null). Returns undefined when invalid.
+function parseExpiry(text, now = new Date()) {
+  if (text === "never") {
+    return null;
+  }
+  const match = /^(\d+)([hdw])$/.exec(String(text));
+  if (!match || Number(match[1]) === 0) {
+    return undefined;
+  }
+  return new Date(now.getTime() + Number(match[1]) * EXPIRY_UNITS_MS[match[2]]);
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  DEFAULT_EXPIRY,
+  parseServiceToken,
+  generateServiceToken,
+  hashBearer,
+  bearerPrefix,
+  getEnvToken,
+  parseExpiry,
+};
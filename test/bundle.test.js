@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sealBundle, openBundle, findDuplicateVersionTokens } = require("../bundle");
+
+const PASSPHRASE = "correct horse battery";
+const PAYLOAD = {
+  project: { name: "demo", description: null },
+  files: [
+    {
+      name: ".env",
+      content: "API_KEY=abc\n",
+      versions: [
+        { version_token: "v1", content: "API_KEY=old\n" },
+        { version_token: "v2", content: "API_KEY=abc\n" },
+      ],
+    },
+  ],
+  rollbacks: [],
+};
+
+// scrypt makes every seal/open take a moment, so one bundle is shared
+const sealed = sealBundle(PAYLOAD, PASSPHRASE);
+
+test("a sealed bundle opens to the same payload", () => {
+  assert.deepEqual(openBundle(sealed, PASSPHRASE), PAYLOAD);
+});
+
+test("a bundle does not carry the payload in clear text", () => {
+  assert.doesNotMatch(sealed, /API_KEY|demo/);
+  assert.deepEqual(Object.keys(JSON.parse(sealed)).sort(), [
+    "data", "format", "iv", "kdf", "salt", "tag", "version",
+  ]);
+});
+
+test("the wrong passphrase is refused", () => {
+  assert.throws(() => openBundle(sealed, "not the passphrase"), /Wrong passphrase/);
+});
+
+test("altered data or header is refused", () => {
+  const bundle = JSON.parse(sealed);
+  const data = Buffer.from(bundle.data, "base64");
+  data[0] ^= 1;
+  const alteredData = JSON.stringify({ ...bundle, data: data.toString("base64") });
+  const alteredSalt = JSON.stringify({
+    ...bundle,
+    salt: `${bundle.salt.slice(0, -1)}${bundle.salt.endsWith("0") ? "1" : "0"}`,
+  });
+
+  assert.throws(() => openBundle(alteredData, PASSPHRASE), /bundle was modified/);
+  assert.throws(() => openBundle(alteredSalt, PASSPHRASE), /bundle was modified/);
+});
+
+test("other files and future versions are refused", () => {
+  assert.throws(() => openBundle("not json", PASSPHRASE), /Not an evm bundle/);
+  assert.throws(() => openBundle("{}", PASSPHRASE), /Not an evm bundle/);
+  assert.throws(
+    () => openBundle(JSON.stringify({ ...JSON.parse(sealed), version: 2 }), PASSPHRASE),
+    /Unsupported bundle version 2/
+  );
+});
+
+test("findDuplicateVersionTokens lists tokens used more than once", () => {
+  const versions = ["a", "b", "a", "c", "b", "a"].map((token) => ({
+    version_token: token,
+  }));
+  assert.deepEqual(findDuplicateVersionTokens(versions), ["a", "b"]);
+  assert.deepEqual(findDuplicateVersionTokens(PAYLOAD.files[0].versions), []);
+});
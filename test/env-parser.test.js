@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseEnv, diffEnv, mergeEnv, hasConflictMarkers } = require("../env-parser");
+
+test("parseEnv reads quoted, exported and commented values", () => {
+  const { values } = parseEnv(
+    [
+      "# settings",
+      "export PORT=3000",
+      "HOST = localhost # inline comment",
+      "URL=https://example.com/#anchor",
+      "SINGLE='# not a comment' # comment",
+      'DOUBLE="line\\nbreak"',
+      "MULTI=\"first",
+      "second\"",
+      "EMPTY=",
+      "",
+    ].join("\n")
+  );
+
+  assert.deepEqual(values, {
+    PORT: "3000",
+    HOST: "localhost",
+    URL: "https://example.com/#anchor",
+    SINGLE: "# not a comment",
+    DOUBLE: "line\nbreak",
+    MULTI: "first\nsecond",
+    EMPTY: "",
+  });
+});
+
+test("parseEnv keeps every line so the layout can be rebuilt", () => {
+  const content = "# header\n\nA=1 # one\nnot a pair\nA=2\n";
+  const { entries, values } = parseEnv(content);
+
+  assert.deepEqual(
+    entries.map((entry) => entry.type),
+    ["comment", "blank", "pair", "comment", "pair"]
+  );
+  assert.equal(entries[2].comment, "# one");
+  assert.equal(`${entries.map((entry) => entry.raw).join("\n")}\n`, content);
+  assert.deepEqual(values, { A: "2" });
+});
+
+test("diffEnv compares values key by key", () => {
+  const diff = diffEnv(
+    parseEnv("A=1\nB=2\nC=3\n"),
+    parseEnv("# reordered\nC=3\nB=20\nD=4\n")
+  );
+
+  assert.deepEqual(diff.added, [{ key: "D", value: "4" }]);
+  assert.deepEqual(diff.removed, [{ key: "A", value: "1" }]);
+  assert.deepEqual(diff.changed, [{ key: "B", from: "2", to: "20" }]);
+  assert.deepEqual(diff.unchanged, ["C"]);
+  assert.equal(diff.hasChanges, true);
+});
+
+test("diffEnv ignores layout and accepts plain objects", () => {
+  assert.equal(diffEnv(parseEnv("A=1\n"), parseEnv("# note\nA='1'\n")).hasChanges, false);
+  assert.equal(diffEnv({ A: "1" }, { A: "1" }).hasChanges, false);
+  assert.equal(diffEnv({}, { A: "" }).added.length, 1);
+});
+
+// One row per outcome of the three-way merge: base, local (ours), cloud
+// (theirs), the values the merged file ends up with, and the conflicting keys
+const MERGE_CASES = [
+  {
+    name: "unchanged on both sides",
+    base: "A=1\n", ours: "A=1\n", theirs: "A=1\n",
+    merged: { A: "1" }, conflicts: [], takenFromTheirs: [],
+  },
+  {
+    name: "changed only in theirs",
+    base: "A=1\n", ours: "A=1\n", theirs: "A=2\n",
+    merged: { A: "2" }, conflicts: [], takenFromTheirs: ["A"],
+  },
+  {
+    name: "changed only in ours",
+    base: "A=1\n", ours: "A=2\n", theirs: "A=1\n",
+    merged: { A: "2" }, conflicts: [], takenFromTheirs: [],
+  },
+  {
+    name: "same change on both sides",
+    base: "A=1\n", ours: "A=2\n", theirs: "A=2\n",
+    merged: { A: "2" }, conflicts: [], takenFromTheirs: [],
+  },
+  {
+    name: "different changes on both sides",
+    base: "A=1\n", ours: "A=2\n", theirs: "A=3\n",
+    merged: null, conflicts: ["A"], takenFromTheirs: [],
+  },
+  {
+    name: "added only in theirs",
+    base: "A=1\n", ours: "A=1\n", theirs: "A=1\nB=2\n",
+    merged: { A: "1", B: "2" }, conflicts: [], takenFromTheirs: ["B"],
+  },
+  {
+    name: "added only in ours",
+    base: "A=1\n", ours: "A=1\nB=2\n", theirs: "A=1\n",
+    merged: { A: "1", B: "2" }, conflicts: [], takenFromTheirs: [],
+  },
+  {
+    name: "added on both sides with different values",
+    base: "", ours: "B=1\n", theirs: "B=2\n",
+    merged: null, conflicts: ["B"], takenFromTheirs: [],
+  },
+  {
+    name: "deleted in ours, unchanged in theirs",
+    base: "A=1\nB=2\n", ours: "A=1\n", theirs: "A=1\nB=2\n",
+    merged: { A: "1" }, conflicts: [], takenFromTheirs: [],
+  },
+  {
+    name: "deleted in theirs, unchanged in ours",
+    base: "A=1\nB=2\n", ours: "A=1\nB=2\n", theirs: "A=1\n",
+    merged: { A: "1" }, conflicts: [], takenFromTheirs: ["B"],
+  },
+  {
+    name: "deleted in ours, changed in theirs",
+    base: "A=1\nB=2\n", ours: "A=1\n", theirs: "A=1\nB=3\n",
+    merged: null, conflicts: ["B"], takenFromTheirs: [],
+  },
+  {
+    name: "deleted on both sides",
+    base: "A=1\nB=2\n", ours: "A=1\n", theirs: "A=1\n",
+    merged: { A: "1" }, conflicts: [], takenFromTheirs: [],
+  },
+];
+
+for (const row of MERGE_CASES) {
+  test(`mergeEnv: ${row.name}`, () => {
+    const result = mergeEnv(row.base, row.ours, row.theirs);
+
+    assert.deepEqual(result.conflicts.map((conflict) => conflict.key), row.conflicts);
+    assert.deepEqual(result.takenFromTheirs, row.takenFromTheirs);
+    if (row.merged) {
+      assert.equal(hasConflictMarkers(result.content), false);
+      assert.deepEqual(parseEnv(result.content).values, row.merged);
+    } else {
+      assert.equal(hasConflictMarkers(result.content), true);
+    }
+  });
+}
+
+test("mergeEnv writes git-style markers around a conflict", () => {
+  const result = mergeEnv("A=1\n", "A=2\n", "A=3\n", { theirsLabel: "cloud" });
+
+  assert.equal(result.content, "<<<<<<< local\nA=2\n=======\nA=3\n>>>>>>> cloud\n");
+  assert.deepEqual(result.conflicts, [{ key: "A", base: "1", ours: "2", theirs: "3" }]);
+});
+
+test("mergeEnv settles conflicts with resolutions", () => {
+  const base = "A=1\nB=1\n";
+  const ours = "A=2\nB=2\n";
+  const theirs = "A=3\nB=3\n";
+  const result = mergeEnv(base, ours, theirs, {
+    resolutions: { A: "ours", B: "theirs" },
+  });
+
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(result.takenFromTheirs, ["B"]);
+  assert.deepEqual(parseEnv(result.content).values, { A: "2", B: "3" });
+});
+
+test("mergeEnv keeps the local layout and copies theirs lines verbatim", () => {
+  const base = "# database\nDB_HOST=localhost\n\nPORT=3000\n";
+  const ours = "# database\nDB_HOST=localhost # local\n\nPORT=3000\n";
+  const theirs = "# db\nDB_HOST=localhost\n\nPORT='8080'\n";
+  const result = mergeEnv(base, ours, theirs);
+
+  assert.equal(result.content, "# database\nDB_HOST=localhost # local\n\nPORT='8080'\n");
+});
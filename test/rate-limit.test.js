@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FailureLimiter, RateLimiter } = require("../evm-server/rate-limit");
+
+function fakeClock(start = 1000000) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+test("RateLimiter allows `limit` hits per window", () => {
+  const now = fakeClock();
+  const limiter = new RateLimiter({ limit: 2, windowMs: 1000, now });
+
+  assert.equal(limiter.hit("a"), 0);
+  assert.equal(limiter.hit("a"), 0);
+  now.time += 400;
+  assert.equal(limiter.hit("a"), 600);
+  assert.equal(limiter.hit("b"), 0);
+
+  now.time += 600;
+  assert.equal(limiter.hit("a"), 0);
+});
+
+test("FailureLimiter locks after the free failures, doubling up to the maximum", () => {
+  const now = fakeClock();
+  const limiter = new FailureLimiter({
+    freeFailures: 2,
+    baseLockMs: 1000,
+    maxLockMs: 4000,
+    resetAfterMs: 60000,
+    now,
+  });
+
+  limiter.fail("a");
+  limiter.fail("a");
+  assert.equal(limiter.retryAfter("a"), 0);
+
+  const expected = [1000, 2000, 4000, 4000];
+  for (const lock of expected) {
+    limiter.fail("a");
+    assert.equal(limiter.retryAfter("a"), lock);
+  }
+
+  now.time += 1500;
+  assert.equal(limiter.retryAfter("a"), 2500);
+  assert.equal(limiter.retryAfter("b"), 0);
+});
+
+test("FailureLimiter clears a key on success or after resetAfterMs", () => {
+  const now = fakeClock();
+  const limiter = new FailureLimiter({
+    freeFailures: 0,
+    baseLockMs: 1000,
+    maxLockMs: 8000,
+    resetAfterMs: 10000,
+    now,
+  });
+
+  limiter.fail("a");
+  limiter.succeed("a");
+  assert.equal(limiter.retryAfter("a"), 0);
+
+  limiter.fail("b");
+  limiter.fail("b");
+  assert.equal(limiter.retryAfter("b"), 2000);
+  now.time += 10001;
+  limiter.fail("b");
+  assert.equal(limiter.retryAfter("b"), 1000);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateSecret,
+  totpAt,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../evm-server/totp");
+
+// RFC 6238 appendix B, SHA1 seed "12345678901234567890" in base32. The RFC
+// lists 8-digit codes; a 6-digit code is their last six digits.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+test("totpAt matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totpAt(RFC_SECRET, Math.floor(seconds / 30)), code.slice(-6), `T=${seconds}`);
+  }
+});
+
+test("verifyTotp returns the step of a matching code", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(
+      verifyTotp(RFC_SECRET, code.slice(-6), { now: seconds * 1000 }),
+      Math.floor(seconds / 30)
+    );
+  }
+});
+
+test("verifyTotp allows one step of drift by default", () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(
+    verifyTotp(RFC_SECRET, totpAt(RFC_SECRET, step - 2), { now, window: 2 }),
+    step - 2
+  );
+});
+
+test("verifyTotp rejects malformed codes", () => {
+  const now = 59 * 1000;
+  assert.equal(verifyTotp(RFC_SECRET, "94287082", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "28708", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "abcdef", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, " 287 082 ", { now }), 1);
+});
+
+test("generated secrets are 160-bit base32", () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(totpAt(secret, 1), /^\d{6}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test("recovery codes normalize back to what was issued", () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  for (const code of codes) {
+    assert.match(code, /^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    assert.equal(normalizeRecoveryCode(` ${code.toUpperCase()} `), code.replace("-", ""));
+  }
+});